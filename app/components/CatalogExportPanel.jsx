@@ -0,0 +1,160 @@
+import { useFetcher } from "react-router";
+import { useState, useEffect, useRef } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import PropTypes from "prop-types";
+import { startDownload } from "../utils/download";
+import { CATALOG_QUANTITY_MODES } from "../utils/export";
+
+// How often a running catalog export is checked, and the job states that are still going
+const CATALOG_POLL_INTERVAL_MS = 3000;
+const CATALOG_JOB_ACTIVE = ["running", "processing"];
+
+/**
+ * "Whole catalog" on the export page - exports every variant matching the page's filters
+ * Exports are started and polled through the app.catalog-export route. catalogExport is
+ * the running or last job from the loader; buildFilterParams and appendExportSettings
+ * add the page's filters and format options to the request.
+ */
+export function CatalogExportPanel({ catalogExport, buildFilterParams, appendExportSettings }) {
+  const shopify = useAppBridge();
+  const catalogFetcher = useFetcher();
+
+  // Catalog export through a bulk operation (resumed from the loader after leaving the page)
+  const [catalogJob, setCatalogJob] = useState(catalogExport);
+  const [catalogQuantityMode, setCatalogQuantityMode] = useState("stock");
+  const catalogDownloadRef = useRef(null);
+
+  // Track the catalog export; start the download once the file is ready
+  useEffect(() => {
+    const data = catalogFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+      return;
+    }
+
+    const { job } = data;
+    setCatalogJob(job);
+
+    if (job.status === "completed" && catalogDownloadRef.current !== job.downloadUrl) {
+      catalogDownloadRef.current = job.downloadUrl;
+      startDownload(job.downloadUrl);
+      shopify.toast.show(`Exporting ${job.labelCount} label${job.labelCount !== 1 ? 's' : ''}... Download starting!`);
+    } else if (job.status === "failed") {
+      shopify.toast.show(job.error, { isError: true });
+    }
+  }, [catalogFetcher.data, shopify]);
+
+  // Poll a running catalog export (failed polls are retried on the next tick)
+  useEffect(() => {
+    if (!catalogJob || !CATALOG_JOB_ACTIVE.includes(catalogJob.status) || catalogFetcher.state !== "idle") {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      const formData = new FormData();
+      formData.append("actionType", "checkCatalogExport");
+      formData.append("jobId", catalogJob.id);
+      catalogFetcher.submit(formData, { method: "post", action: "/app/catalog-export" });
+    }, CATALOG_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [catalogJob, catalogFetcher]);
+
+  // Export every variant matching the current filters through a bulk operation
+  const handleCatalogExport = () => {
+    if (!window.confirm("Export labels for every variant matching the current filters? Large catalogs can take a few minutes.")) {
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("actionType", "startCatalogExport");
+    buildFilterParams().forEach((value, key) => formData.append(key, value));
+    formData.append("quantityMode", catalogQuantityMode);
+    appendExportSettings(formData);
+    catalogFetcher.submit(formData, { method: "post", action: "/app/catalog-export" });
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      marginBottom: '12px',
+      padding: '12px',
+      background: '#f9fafb',
+      borderRadius: '6px',
+      fontSize: '13px',
+      color: '#202223',
+    }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <span style={{ fontWeight: 600, minWidth: '120px' }}>Whole catalog</span>
+        <select
+          value={catalogQuantityMode}
+          onChange={(e) => setCatalogQuantityMode(e.target.value)}
+          aria-label="Labels per variant"
+          style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+        >
+          {Object.entries(CATALOG_QUANTITY_MODES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <s-button
+          onClick={handleCatalogExport}
+          {...(catalogJob && CATALOG_JOB_ACTIVE.includes(catalogJob.status) ? { disabled: true } : {})}
+          {...(catalogFetcher.state !== "idle" && !catalogJob ? { loading: true } : {})}
+        >
+          Export all matching variants
+        </s-button>
+        <span style={{ color: '#6d7175' }}>
+          Not just the products loaded below - uses the format and filters above
+        </span>
+      </div>
+
+      {catalogJob && (
+        <s-banner
+          tone={catalogJob.status === "failed" ? "critical" : catalogJob.status === "completed" ? "success" : "info"}
+        >
+          {catalogJob.status === "running" && (
+            `Shopify is collecting your catalog… ${catalogJob.objectCount} products and variants read so far.`
+          )}
+          {catalogJob.status === "processing" && "Building the export file…"}
+          {catalogJob.status === "completed" && (
+            <>
+              Exported {catalogJob.labelCount} label{catalogJob.labelCount !== 1 ? 's' : ''} for{' '}
+              {catalogJob.variantCount} variant{catalogJob.variantCount !== 1 ? 's' : ''}.{' '}
+              <s-link href="/app/export-history">Download it again from Export History</s-link>
+            </>
+          )}
+          {catalogJob.status === "failed" && `Catalog export failed: ${catalogJob.error}`}
+          {CATALOG_JOB_ACTIVE.includes(catalogJob.status) && (
+            <div style={{ height: '6px', background: '#e1e3e5', borderRadius: '3px', margin: '8px 0', overflow: 'hidden' }}>
+              {/* Shopify doesn't report a total, so the bar only shows that work is going on */}
+              <div style={{
+                width: catalogJob.status === "processing" ? '90%' : '40%',
+                height: '100%',
+                background: '#008060',
+                borderRadius: '3px',
+              }} />
+            </div>
+          )}
+          {!CATALOG_JOB_ACTIVE.includes(catalogJob.status) && (
+            <div style={{ marginTop: '8px' }}>
+              <s-button onClick={() => setCatalogJob(null)}>Dismiss</s-button>
+            </div>
+          )}
+        </s-banner>
+      )}
+    </div>
+  );
+}
+
+CatalogExportPanel.propTypes = {
+  catalogExport: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+  }),
+  buildFilterParams: PropTypes.func.isRequired,
+  appendExportSettings: PropTypes.func.isRequired,
+};
@@ -0,0 +1,182 @@
+import { useFetcher } from "react-router";
+import { useState, useEffect } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import PropTypes from "prop-types";
+import { describeBatchChange } from "../utils/label-batch";
+import { OrderLabelsForm } from "./OrderLabelsForm";
+
+/**
+ * Label batch on the export page - variants collected from any search, exported together
+ * Edits go to the app.label-batch route; the page's loader then returns the new batch.
+ * getSelectedItems returns the variants selected in the product list with their label
+ * quantities, and onExport(items, totalLabels) exports with the page's format options.
+ */
+export function LabelBatchPanel({ labelBatch, selectedCount, getSelectedItems, onExport, isExporting }) {
+  const shopify = useAppBridge();
+  const batchFetcher = useFetcher();
+  const [showBatch, setShowBatch] = useState(false);
+
+  useEffect(() => {
+    const data = batchFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+    } else if (data.actionType === "addToBatch") {
+      shopify.toast.show(describeBatchChange(data));
+    } else if (data.actionType === "clearBatch") {
+      shopify.toast.show("Label batch cleared");
+    }
+  }, [batchFetcher.data, shopify]);
+
+  const submitBatchChange = (formData) => {
+    batchFetcher.submit(formData, { method: "post", action: "/app/label-batch" });
+  };
+
+  // Add the selected variants with their label quantities to the batch
+  const handleAddToBatch = () => {
+    const items = getSelectedItems().filter((item) => item.quantity > 0);
+
+    if (items.length === 0) {
+      shopify.toast.show("Select variants with a label quantity above 0", { isError: true });
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("actionType", "addToBatch");
+    formData.append("items", JSON.stringify(items));
+    submitBatchChange(formData);
+  };
+
+  // Save a changed batch quantity (0 removes the variant)
+  const handleBatchQuantityChange = (item, value) => {
+    const quantity = parseInt(value, 10);
+    if (isNaN(quantity) || quantity === item.quantity) return;
+
+    const formData = new FormData();
+    formData.append("actionType", "updateBatchItem");
+    formData.append("variantId", item.variantId);
+    formData.append("quantity", String(quantity));
+    submitBatchChange(formData);
+  };
+
+  const handleClearBatch = () => {
+    if (!window.confirm(`Remove all ${labelBatch.length} variants from the label batch?`)) return;
+
+    const formData = new FormData();
+    formData.append("actionType", "clearBatch");
+    submitBatchChange(formData);
+  };
+
+  const batchLabelCount = labelBatch.reduce((sum, item) => sum + item.quantity, 0);
+
+  // Export the label batch with the page's current format options
+  const handleExportBatch = () => {
+    onExport(
+      labelBatch.map(({ variantId, quantity }) => ({ variantId, quantity })),
+      batchLabelCount
+    );
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      marginBottom: '12px',
+      padding: '12px',
+      background: '#f9fafb',
+      borderRadius: '6px',
+      fontSize: '13px',
+      color: '#202223',
+    }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <span style={{ fontWeight: 600, minWidth: '120px' }}>Label batch</span>
+        <span style={{ color: '#6d7175' }}>
+          {labelBatch.length === 0
+            ? 'Empty - add variants from any search and export them together later'
+            : `${labelBatch.length} variant${labelBatch.length !== 1 ? 's' : ''} • ${batchLabelCount} label${batchLabelCount !== 1 ? 's' : ''}`}
+        </span>
+        <s-button
+          onClick={handleAddToBatch}
+          {...(selectedCount === 0 ? { disabled: true } : {})}
+          {...(batchFetcher.state !== "idle" ? { loading: true } : {})}
+        >
+          Add selected to batch
+        </s-button>
+        {labelBatch.length > 0 && (
+          <>
+            <s-button
+              variant="primary"
+              onClick={handleExportBatch}
+              {...(isExporting ? { loading: true } : {})}
+            >
+              Export batch
+            </s-button>
+            <s-button onClick={() => setShowBatch((open) => !open)}>
+              {showBatch ? 'Hide batch' : 'Show batch'}
+            </s-button>
+            <s-button tone="critical" onClick={handleClearBatch}>
+              Clear batch
+            </s-button>
+          </>
+        )}
+      </div>
+
+      {/* Fill the batch from orders: one label per unit ordered */}
+      <OrderLabelsForm />
+
+      {showBatch && labelBatch.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', background: '#ffffff' }}>
+          <thead>
+            <tr style={{ borderBottom: '1px solid #e1e3e5', textAlign: 'left' }}>
+              <th style={{ padding: '8px' }}>Variant</th>
+              <th style={{ padding: '8px' }}>SKU</th>
+              <th style={{ padding: '8px' }}>Labels</th>
+              <th style={{ padding: '8px' }} />
+            </tr>
+          </thead>
+          <tbody>
+            {labelBatch.map((item) => (
+              <tr key={item.variantId} style={{ borderBottom: '1px solid #f1f2f3' }}>
+                <td style={{ padding: '8px' }}>{item.displayName}</td>
+                <td style={{ padding: '8px' }}>{item.sku || '—'}</td>
+                <td style={{ padding: '8px' }}>
+                  <input
+                    // Re-mounted when the saved quantity changes
+                    key={item.quantity}
+                    type="number"
+                    min="0"
+                    max="1000"
+                    defaultValue={item.quantity}
+                    onBlur={(e) => handleBatchQuantityChange(item, e.target.value)}
+                    aria-label={`Labels for ${item.displayName}`}
+                    style={{ width: '72px', padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  />
+                </td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>
+                  <s-button variant="tertiary" onClick={() => handleBatchQuantityChange(item, 0)}>
+                    Remove
+                  </s-button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+LabelBatchPanel.propTypes = {
+  labelBatch: PropTypes.arrayOf(PropTypes.shape({
+    variantId: PropTypes.string.isRequired,
+    quantity: PropTypes.number.isRequired,
+    displayName: PropTypes.string.isRequired,
+    sku: PropTypes.string,
+  })).isRequired,
+  selectedCount: PropTypes.number.isRequired,
+  getSelectedItems: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  isExporting: PropTypes.bool.isRequired,
+};
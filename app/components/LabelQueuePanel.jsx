@@ -0,0 +1,152 @@
+import { useFetcher } from "react-router";
+import { useState, useEffect, useRef } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import PropTypes from "prop-types";
+import { startDownload } from "../utils/download";
+
+/**
+ * "Needs labels" queue on the export page - new and re-priced variants from product webhooks
+ * Exports and edits go to the app.label-queue route. Exported variants leave the queue
+ * once the file is downloaded; the page's loader then returns the shorter queue.
+ * appendExportSettings adds the page's format options to the export request.
+ */
+export function LabelQueuePanel({ labelQueue, formatPrice, appendExportSettings }) {
+  const shopify = useAppBridge();
+  const exportFetcher = useFetcher();
+  const queueFetcher = useFetcher();
+  const [showQueue, setShowQueue] = useState(false);
+  const downloadInitiatedRef = useRef(null);
+
+  // Start the download once the export's token is ready
+  useEffect(() => {
+    const data = exportFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+    } else if (downloadInitiatedRef.current !== data.downloadUrl) {
+      downloadInitiatedRef.current = data.downloadUrl;
+      startDownload(data.downloadUrl);
+      shopify.toast.show(`Exporting ${data.labelCount} label${data.labelCount !== 1 ? 's' : ''}... Download starting!`);
+    }
+  }, [exportFetcher.data, shopify]);
+
+  useEffect(() => {
+    const data = queueFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+    } else if (data.actionType === "clearQueue") {
+      shopify.toast.show("Needs-labels queue cleared");
+    }
+  }, [queueFetcher.data, shopify]);
+
+  // Export the whole needs-labels queue with the page's current format options
+  const handleExportQueue = () => {
+    shopify.toast.show(`Exporting ${queueLabelCount} label${queueLabelCount !== 1 ? 's' : ''}...`);
+
+    const formData = new FormData();
+    formData.append("actionType", "exportLabelQueue");
+    appendExportSettings(formData);
+    exportFetcher.submit(formData, { method: "post", action: "/app/label-queue" });
+  };
+
+  const handleRemoveFromQueue = (variantId) => {
+    const formData = new FormData();
+    formData.append("actionType", "removeFromQueue");
+    formData.append("variantId", variantId);
+    queueFetcher.submit(formData, { method: "post", action: "/app/label-queue" });
+  };
+
+  const handleClearQueue = () => {
+    if (!window.confirm(`Remove all ${labelQueue.length} variants from the needs-labels queue without printing?`)) return;
+
+    const formData = new FormData();
+    formData.append("actionType", "clearQueue");
+    queueFetcher.submit(formData, { method: "post", action: "/app/label-queue" });
+  };
+
+  const queueLabelCount = labelQueue.reduce((sum, item) => sum + item.quantity, 0);
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      marginBottom: '12px',
+      padding: '12px',
+      background: '#f9fafb',
+      borderRadius: '6px',
+      fontSize: '13px',
+      color: '#202223',
+    }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <span style={{ fontWeight: 600, minWidth: '120px' }}>Needs labels</span>
+        <span style={{ color: '#6d7175' }}>
+          {`${labelQueue.length} new or re-priced variant${labelQueue.length !== 1 ? 's' : ''} • ${queueLabelCount} label${queueLabelCount !== 1 ? 's' : ''}`}
+        </span>
+        <s-button
+          variant="primary"
+          onClick={handleExportQueue}
+          {...(exportFetcher.state !== "idle" ? { loading: true } : {})}
+        >
+          Export queued labels
+        </s-button>
+        <s-button onClick={() => setShowQueue((open) => !open)}>
+          {showQueue ? 'Hide queue' : 'Show queue'}
+        </s-button>
+        <s-button tone="critical" onClick={handleClearQueue}>
+          Clear queue
+        </s-button>
+      </div>
+
+      {showQueue && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', background: '#ffffff' }}>
+          <thead>
+            <tr style={{ borderBottom: '1px solid #e1e3e5', textAlign: 'left' }}>
+              <th style={{ padding: '8px' }}>Variant</th>
+              <th style={{ padding: '8px' }}>SKU</th>
+              <th style={{ padding: '8px' }}>Why</th>
+              <th style={{ padding: '8px' }}>Labels</th>
+              <th style={{ padding: '8px' }} />
+            </tr>
+          </thead>
+          <tbody>
+            {labelQueue.map((item) => (
+              <tr key={item.variantId} style={{ borderBottom: '1px solid #f1f2f3' }}>
+                <td style={{ padding: '8px' }}>{item.displayName}</td>
+                <td style={{ padding: '8px' }}>{item.sku || '—'}</td>
+                <td style={{ padding: '8px' }}>
+                  {item.reason === 'priceChanged'
+                    ? `Price ${formatPrice(item.previousPrice)} → ${formatPrice(item.price)}`
+                    : `New at ${formatPrice(item.price)}`}
+                </td>
+                <td style={{ padding: '8px' }}>{item.quantity}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>
+                  <s-button variant="tertiary" onClick={() => handleRemoveFromQueue(item.variantId)}>
+                    Dismiss
+                  </s-button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+LabelQueuePanel.propTypes = {
+  labelQueue: PropTypes.arrayOf(PropTypes.shape({
+    variantId: PropTypes.string.isRequired,
+    reason: PropTypes.string.isRequired,
+    quantity: PropTypes.number.isRequired,
+    displayName: PropTypes.string.isRequired,
+    sku: PropTypes.string,
+    price: PropTypes.string.isRequired,
+    previousPrice: PropTypes.string,
+  })).isRequired,
+  formatPrice: PropTypes.func.isRequired,
+  appendExportSettings: PropTypes.func.isRequired,
+};
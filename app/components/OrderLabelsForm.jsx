@@ -0,0 +1,93 @@
+import { useFetcher } from "react-router";
+import { useState, useEffect } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { describeBatchChange } from "../utils/label-batch";
+
+const inputStyle = { padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' };
+
+/**
+ * Fills the label batch from orders: one label per unit ordered
+ * The batch shown on the export page reloads once the items are added.
+ */
+export function OrderLabelsForm() {
+  const shopify = useAppBridge();
+  const orderFetcher = useFetcher();
+  const [orderLookup, setOrderLookup] = useState({
+    orderMode: "order",
+    order: "",
+    ordersFrom: "",
+    ordersTo: "",
+  });
+
+  useEffect(() => {
+    const data = orderFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+    } else {
+      shopify.toast.show(describeBatchChange(data));
+    }
+  }, [orderFetcher.data, shopify]);
+
+  const handleOrderLookupChange = (name, value) => {
+    setOrderLookup((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Add the line items of an order (or the orders in a date range) to the batch
+  const handleAddOrdersToBatch = () => {
+    const formData = new FormData();
+    Object.entries(orderLookup).forEach(([key, value]) => formData.append(key, value));
+    orderFetcher.submit(formData, { method: "post", action: "/app/order-labels" });
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+      <span style={{ minWidth: '120px' }}>From orders</span>
+      <select
+        value={orderLookup.orderMode}
+        onChange={(e) => handleOrderLookupChange('orderMode', e.target.value)}
+        aria-label="Orders to label"
+        style={inputStyle}
+      >
+        <option value="order">One order</option>
+        <option value="dateRange">Orders placed between</option>
+      </select>
+      {orderLookup.orderMode === 'order' ? (
+        <input
+          type="text"
+          placeholder="#1001 or order ID"
+          value={orderLookup.order}
+          onChange={(e) => handleOrderLookupChange('order', e.target.value)}
+          aria-label="Order number or ID"
+          style={{ ...inputStyle, width: '160px' }}
+        />
+      ) : (
+        <>
+          <input
+            type="date"
+            value={orderLookup.ordersFrom}
+            onChange={(e) => handleOrderLookupChange('ordersFrom', e.target.value)}
+            aria-label="First day"
+            style={inputStyle}
+          />
+          and
+          <input
+            type="date"
+            value={orderLookup.ordersTo}
+            onChange={(e) => handleOrderLookupChange('ordersTo', e.target.value)}
+            aria-label="Last day"
+            style={inputStyle}
+          />
+          <span style={{ color: '#6d7175', fontSize: '13px' }}>(last 60 days only)</span>
+        </>
+      )}
+      <s-button
+        onClick={handleAddOrdersToBatch}
+        {...(orderFetcher.state !== "idle" ? { loading: true } : {})}
+      >
+        Add order items to batch
+      </s-button>
+    </div>
+  );
+}
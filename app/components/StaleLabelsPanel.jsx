@@ -0,0 +1,191 @@
+import { useFetcher } from "react-router";
+import { useState, useEffect } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import PropTypes from "prop-types";
+
+// Names of the label fields the reprint check compares
+const REPRINT_FIELDS = {
+  title: "Title",
+  price: "Price",
+  compareAtPrice: "Compare-at price",
+  barcode: "Barcode",
+};
+
+/**
+ * "Needs reprint" on the export page - printed labels that no longer match the product
+ * Checks go to the app.stale-labels route. onExport(items, totalLabels) exports the
+ * ticked labels with the page's format options.
+ */
+export function StaleLabelsPanel({ formatPrice, onExport, isExporting }) {
+  const shopify = useAppBridge();
+  const reprintFetcher = useFetcher();
+
+  // Labels found stale by the last reprint check, and the ones ticked for export
+  const [reprints, setReprints] = useState(null);
+  const [selectedReprintIds, setSelectedReprintIds] = useState([]);
+
+  // Show the result of a reprint check with every stale label ticked
+  // ("Check older labels" adds to the list of the previous check)
+  useEffect(() => {
+    const data = reprintFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+    } else if (data.continued) {
+      setReprints((prev) => ({
+        stale: [...(prev?.stale || []), ...data.stale],
+        checked: (prev?.checked || 0) + data.checked,
+        nextCursor: data.nextCursor,
+      }));
+      setSelectedReprintIds((prev) => [...prev, ...data.stale.map((item) => item.variantId)]);
+    } else {
+      setReprints({ stale: data.stale, checked: data.checked, nextCursor: data.nextCursor });
+      setSelectedReprintIds(data.stale.map((item) => item.variantId));
+    }
+  }, [reprintFetcher.data, shopify]);
+
+  const handleFindStaleLabels = (after = null) => {
+    const formData = new FormData();
+    formData.append("actionType", "findStaleLabels");
+    if (after) formData.append("after", after);
+    reprintFetcher.submit(formData, { method: "post", action: "/app/stale-labels" });
+  };
+
+  const handleSelectReprint = (variantId) => {
+    setSelectedReprintIds((prev) =>
+      prev.includes(variantId) ? prev.filter((id) => id !== variantId) : [...prev, variantId]
+    );
+  };
+
+  // Reprint the ticked labels with as many labels as were printed last time.
+  // The download records new snapshots, so they are taken off the list here too.
+  const handleExportReprints = () => {
+    const items = reprints.stale
+      .filter((item) => selectedReprintIds.includes(item.variantId))
+      .map(({ variantId, quantity }) => ({ variantId, quantity }));
+    onExport(items, items.reduce((sum, item) => sum + item.quantity, 0));
+
+    setReprints((prev) => ({
+      ...prev,
+      stale: prev.stale.filter((item) => !selectedReprintIds.includes(item.variantId)),
+    }));
+    setSelectedReprintIds([]);
+  };
+
+  const reprintLabelCount = (reprints?.stale || [])
+    .filter((item) => selectedReprintIds.includes(item.variantId))
+    .reduce((sum, item) => sum + item.quantity, 0);
+
+  // "Price $10.00 → $12.00" for one change found by the reprint check
+  const describeLabelChange = ({ field, printed, current }) => {
+    const show = (value) => {
+      if (value === null || value === "") return "none";
+      return field === "price" || field === "compareAtPrice" ? formatPrice(value) : value;
+    };
+    return `${REPRINT_FIELDS[field]} ${show(printed)} → ${show(current)}`;
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      marginBottom: '12px',
+      padding: '12px',
+      background: '#f9fafb',
+      borderRadius: '6px',
+      fontSize: '13px',
+      color: '#202223',
+    }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <span style={{ fontWeight: 600, minWidth: '120px' }}>Needs reprint</span>
+        <span style={{ color: '#6d7175' }}>
+          {reprints
+            ? `${reprints.stale.length} of ${reprints.checked} printed variant${reprints.checked !== 1 ? 's' : ''} changed since their labels were printed` +
+              (reprints.nextCursor ? ' (older labels not checked yet)' : '')
+            : 'Find printed labels whose price, compare-at price, barcode or title has changed'}
+        </span>
+        <s-button
+          onClick={() => handleFindStaleLabels()}
+          {...(reprintFetcher.state !== "idle" ? { loading: true } : {})}
+        >
+          Check printed labels
+        </s-button>
+        {reprints?.nextCursor && (
+          <s-button
+            onClick={() => handleFindStaleLabels(reprints.nextCursor)}
+            {...(reprintFetcher.state !== "idle" ? { disabled: true } : {})}
+          >
+            Check older labels
+          </s-button>
+        )}
+        {reprints?.stale.length > 0 && (
+          <s-button
+            variant="primary"
+            onClick={handleExportReprints}
+            {...(selectedReprintIds.length === 0 ? { disabled: true } : {})}
+            {...(isExporting ? { loading: true } : {})}
+          >
+            {`Export ${reprintLabelCount} label${reprintLabelCount !== 1 ? 's' : ''}`}
+          </s-button>
+        )}
+      </div>
+
+      {reprints?.stale.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', background: '#ffffff' }}>
+          <thead>
+            <tr style={{ borderBottom: '1px solid #e1e3e5', textAlign: 'left' }}>
+              <th style={{ padding: '8px', width: '32px' }}>
+                <input
+                  type="checkbox"
+                  checked={selectedReprintIds.length === reprints.stale.length}
+                  onChange={(e) => setSelectedReprintIds(
+                    e.target.checked ? reprints.stale.map((item) => item.variantId) : []
+                  )}
+                  aria-label="Select all labels to reprint"
+                />
+              </th>
+              <th style={{ padding: '8px' }}>Variant</th>
+              <th style={{ padding: '8px' }}>SKU</th>
+              <th style={{ padding: '8px' }}>Changes</th>
+              <th style={{ padding: '8px' }}>Printed</th>
+              <th style={{ padding: '8px' }}>Labels</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reprints.stale.map((item) => (
+              <tr key={item.variantId} style={{ borderBottom: '1px solid #f1f2f3' }}>
+                <td style={{ padding: '8px' }}>
+                  <input
+                    type="checkbox"
+                    checked={selectedReprintIds.includes(item.variantId)}
+                    onChange={() => handleSelectReprint(item.variantId)}
+                    aria-label={`Reprint ${item.displayName}`}
+                  />
+                </td>
+                <td style={{ padding: '8px' }}>{item.displayName}</td>
+                <td style={{ padding: '8px' }}>{item.sku || '—'}</td>
+                <td style={{ padding: '8px' }}>
+                  {item.changes.map((change) => (
+                    <div key={change.field}>{describeLabelChange(change)}</div>
+                  ))}
+                </td>
+                <td style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                  {new Date(item.printedAt).toLocaleDateString()}
+                </td>
+                <td style={{ padding: '8px' }}>{item.quantity}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+StaleLabelsPanel.propTypes = {
+  formatPrice: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  isExporting: PropTypes.bool.isRequired,
+};
@@ -0,0 +1,110 @@
+/**
+ * GraphQL for Shopify Bulk Operations (catalog exports and the barcode audit)
+ */
+
+/**
+ * Start a bulk query - the query to run is passed as a string
+ */
+export const RUN_BULK_QUERY_MUTATION = `#graphql
+  mutation RunBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Status of a bulk operation; url is set once it has completed
+ */
+export const BULK_OPERATION_QUERY = `#graphql
+  query GetBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+      }
+    }
+  }
+`;
+
+/**
+ * Bulk query for the variants of all products matching a product search
+ * Each product and each variant comes out as its own JSONL line; variant lines have
+ * __parentId set to the product. The fields match VARIANTS_BY_ID_QUERY (without
+ * metafields), so the label file can be built from the result.
+ * @param {string} searchQuery - Shopify product search, e.g. from parseProductFilters
+ * @returns {string}
+ */
+export function catalogVariantsBulkQuery(searchQuery) {
+  // JSON string escaping is valid GraphQL string escaping
+  return `
+    {
+      products(query: ${JSON.stringify(searchQuery)}) {
+        edges {
+          node {
+            id
+            title
+            handle
+            vendor
+            productType
+            variants {
+              edges {
+                node {
+                  id
+                  title
+                  sku
+                  barcode
+                  price
+                  compareAtPrice
+                  inventoryQuantity
+                  displayName
+                  selectedOptions {
+                    name
+                    value
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Bulk query for the barcode of every variant, on products of any status
+ * Variant lines have __parentId set to the product.
+ */
+export const BARCODE_AUDIT_BULK_QUERY = `
+  {
+    products {
+      edges {
+        node {
+          id
+          title
+          variants {
+            edges {
+              node {
+                id
+                displayName
+                sku
+                barcode
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
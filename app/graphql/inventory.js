@@ -0,0 +1,40 @@
+/**
+ * GraphQL queries for inventory at a location (label quantities)
+ */
+
+/**
+ * Query for the shop's active locations
+ */
+export const LOCATIONS_QUERY = `#graphql
+  query GetLocations {
+    locations(first: 100, sortKey: NAME) {
+      nodes {
+        id
+        name
+      }
+    }
+  }
+`;
+
+/**
+ * Query for variants' available quantity at one location
+ * inventoryLevel is null when the item isn't stocked at the location.
+ */
+export const VARIANT_INVENTORY_LEVELS_QUERY = `#graphql
+  query GetVariantInventoryLevels($ids: [ID!]!, $locationId: ID!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        inventoryItem {
+          id
+          inventoryLevel(locationId: $locationId) {
+            quantities(names: ["available"]) {
+              name
+              quantity
+            }
+          }
+        }
+      }
+    }
+  }
+`;
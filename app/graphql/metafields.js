@@ -0,0 +1,32 @@
+/**
+ * GraphQL queries for metafield definitions offered as export columns
+ */
+
+/**
+ * Query for the shop's product and variant metafield definitions
+ * Used to suggest namespace/key pairs on the export page
+ */
+export const METAFIELD_DEFINITIONS_QUERY = `#graphql
+  query GetMetafieldDefinitions {
+    productDefinitions: metafieldDefinitions(ownerType: PRODUCT, first: 100) {
+      nodes {
+        name
+        namespace
+        key
+        type {
+          name
+        }
+      }
+    }
+    variantDefinitions: metafieldDefinitions(ownerType: PRODUCTVARIANT, first: 100) {
+      nodes {
+        name
+        namespace
+        key
+        type {
+          name
+        }
+      }
+    }
+  }
+`;
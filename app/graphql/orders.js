@@ -0,0 +1,57 @@
+/**
+ * GraphQL queries for labelling the items on orders
+ */
+
+/**
+ * Query for orders and their first 50 line items
+ * Line items without a variant (custom items, deleted products) have variant: null.
+ * Kept to 50 line items so a page of 10 orders stays within the query cost limit.
+ */
+export const ORDER_LINE_ITEMS_QUERY = `#graphql
+  query GetOrderLineItems($first: Int!, $after: String, $query: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+      nodes {
+        id
+        name
+        lineItems(first: 50) {
+          nodes {
+            quantity
+            variant {
+              id
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Query for the rest of an order's line items (orders with more than 50)
+ */
+export const ORDER_MORE_LINE_ITEMS_QUERY = `#graphql
+  query GetOrderMoreLineItems($id: ID!, $after: String) {
+    order(id: $id) {
+      lineItems(first: 100, after: $after) {
+        nodes {
+          quantity
+          variant {
+            id
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
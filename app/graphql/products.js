@@ -24,10 +24,15 @@ export const PRODUCTS_QUERY = `#graphql
                 sku
                 barcode
                 price
+                compareAtPrice
                 inventoryQuantity
                 displayName
               }
             }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
           }
         }
       }
@@ -39,6 +44,60 @@ export const PRODUCTS_QUERY = `#graphql
   }
 `;
 
+/**
+ * Choices for the structured filters on the export page
+ * (lists are capped; other values can still be typed in)
+ */
+export const FILTER_OPTIONS_QUERY = `#graphql
+  query GetFilterOptions {
+    collections(first: 250, sortKey: TITLE) {
+      nodes {
+        id
+        title
+      }
+    }
+    productTypes(first: 250) {
+      nodes
+    }
+    productVendors(first: 250) {
+      nodes
+    }
+    productTags(first: 250) {
+      nodes
+    }
+  }
+`;
+
+/**
+ * Follow-up query for products with more variants than fit in
+ * PRODUCTS_QUERY's first page (e.g. size × colour × width matrices)
+ */
+export const PRODUCT_VARIANTS_QUERY = `#graphql
+  query GetProductVariants($id: ID!, $first: Int!, $after: String) {
+    product(id: $id) {
+      id
+      variants(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            sku
+            barcode
+            price
+            compareAtPrice
+            inventoryQuantity
+            displayName
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
 /**
  * Query to check if a barcode already exists in the store
  */
@@ -63,10 +122,35 @@ export const CHECK_BARCODE_EXISTS_QUERY = `#graphql
 `;
 
 /**
- * Mutation to update a product variant's barcode
+ * Query to find variants by SKU across the catalog (e.g. for supplier imports)
  */
-export const UPDATE_VARIANT_BARCODE_MUTATION = `#graphql
-  mutation UpdateVariantBarcode($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+export const VARIANTS_BY_SKU_QUERY = `#graphql
+  query GetVariantsBySku($first: Int!, $after: String, $query: String!) {
+    productVariants(first: $first, after: $after, query: $query) {
+      nodes {
+        id
+        title
+        sku
+        barcode
+        displayName
+        product {
+          id
+          title
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Mutation to update the barcodes and SKUs of a product's variants
+ */
+export const UPDATE_VARIANTS_MUTATION = `#graphql
+  mutation UpdateVariants($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
     productVariantsBulkUpdate(productId: $productId, variants: $variants) {
       productVariants {
         id
@@ -81,3 +165,99 @@ export const UPDATE_VARIANT_BARCODE_MUTATION = `#graphql
     }
   }
 `;
+
+/**
+ * Query to fetch authoritative variant data by ID when building an export
+ * (nodes accepts at most 250 IDs per request)
+ *
+ * Metafields are only fetched when columns were requested for them; keys are
+ * "namespace.key" strings and the counts are the number of keys. reference/references
+ * resolve reference-type values to something printable (the first 10 of a list).
+ * Metafields raise the query cost quickly - fetchVariantsByIds sends fewer IDs with them.
+ */
+export const VARIANTS_BY_ID_QUERY = `#graphql
+  query GetVariantsById(
+    $ids: [ID!]!
+    $productMetafieldKeys: [String!] = []
+    $variantMetafieldKeys: [String!] = []
+    $includeProductMetafields: Boolean = false
+    $includeVariantMetafields: Boolean = false
+    $productMetafieldCount: Int = 1
+    $variantMetafieldCount: Int = 1
+  ) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        title
+        sku
+        barcode
+        price
+        compareAtPrice
+        inventoryQuantity
+        displayName
+        selectedOptions {
+          name
+          value
+        }
+        metafields(first: $variantMetafieldCount, keys: $variantMetafieldKeys) @include(if: $includeVariantMetafields) {
+          nodes {
+            ...LabelMetafield
+          }
+        }
+        product {
+          id
+          title
+          handle
+          vendor
+          productType
+          metafields(first: $productMetafieldCount, keys: $productMetafieldKeys) @include(if: $includeProductMetafields) {
+            nodes {
+              ...LabelMetafield
+            }
+          }
+        }
+      }
+    }
+  }
+
+  fragment LabelMetafield on Metafield {
+    namespace
+    key
+    type
+    value
+    reference {
+      ...LabelMetafieldReference
+    }
+    references(first: 10) {
+      nodes {
+        ...LabelMetafieldReference
+      }
+    }
+  }
+
+  fragment LabelMetafieldReference on MetafieldReference {
+    ... on Product {
+      title
+    }
+    ... on ProductVariant {
+      displayName
+    }
+    ... on Collection {
+      title
+    }
+    ... on Metaobject {
+      displayName
+    }
+    ... on Page {
+      title
+    }
+    ... on MediaImage {
+      image {
+        url
+      }
+    }
+    ... on GenericFile {
+      url
+    }
+  }
+`;
@@ -0,0 +1,17 @@
+/**
+ * GraphQL queries for shop-level settings used when formatting exports
+ */
+
+/**
+ * Query for the shop's currency and money format (e.g. "€{{amount_with_comma_separator}}")
+ */
+export const SHOP_CURRENCY_QUERY = `#graphql
+  query GetShopCurrency {
+    shop {
+      currencyCode
+      currencyFormats {
+        moneyFormat
+      }
+    }
+  }
+`;
@@ -1,110 +1,280 @@
 import { useLoaderData, useSubmit, useFetcher } from "react-router";
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { PRODUCTS_QUERY, UPDATE_VARIANT_BARCODE_MUTATION } from "../graphql/products";
-import crypto from "crypto";
+import { FILTER_OPTIONS_QUERY, PRODUCTS_QUERY } from "../graphql/products";
+import { METAFIELD_DEFINITIONS_QUERY } from "../graphql/metafields";
 import db from "../db.server";
-import { generateUniqueBarcode } from "../utils/barcode";
+import { parseBatchId } from "../utils/barcode-history.server";
+import { getStaffUser } from "../utils/staff";
+import {
+  assignBarcodes,
+  findVariantsMissing,
+  GENERATED_FIELDS,
+  parseBulkBarcodeVariantIds,
+} from "../utils/bulk-barcodes.server";
+import { startDownload } from "../utils/download";
+import { getActiveCatalogExport } from "../utils/catalog-export.server";
+import { createExportDownload, parseExportSettings } from "../utils/export-history.server";
+import { deleteFilterPreset, listFilterPresets, saveFilterPreset } from "../utils/filter-presets.server";
+import { getLabelBatch } from "../utils/label-batch.server";
+import { fetchLocationQuantities, fetchLocations } from "../utils/inventory.server";
+import {
+  appendQuantitySource,
+  LABEL_QUANTITY_SOURCES,
+  parseQuantitySource,
+  receivedHistoryStart,
+  SINCE_LAST_EXPORT,
+} from "../utils/label-quantities";
+import { getLabelQueue } from "../utils/label-queue.server";
+import { assignSkus } from "../utils/sku-generator.server";
+import { waitForThrottle } from "../utils/throttle";
+import { chunkByProduct, fetchAllVariants } from "../utils/variants";
+import {
+  appendStructuredFilters,
+  matchesVariantFilters,
+  parseProductFilters,
+} from "../utils/product-search";
+import { createPriceFormatter, fetchShopCurrency, isOnSale } from "../utils/money";
+import {
+  CSV_DELIMITERS,
+  DEFAULT_DELIMITED_OPTIONS,
+  DEFAULT_ZPL_OPTIONS,
+  EXPORT_FORMATS,
+  LABEL_MODES,
+  MAX_LABELS_PER_VARIANT,
+  parseExportItems,
+  SPREADSHEET_FORMATS,
+  ZPL_DPIS,
+} from "../utils/export";
+import { MAX_METAFIELD_COLUMNS, METAFIELD_OWNERS } from "../utils/metafields";
+import {
+  BARCODE_SYMBOLOGIES,
+  DEFAULT_LABEL_LAYOUT,
+  LABEL_LAYOUTS,
+  labelsPerPage,
+} from "../utils/label-layouts";
+import { CatalogExportPanel } from "../components/CatalogExportPanel";
+import { LabelBatchPanel } from "../components/LabelBatchPanel";
+import { LabelQueuePanel } from "../components/LabelQueuePanel";
+import { StaleLabelsPanel } from "../components/StaleLabelsPanel";
+
+// Number of products fetched per loader call (initial page and each "load more")
+const PAGE_SIZE = 50;
+
+// Product pages read for one loader call when variant filters leave a page empty
+const MAX_FILTERED_PAGES = 10;
+
+// Variants sent per bulk barcode/SKU request - small enough to show steady progress
+const BULK_BARCODE_CHUNK_SIZE = 25;
+
+// Bulk runs for variants missing a value: the action for each chunk and names for messages
+const BULK_GENERATE = {
+  barcode: { actionType: "bulkGenerateBarcodes", name: "barcode", plural: "barcodes" },
+  sku: { actionType: "bulkGenerateSkus", name: "SKU", plural: "SKUs" },
+};
 
 /**
  * Loader: Fetches products and variants from Shopify Admin API
+ * With ?after= (load more) it returns just the next page of variants.
  */
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   // Get search query and status filter from URL
   const url = new URL(request.url);
-  const searchQuery = url.searchParams.get("search") || "";
-  const statusFilter = url.searchParams.get("status") || "active"; // default to active
-
-  // Parse status filter (can be: "active", "draft", or "active,draft")
-  // Sanitize to only allow valid statuses
-  const statuses = statusFilter
-    .split(',')
-    .map(s => s.trim().toLowerCase())
-    .filter(s => s === 'active' || s === 'draft')
-    .map(s => s.toUpperCase());
-
-  // Ensure at least one status is selected (default to ACTIVE if invalid)
-  const validStatuses = statuses.length > 0 ? statuses : ['ACTIVE'];
-
-  // Sanitize and validate search input
-  let sanitizedQuery = "";
-  if (searchQuery) {
-    // Limit length to prevent DoS
-    const trimmedQuery = searchQuery.trim().substring(0, 100);
-
-    // Sanitize: escape special GraphQL query characters
-    // Remove characters that could be used for query injection: *, ", :, OR, AND, NOT, parentheses
-    sanitizedQuery = trimmedQuery
-      .replace(/[*"():]/g, '') // Remove special query operators
-      .replace(/\b(OR|AND|NOT)\b/gi, '') // Remove boolean operators
-      .trim();
-  }
+  const after = url.searchParams.get("after") || null; // cursor for "load more"
+  const { searchQuery, validStatuses, onSaleOnly, filters, variantFilters, graphqlQuery } =
+    parseProductFilters(url.searchParams);
+  const quantitySource = parseQuantitySource(url.searchParams);
 
-  // Build GraphQL query string for Shopify product search
-  const queryParts = [];
+  // Flatten the data structure for easier rendering
+  // Each row represents a variant
+  const variantRows = [];
 
-  // Add search conditions
-  if (sanitizedQuery) {
-    queryParts.push(
-      `title:*${sanitizedQuery}* OR sku:*${sanitizedQuery}* OR barcode:*${sanitizedQuery}* OR vendor:*${sanitizedQuery}*`
-    );
-  }
+  // Products whose variants didn't fit in the first page and needed follow-up queries
+  const pagedProducts = [];
+
+  // Shopify search can't filter single variants (compare-at price, barcode, inventory),
+  // so those filters are applied per page - and pages without a match are skipped,
+  // so "load more" doesn't show an empty page while more products remain
+  let variants = [];
+  let pageInfo = { hasNextPage: true, endCursor: after };
+  let pagesRead = 0;
+
+  do {
+    // Fetch products with variants
+    const response = await admin.graphql(PRODUCTS_QUERY, {
+      variables: {
+        first: PAGE_SIZE,
+        after: pageInfo.endCursor,
+        query: graphqlQuery || null,
+      },
+    });
 
-  // Add status filter
-  // Build: "status:ACTIVE OR status:DRAFT"
-  if (validStatuses.length > 0) {
-    const statusQuery = validStatuses.map(s => `status:${s}`).join(' OR ');
-    queryParts.push(`(${statusQuery})`);
-  }
+    const data = await response.json();
 
-  // Combine with AND
-  let graphqlQuery = "";
-  if (queryParts.length > 0) {
-    graphqlQuery = queryParts.join(' AND ');
-  }
+    // Sequential on purpose: follow-up variant queries share the API rate limit
+    for (const { node: product } of data.data.products.edges) {
+      const { variants: productVariants, extraPages } = await fetchAllVariants(admin, product);
 
-  // Fetch products with variants
-  const response = await admin.graphql(PRODUCTS_QUERY, {
-    variables: {
-      first: 50, // Fetch 50 products at a time
-      query: graphqlQuery || null,
-    },
-  });
+      if (extraPages > 0) {
+        pagedProducts.push({
+          id: product.id,
+          title: product.title,
+          variantCount: productVariants.length,
+        });
+      }
 
-  const data = await response.json();
+      productVariants.forEach((variant) => {
+        variantRows.push({
+          id: variant.id,
+          productId: product.id,
+          productTitle: product.title,
+          productStatus: product.status,
+          vendor: product.vendor || "",
+          variantTitle: variant.title,
+          displayName: variant.displayName,
+          sku: variant.sku || "",
+          barcode: variant.barcode || "",
+          price: variant.price,
+          compareAtPrice: variant.compareAtPrice || null,
+          onSale: isOnSale(variant.price, variant.compareAtPrice),
+          inventoryQuantity: variant.inventoryQuantity || 0,
+          image: product.featuredImage?.url || null,
+          imageAlt: product.featuredImage?.altText || product.title,
+        });
+      });
+    }
 
-  // Flatten the data structure for easier rendering
-  // Each row represents a variant
-  const variantRows = [];
+    variants = variantRows.filter((v) => matchesVariantFilters(v, variantFilters));
+    pageInfo = data.data.products.pageInfo;
+    pagesRead++;
 
-  data.data.products.edges.forEach(({ node: product }) => {
-    product.variants.edges.forEach(({ node: variant }) => {
-      variantRows.push({
-        id: variant.id,
-        productId: product.id,
-        productTitle: product.title,
-        productStatus: product.status,
-        vendor: product.vendor || "",
-        variantTitle: variant.title,
-        displayName: variant.displayName,
-        sku: variant.sku || "N/A",
-        barcode: variant.barcode || "",
-        price: variant.price,
-        inventoryQuantity: variant.inventoryQuantity || 0,
-        image: product.featuredImage?.url || null,
-        imageAlt: product.featuredImage?.altText || product.title,
-      });
+    if (variants.length === 0 && pageInfo.hasNextPage) {
+      await waitForThrottle(data.extensions);
+    }
+  } while (variants.length === 0 && pageInfo.hasNextPage && pagesRead < MAX_FILTERED_PAGES);
+
+  // Default label quantities: total stock, or what's available/received at one location
+  // (0 for oversold variants, which the export skips; at most what one export allows)
+  const toLabelQuantity = (quantity) => Math.min(Math.max(quantity || 0, 0), MAX_LABELS_PER_VARIANT);
+  let receivedSince = null;
+  if (quantitySource.source === "total") {
+    variants.forEach((variant) => {
+      variant.defaultQuantity = toLabelQuantity(variant.inventoryQuantity);
+    });
+  } else {
+    const { quantities, since } = variants.length > 0
+      ? await fetchLocationQuantities(admin, session.shop, variants.map((v) => v.id), quantitySource)
+      : { quantities: new Map(), since: null };
+    receivedSince = since?.toISOString() || null;
+
+    variants.forEach((variant) => {
+      const { available = null, received = null } = quantities.get(variant.id) || {};
+      variant.locationAvailable = available;
+      variant.receivedQuantity = received;
+      variant.defaultQuantity = toLabelQuantity(quantitySource.source === "location" ? available : received);
     });
+  }
+
+  const { hasNextPage, endCursor } = pageInfo;
+
+  // "Load more" only needs the next page - the rest of the page's data is already loaded
+  if (after) {
+    return { variants, pagedProducts, hasNextPage, endCursor };
+  }
+
+  const locations = await fetchLocations(admin);
+
+  // Shop currency settings so prices display the same way they're exported
+  const { currencyCode, moneyFormat } = await fetchShopCurrency(admin);
+
+  // Column templates for spreadsheet exports (managed on the Templates page)
+  const templates = await db.exportTemplate.findMany({
+    where: { shop: session.shop },
+    select: { id: true, name: true },
+    orderBy: { name: "asc" },
   });
 
+  // Saved across searches and sessions
+  const labelBatch = await getLabelBatch(session.shop);
+  // Filled by the products/create and products/update webhooks
+  const labelQueue = await getLabelQueue(session.shop);
+  const filterPresets = await listFilterPresets(session.shop);
+  // Picked up again after leaving the page
+  const catalogExport = await getActiveCatalogExport(session.shop);
+
+  // Metafield definitions suggested as extra spreadsheet columns
+  // (unstructured metafields can still be typed in by namespace.key)
+  const definitionsResponse = await admin.graphql(METAFIELD_DEFINITIONS_QUERY);
+  const definitionsData = await definitionsResponse.json();
+  const metafieldDefinitions = {
+    product: definitionsData.data.productDefinitions.nodes.map(toDefinitionOption),
+    variant: definitionsData.data.variantDefinitions.nodes.map(toDefinitionOption),
+  };
+
+  // Collections, types, vendors and tags offered by the filter panel
+  const filterOptionsResponse = await admin.graphql(FILTER_OPTIONS_QUERY);
+  const filterOptionsData = await filterOptionsResponse.json();
+  const filterOptions = {
+    collections: filterOptionsData.data.collections.nodes,
+    productTypes: filterOptionsData.data.productTypes.nodes.filter(Boolean),
+    vendors: filterOptionsData.data.productVendors.nodes.filter(Boolean),
+    tags: filterOptionsData.data.productTags.nodes,
+  };
+
   return {
-    variants: variantRows,
-    hasNextPage: data.data.products.pageInfo.hasNextPage,
+    variants,
+    pagedProducts,
+    templates,
+    metafieldDefinitions,
+    currencyCode,
+    moneyFormat,
+    hasNextPage,
+    endCursor,
     searchQuery,
     statusFilter: validStatuses.map(s => s.toLowerCase()).join(','),
+    onSaleOnly,
+    filters,
+    filterOptions,
+    labelBatch,
+    labelQueue,
+    filterPresets,
+    catalogExport,
+    quantitySource,
+    locations,
+    receivedSince,
+  };
+}
+
+// Actions that leave the page's data as it was, or whose results the page applies
+// itself (generated barcodes and SKUs), so the loader doesn't need to run again
+const NON_REVALIDATING_ACTIONS = [
+  "checkCatalogExport",
+  "findStaleLabels",
+  "findMissing",
+  "generateBarcode",
+  "generateSku",
+  "bulkGenerateBarcodes",
+  "bulkGenerateSkus",
+];
+
+/**
+ * Skip reloading the page's data after NON_REVALIDATING_ACTIONS
+ */
+export function shouldRevalidate({ formData, defaultShouldRevalidate }) {
+  if (NON_REVALIDATING_ACTIONS.includes(formData?.get("actionType"))) {
+    return false;
+  }
+  return defaultShouldRevalidate;
+}
+
+function toDefinitionOption(definition) {
+  return {
+    key: `${definition.namespace}.${definition.key}`,
+    name: definition.name,
+    type: definition.type.name,
   };
 }
 
@@ -114,9 +284,14 @@ export async function loader({ request }) {
  * Actions:
  * 1. "export" - Creates a one-time download token for mobile-compatible file exports
  * 2. "generateBarcode" - Generates and updates a unique barcode for a variant
+ * 3. "findMissing" - Lists variants matching the filters that have no barcode (or SKU)
+ * 4. "bulkGenerateBarcodes" - Generates barcodes for a chunk of variants
+ * 5. "generateSku" - Generates a SKU for a variant from the shop's pattern
+ * 6. "bulkGenerateSkus" - Generates SKUs for a chunk of variants
+ * 7. "savePreset" / "deletePreset" - Edit the saved filter presets
  */
 export async function action({ request }) {
-  const { session, admin } = await authenticate.admin(request);
+  const { session, admin, sessionToken } = await authenticate.admin(request);
 
   const formData = await request.formData();
   const actionType = formData.get("actionType");
@@ -124,37 +299,24 @@ export async function action({ request }) {
   // Handle barcode generation
   if (actionType === "generateBarcode") {
     const variantId = formData.get("variantId");
-    const productId = formData.get("productId");
 
-    if (!variantId || !productId) {
-      return { error: "No variant ID or product ID provided" };
+    if (!variantId) {
+      return { error: "No variant ID provided" };
     }
 
     try {
-      // Generate a unique barcode
-      const newBarcode = await generateUniqueBarcode(admin);
-
-      // Update the variant in Shopify using bulk update mutation
-      const response = await admin.graphql(UPDATE_VARIANT_BARCODE_MUTATION, {
-        variables: {
-          productId: productId,
-          variants: [
-            {
-              id: variantId,
-              barcode: newBarcode,
-            },
-          ],
-        },
+      // Next free barcode from the shop's range, saved and recorded in the barcode history
+      const { updated, failed } = await assignBarcodes(admin, session.shop, [variantId], {
+        replaceExisting: true,
+        staff: getStaffUser({ session, sessionToken }),
       });
 
-      const data = await response.json();
+      if (failed.length > 0) {
+        return { error: `Failed to update barcode: ${failed[0].message}` };
+      }
 
-      // Check for errors
-      if (data.data.productVariantsBulkUpdate.userErrors.length > 0) {
-        const errorMessages = data.data.productVariantsBulkUpdate.userErrors
-          .map((e) => e.message)
-          .join(", ");
-        return { error: `Failed to update barcode: ${errorMessages}` };
+      if (updated.length === 0) {
+        return { error: "Variant no longer exists" };
       }
 
       // Return success with new barcode
@@ -162,7 +324,7 @@ export async function action({ request }) {
         success: true,
         actionType: "generateBarcode",
         variantId,
-        barcode: newBarcode,
+        barcode: updated[0].barcode,
       };
     } catch (error) {
       console.error("Barcode generation error:", error);
@@ -170,36 +332,150 @@ export async function action({ request }) {
     }
   }
 
+  // List every variant matching the current filters that has no barcode (or no SKU)
+  if (actionType === "findMissing") {
+    const field = formData.get("field");
+    if (!Object.hasOwn(GENERATED_FIELDS, field)) {
+      return { error: "Invalid field" };
+    }
+
+    try {
+      const { graphqlQuery, variantFilters } = parseProductFilters(formData);
+      const { variants, nextCursor } = await findVariantsMissing(
+        admin, field, graphqlQuery, variantFilters, formData.get("after") || null
+      );
+
+      return { success: true, actionType: "findMissing", field, variants, nextCursor };
+    } catch (error) {
+      console.error("Missing value search error:", error);
+      return { error: error.message || `Failed to find variants without a ${GENERATED_FIELDS[field]}` };
+    }
+  }
+
+  // Generate a SKU from the shop's pattern
+  if (actionType === "generateSku") {
+    const variantId = formData.get("variantId");
+
+    if (!variantId) {
+      return { error: "No variant ID provided" };
+    }
+
+    try {
+      const { updated, failed } = await assignSkus(admin, session.shop, [variantId], {
+        replaceExisting: true,
+      });
+
+      if (failed.length > 0) {
+        return { error: `Failed to update SKU: ${failed[0].message}` };
+      }
+
+      if (updated.length === 0) {
+        return { error: "Variant no longer exists" };
+      }
+
+      return { success: true, actionType: "generateSku", variantId, sku: updated[0].sku };
+    } catch (error) {
+      console.error("SKU generation error:", error);
+      return { error: error.message || "Failed to generate SKU" };
+    }
+  }
+
+  // Generate SKUs for one chunk of a bulk run (the client sends the next chunk)
+  if (actionType === "bulkGenerateSkus") {
+    let variantIds;
+    try {
+      variantIds = parseBulkBarcodeVariantIds(formData.get("variantIds"));
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    try {
+      const result = await assignSkus(admin, session.shop, variantIds);
+      return { success: true, actionType: "bulkGenerateSkus", ...result };
+    } catch (error) {
+      console.error("Bulk SKU generation error:", error);
+      return { error: error.message || "Failed to generate SKUs" };
+    }
+  }
+
+  // Generate barcodes for one chunk of a bulk run (the client sends the next chunk)
+  if (actionType === "bulkGenerateBarcodes") {
+    let variantIds;
+    try {
+      variantIds = parseBulkBarcodeVariantIds(formData.get("variantIds"));
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    try {
+      const result = await assignBarcodes(admin, session.shop, variantIds, {
+        staff: getStaffUser({ session, sessionToken }),
+        // Every chunk of one run shares the batch ID, so the run can be undone in one step
+        batchId: parseBatchId(formData.get("batchId")),
+      });
+      return { success: true, actionType: "bulkGenerateBarcodes", ...result };
+    } catch (error) {
+      console.error("Bulk barcode generation error:", error);
+      return { error: error.message || "Failed to generate barcodes" };
+    }
+  }
+
+  if (actionType === "savePreset") {
+    try {
+      const preset = await saveFilterPreset(session.shop, formData.get("name"), formData.get("params"));
+      return { success: true, actionType: "savePreset", name: preset.name };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  if (actionType === "deletePreset") {
+    try {
+      await deleteFilterPreset(session.shop, formData.get("presetId"));
+      return { success: true, actionType: "deletePreset" };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
   // Handle export action
   if (actionType === "export" || !actionType) {
-    const exportDataJson = formData.get("exportData");
+    const itemsJson = formData.get("items");
 
-    if (!exportDataJson) {
+    if (!itemsJson) {
       return { error: "No export data provided" };
     }
 
-    // Generate a secure one-time token (crypto.randomUUID() in Node 19+)
-    const token = crypto.randomUUID();
+    let items;
+    try {
+      items = parseExportItems(itemsJson);
+    } catch (error) {
+      return { error: error.message };
+    }
 
-    const fileName = `label-export-${new Date().toISOString().split("T")[0]}.xlsx`;
+    if (items.length === 0) {
+      return { error: "No labels to export" };
+    }
 
-    // Store token in database with export data (expires after 15 minutes)
-    await db.downloadToken.create({
-      data: {
-        token,
-        shop: session.shop,
-        data: exportDataJson,
-        fileName,
-      },
-    });
+    let format, options, template;
+    try {
+      ({ format, options, template } = await parseExportSettings(formData, session.shop));
+    } catch (error) {
+      return { error: error.message };
+    }
 
     // Return download URL with token
-    return {
-      success: true,
-      actionType: "export",
-      downloadUrl: `/download?token=${token}`,
-      fileName,
-    };
+    try {
+      const download = await createExportDownload(
+        session.shop,
+        getStaffUser({ session, sessionToken }),
+        { items, format, options, template }
+      );
+      return { success: true, actionType: "export", ...download };
+    } catch (error) {
+      console.error("Export error:", error);
+      return { error: error.message || "Failed to create the export" };
+    }
   }
 
   return { error: "Invalid action type" };
@@ -209,26 +485,90 @@ export async function action({ request }) {
  * Component: Product selection table with export functionality
  */
 export default function ExportPage() {
-  const { variants: initialVariants, searchQuery, statusFilter } = useLoaderData();
+  const {
+    variants: initialVariants,
+    hasNextPage: initialHasNextPage,
+    endCursor: initialEndCursor,
+    pagedProducts: initialPagedProducts,
+    templates,
+    metafieldDefinitions,
+    currencyCode,
+    moneyFormat,
+    searchQuery,
+    statusFilter,
+    onSaleOnly,
+    filters,
+    filterOptions,
+    labelBatch,
+    labelQueue,
+    filterPresets,
+    catalogExport,
+    quantitySource,
+    locations,
+    receivedSince,
+  } = useLoaderData();
   const shopify = useAppBridge();
   const submit = useSubmit();
   const fetcher = useFetcher();
   const barcodeFetcher = useFetcher();
+  const skuFetcher = useFetcher();
+  const pageFetcher = useFetcher();
+  const bulkFetcher = useFetcher();
+  const presetFetcher = useFetcher();
   const [selectedIds, setSelectedIds] = useState([]);
   const [searchInput, setSearchInput] = useState(searchQuery || "");
   const [activeStatuses, setActiveStatuses] = useState(
     () => statusFilter ? statusFilter.split(',') : ['active']
   );
+  const [saleOnly, setSaleOnly] = useState(onSaleOnly);
+  const [filterDraft, setFilterDraft] = useState(filters);
+  const [quantityDraft, setQuantityDraft] = useState(quantitySource);
+  const [presetName, setPresetName] = useState("");
+  const [showFilters, setShowFilters] = useState(
+    () => Object.values(filters).some(Boolean)
+  );
   const debounceTimer = useRef(null);
+  const formatPrice = useMemo(
+    () => createPriceFormatter({ currencyCode, moneyFormat }),
+    [currencyCode, moneyFormat]
+  );
   const [labelQuantities, setLabelQuantities] = useState({});
   const [variants, setVariants] = useState(initialVariants);
+  const [pageInfo, setPageInfo] = useState({
+    hasNextPage: initialHasNextPage,
+    endCursor: initialEndCursor,
+  });
+  const [pagedProducts, setPagedProducts] = useState(initialPagedProducts);
+  const [exportFormat, setExportFormat] = useState("xlsx");
+  const [templateId, setTemplateId] = useState("");
+  const [labelMode, setLabelMode] = useState("standard");
+  const [delimitedOptions, setDelimitedOptions] = useState(DEFAULT_DELIMITED_OPTIONS);
+  const [pdfOptions, setPdfOptions] = useState({
+    layout: DEFAULT_LABEL_LAYOUT,
+    symbology: "auto",
+    skipLabels: 0,
+  });
+  const [zplOptions, setZplOptions] = useState(DEFAULT_ZPL_OPTIONS);
+  const [metafieldColumns, setMetafieldColumns] = useState([]);
+  const [metafieldOwner, setMetafieldOwner] = useState("product");
+  const [metafieldKey, setMetafieldKey] = useState("");
   const [generatingBarcodeFor, setGeneratingBarcodeFor] = useState(null);
+  const [generatingSkuFor, setGeneratingSkuFor] = useState(null);
   const [isDesktop, setIsDesktop] = useState(false);
   const downloadInitiatedRef = useRef(null);
+  // Bulk barcode/SKU run: chunks still to send, the search and cursor of an "all matching"
+  // run still to continue, and progress shown in the banner
+  const bulkQueueRef = useRef([]);
+  const bulkSearchRef = useRef(null);
+  const bulkCursorRef = useRef(null);
+  const bulkBatchIdRef = useRef(null);
+  const bulkFieldRef = useRef("barcode");
+  const [bulkJob, setBulkJob] = useState(null);
 
   // Get effective quantity (uses default if not customized)
+  // The default comes from the chosen quantity source (total stock unless changed)
   const getEffectiveQuantity = (variantId, variant) => {
-    return labelQuantities[variantId] ?? (variant?.inventoryQuantity || 0);
+    return labelQuantities[variantId] ?? (variant?.defaultQuantity || 0);
   };
 
   // Update quantity for a variant with validation
@@ -278,13 +618,17 @@ export default function ExportPage() {
     handleQuantityChange(variantId, quantity);
   };
 
-  // Reset all quantities to stock levels
+  // Reset all quantities to the defaults from the quantity source
   const handleResetQuantities = () => {
     setLabelQuantities({});
-    shopify.toast.show("Label quantities reset to stock levels");
+    shopify.toast.show(
+      quantitySource.source === "total"
+        ? "Label quantities reset to stock levels"
+        : "Label quantities reset to the quantity source"
+    );
   };
 
-  // Reset single quantity to stock level
+  // Reset single quantity to its default
   const handleResetSingleQuantity = (variantId) => {
     setLabelQuantities(prev => {
       const updated = { ...prev };
@@ -307,6 +651,28 @@ export default function ExportPage() {
     );
   };
 
+  // Build loader params from the current filters, with any pending changes applied
+  const buildFilterParams = (changes = {}) => {
+    const next = {
+      search: searchInput,
+      statuses: activeStatuses,
+      onSale: saleOnly,
+      filters,
+      quantitySource,
+      ...changes,
+    };
+
+    const params = new URLSearchParams();
+    params.set("search", next.search);
+    params.set("status", next.statuses.join(','));
+    if (next.onSale) {
+      params.set("onSale", "true");
+    }
+    appendStructuredFilters(params, next.filters);
+    appendQuantitySource(params, next.quantitySource);
+    return params;
+  };
+
   // Handle search input with debouncing
   const handleSearchChange = (e) => {
     const value = e.target.value;
@@ -319,10 +685,7 @@ export default function ExportPage() {
 
     // Set new timer to submit search after 500ms of no typing
     debounceTimer.current = setTimeout(() => {
-      const formData = new FormData();
-      formData.append("search", value);
-      formData.append("status", activeStatuses.join(','));
-      submit(formData, { method: "get" });
+      submit(buildFilterParams({ search: value }), { method: "get" });
     }, 500);
   };
 
@@ -343,16 +706,128 @@ export default function ExportPage() {
     setActiveStatuses(newStatuses);
 
     // Submit to loader with new status filter
-    const formData = new FormData();
-    formData.append("search", searchInput);
-    formData.append("status", newStatuses.join(','));
-    submit(formData, { method: "get" });
+    submit(buildFilterParams({ statuses: newStatuses }), { method: "get" });
+  };
+
+  // Handle "on sale only" filter toggle
+  const handleSaleOnlyToggle = () => {
+    const newSaleOnly = !saleOnly;
+    setSaleOnly(newSaleOnly);
+    submit(buildFilterParams({ onSale: newSaleOnly }), { method: "get" });
+  };
+
+  // Apply the filter panel (the other filters stay as they are)
+  const handleApplyFilters = () => {
+    submit(buildFilterParams({ filters: filterDraft }), { method: "get" });
+  };
+
+  const handleClearFilters = () => {
+    const cleared = Object.fromEntries(
+      Object.entries(filters).map(([name, value]) => [name, typeof value === 'boolean' ? false : ''])
+    );
+    setFilterDraft(cleared);
+    submit(buildFilterParams({ filters: cleared }), { method: "get" });
+  };
+
+  const handleFilterDraftChange = (name, value) => {
+    setFilterDraft((prev) => ({ ...prev, [name]: value }));
   };
 
-  // Update variants when loader data changes (e.g., after search)
+  // Reload the list once the quantity source is complete (a location, and a start
+  // for "received"); label quantities typed in so far are kept
+  const handleQuantitySourceChange = (name, value) => {
+    const next = { ...quantityDraft, [name]: value };
+    if (name === "source" && value === "received" && !next.receivedSince) {
+      next.receivedSince = SINCE_LAST_EXPORT;
+    }
+    setQuantityDraft(next);
+
+    if (next.source === "total" || (next.location && (next.source === "location" || next.receivedSince))) {
+      submit(buildFilterParams({ quantitySource: next }), { method: "get" });
+    }
+  };
+
+  // Fetch the next page of products using the cursor from the last page
+  // Uses the same loader (with ?after=) so search and status filters still apply
+  const handleLoadMore = () => {
+    if (!pageInfo.hasNextPage || pageFetcher.state !== "idle") return;
+
+    const params = new URLSearchParams();
+    params.set("index", "");
+    params.set("search", searchQuery || "");
+    params.set("status", statusFilter);
+    if (onSaleOnly) {
+      params.set("onSale", "true");
+    }
+    appendStructuredFilters(params, filters);
+    appendQuantitySource(params, quantitySource);
+    params.set("after", pageInfo.endCursor);
+    pageFetcher.load(`/app?${params.toString()}`);
+  };
+
+  // Show the filters the loader applied (invalid values are dropped).
+  // Compared as text so revalidation after an action doesn't reset the draft.
+  const appliedFiltersKey = JSON.stringify(filters);
+  useEffect(() => {
+    setFilterDraft(JSON.parse(appliedFiltersKey));
+  }, [appliedFiltersKey]);
+
+  const appliedQuantitySourceKey = JSON.stringify(quantitySource);
   useEffect(() => {
-    setVariants(initialVariants);
-  }, [initialVariants]);
+    setQuantityDraft(JSON.parse(appliedQuantitySourceKey));
+  }, [appliedQuantitySourceKey]);
+
+  // Update variants when loader data changes. A new search replaces the list; the same
+  // search reloaded after an action only refreshes the first page, so pages added with
+  // "load more" (and the variants selected on them) stay.
+  const listKey = JSON.stringify([searchQuery, statusFilter, onSaleOnly, filters, quantitySource]);
+  const listKeyRef = useRef(listKey);
+  const firstPageIdsRef = useRef(new Set(initialVariants.map((v) => v.id)));
+  const loadedMoreRef = useRef(false);
+  useEffect(() => {
+    const previousFirstPageIds = firstPageIdsRef.current;
+    firstPageIdsRef.current = new Set(initialVariants.map((v) => v.id));
+
+    if (listKeyRef.current !== listKey || !loadedMoreRef.current) {
+      listKeyRef.current = listKey;
+      loadedMoreRef.current = false;
+      setVariants(initialVariants);
+      setPageInfo({ hasNextPage: initialHasNextPage, endCursor: initialEndCursor });
+      setPagedProducts(initialPagedProducts);
+      return;
+    }
+
+    const isLater = (id) => !previousFirstPageIds.has(id) && !firstPageIdsRef.current.has(id);
+    setVariants((prevVariants) => [...initialVariants, ...prevVariants.filter((v) => isLater(v.id))]);
+    setPagedProducts((prev) => {
+      const refreshedIds = new Set(initialPagedProducts.map((p) => p.id));
+      return [...initialPagedProducts, ...prev.filter((p) => !refreshedIds.has(p.id))];
+    });
+  }, [listKey, initialVariants, initialHasNextPage, initialEndCursor, initialPagedProducts]);
+
+  // Append the next page of variants when "load more" returns
+  // Selections and label quantities are keyed by variant ID, so they are untouched
+  useEffect(() => {
+    if (!pageFetcher.data) return;
+
+    const {
+      variants: nextVariants,
+      pagedProducts: nextPagedProducts,
+      hasNextPage,
+      endCursor,
+    } = pageFetcher.data;
+
+    setVariants((prevVariants) => {
+      const loadedIds = new Set(prevVariants.map((v) => v.id));
+      return [...prevVariants, ...nextVariants.filter((v) => !loadedIds.has(v.id))];
+    });
+    setPagedProducts((prev) => {
+      const knownIds = new Set(prev.map((p) => p.id));
+      return [...prev, ...nextPagedProducts.filter((p) => !knownIds.has(p.id))];
+    });
+    setPageInfo({ hasNextPage, endCursor });
+    loadedMoreRef.current = true;
+  }, [pageFetcher.data]);
 
   // Cleanup timer on unmount
   useEffect(() => {
@@ -397,6 +872,23 @@ export default function ExportPage() {
     }
   }, [barcodeFetcher.data, shopify]);
 
+  // Handle SKU generation response
+  useEffect(() => {
+    if (skuFetcher.data && skuFetcher.data.success && skuFetcher.data.actionType === "generateSku") {
+      const { variantId, sku } = skuFetcher.data;
+
+      setVariants((prevVariants) =>
+        prevVariants.map((v) => (v.id === variantId ? { ...v, sku } : v))
+      );
+
+      setGeneratingSkuFor(null);
+      shopify.toast.show(`SKU generated: ${sku}`);
+    } else if (skuFetcher.data && skuFetcher.data.error) {
+      setGeneratingSkuFor(null);
+      shopify.toast.show(skuFetcher.data.error, { isError: true });
+    }
+  }, [skuFetcher.data, shopify]);
+
   // Handle export response from server
   useEffect(() => {
     if (fetcher.data && fetcher.data.success && fetcher.data.actionType === "export") {
@@ -407,47 +899,215 @@ export default function ExportPage() {
         return;
       }
       downloadInitiatedRef.current = downloadUrl;
+      startDownload(downloadUrl);
 
-      // Construct full URL for download
-      const fullDownloadUrl = `${window.location.origin}${downloadUrl}`;
+      // The action counts the labels, so this works for the selection and the batch
+      const { labelCount } = fetcher.data;
+      shopify.toast.show(`Exporting ${labelCount} label${labelCount !== 1 ? 's' : ''}... Download starting!`);
+    } else if (fetcher.data && fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
 
-      // Use hidden iframe approach for smoother mobile experience
-      // This triggers the download without opening/closing a new tab
-      const iframe = document.createElement('iframe');
-      iframe.style.display = 'none';
-      iframe.src = fullDownloadUrl;
-      document.body.appendChild(iframe);
+  // Handle preset responses
+  useEffect(() => {
+    const data = presetFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+    } else if (data.actionType === "savePreset") {
+      shopify.toast.show(`Saved preset "${data.name}"`);
+      setPresetName("");
+    } else if (data.actionType === "deletePreset") {
+      shopify.toast.show("Preset deleted");
+    }
+  }, [presetFetcher.data, shopify]);
 
-      // Clean up iframe after download starts
-      setTimeout(() => {
-        if (iframe.parentNode) {
-          document.body.removeChild(iframe);
-        }
-      }, 5000);
+  // Send the next chunk of a bulk barcode/SKU run, or finish it
+  const submitNextBulkChunk = (submitChunk) => {
+    const next = bulkQueueRef.current.shift();
+    if (next) {
+      const formData = new FormData();
+      formData.append("actionType", BULK_GENERATE[bulkFieldRef.current].actionType);
+      formData.append("variantIds", JSON.stringify(next));
+      formData.append("batchId", bulkBatchIdRef.current);
+      submitChunk(formData, { method: "post" });
+    }
+    return Boolean(next);
+  };
 
-      // Calculate total labels for success message
-      const selectedVariants = variants.filter((v) => selectedIds.includes(v.id));
-      const totalLabels = selectedVariants.reduce((sum, variant) => {
-        const qty = getEffectiveQuantity(variant.id, variant);
-        return sum + qty;
-      }, 0);
+  // Search the next part of the catalog in an "all matching" run
+  const submitNextBulkSearch = (submitSearch) => {
+    if (!bulkCursorRef.current) return false;
 
-      shopify.toast.show(`Exporting ${totalLabels} label${totalLabels !== 1 ? 's' : ''}... Download starting!`);
-    } else if (fetcher.data && fetcher.data.error) {
-      shopify.toast.show(fetcher.data.error, { isError: true });
+    const formData = new FormData();
+    bulkSearchRef.current.forEach((value, key) => formData.append(key, value));
+    formData.set("after", bulkCursorRef.current);
+    submitSearch(formData, { method: "post" });
+    setBulkJob((prev) => prev && { ...prev, finding: true });
+    return true;
+  };
+
+  // Handle bulk barcode/SKU responses: start the run once missing variants are found,
+  // then record each chunk's results and send the next one
+  useEffect(() => {
+    const data = bulkFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      bulkQueueRef.current = [];
+      bulkCursorRef.current = null;
+      setBulkJob((prev) => prev && { ...prev, finding: false, running: false, error: data.error });
+      shopify.toast.show(data.error, { isError: true });
+      return;
+    }
+
+    if (data.actionType === "findMissing") {
+      const firstSearch = !bulkCursorRef.current;
+      bulkCursorRef.current = data.nextCursor;
+      bulkQueueRef.current = chunkByProduct(data.variants, BULK_BARCODE_CHUNK_SIZE)
+        .map((chunk) => chunk.map((v) => v.variantId));
+      setBulkJob((prev) => prev && { ...prev, finding: false, total: prev.total + data.variants.length });
+
+      if (submitNextBulkChunk(bulkFetcher.submit) || submitNextBulkSearch(bulkFetcher.submit)) {
+        return;
+      }
+
+      if (firstSearch) {
+        setBulkJob(null);
+        shopify.toast.show(`Every matching variant already has a ${BULK_GENERATE[data.field].name}`);
+      } else {
+        setBulkJob((prev) => prev && { ...prev, running: false });
+        shopify.toast.show(data.field === "sku" ? "SKU generation finished" : "Barcode generation finished");
+      }
+      return;
+    }
+
+    if (data.actionType === "bulkGenerateBarcodes" || data.actionType === "bulkGenerateSkus") {
+      const field = data.actionType === "bulkGenerateSkus" ? "sku" : "barcode";
+      const values = new Map(data.updated.map((update) => [update.variantId, update[field]]));
+      setVariants((prevVariants) =>
+        prevVariants.map((v) => (values.has(v.id) ? { ...v, [field]: values.get(v.id) } : v))
+      );
+
+      const running = submitNextBulkChunk(bulkFetcher.submit) || submitNextBulkSearch(bulkFetcher.submit);
+      setBulkJob((prev) => prev && {
+        ...prev,
+        processed: prev.processed + data.updated.length + data.failed.length + data.skipped,
+        updated: prev.updated + data.updated.length,
+        failed: [...prev.failed, ...data.failed],
+        running,
+      });
+
+      if (!running) {
+        shopify.toast.show(field === "sku" ? "SKU generation finished" : "Barcode generation finished");
+      }
+    }
+  }, [bulkFetcher.data, bulkFetcher.submit, shopify]);
+
+  // Bulk-generate barcodes (or SKUs) for the selected variants that don't have one
+  const handleBulkGenerateSelected = (field) => {
+    const missing = variants
+      .filter((v) => selectedIds.includes(v.id) && !v[field])
+      .map((v) => ({ variantId: v.id, productId: v.productId }));
+
+    if (missing.length === 0) {
+      shopify.toast.show(`All selected variants already have a ${BULK_GENERATE[field].name}`);
+      return;
+    }
+
+    bulkFieldRef.current = field;
+    bulkCursorRef.current = null;
+    bulkQueueRef.current = chunkByProduct(missing, BULK_BARCODE_CHUNK_SIZE)
+      .map((chunk) => chunk.map((v) => v.variantId));
+    bulkBatchIdRef.current = window.crypto.randomUUID();
+    setBulkJob({ field, total: missing.length, processed: 0, updated: 0, failed: [], running: true });
+    submitNextBulkChunk(bulkFetcher.submit);
+  };
+
+  // Bulk-generate barcodes (or SKUs) for every variant matching the filters, loaded or not
+  const handleBulkGenerateMatching = (field) => {
+    const { plural, name } = BULK_GENERATE[field];
+    if (!window.confirm(`Generate ${plural} for every variant matching the current filters that doesn't have a ${name}?`)) {
+      return;
     }
-  }, [fetcher.data, shopify, variants, selectedIds]);
 
-  const handleGenerateBarcode = (variantId, productId) => {
+    bulkFieldRef.current = field;
+    bulkBatchIdRef.current = window.crypto.randomUUID();
+    bulkCursorRef.current = null;
+    setBulkJob({ field, finding: true, total: 0, processed: 0, updated: 0, failed: [], running: true });
+
+    // Use the search the list was loaded with, not text still being typed
+    const formData = buildFilterParams({ search: searchQuery || "" });
+    formData.set("actionType", "findMissing");
+    formData.set("field", field);
+    bulkSearchRef.current = formData;
+    bulkFetcher.submit(formData, { method: "post" });
+  };
+
+  // Stop after the chunk that is currently being processed
+  const handleStopBulkGenerate = () => {
+    bulkQueueRef.current = [];
+    bulkCursorRef.current = null;
+  };
+
+  const handleGenerateBarcode = (variantId) => {
     setGeneratingBarcodeFor(variantId);
 
     const formData = new FormData();
     formData.append("actionType", "generateBarcode");
     formData.append("variantId", variantId);
-    formData.append("productId", productId);
     barcodeFetcher.submit(formData, { method: "post" });
   };
 
+  const handleGenerateSku = (variantId) => {
+    setGeneratingSkuFor(variantId);
+
+    const formData = new FormData();
+    formData.append("actionType", "generateSku");
+    formData.append("variantId", variantId);
+    skuFetcher.submit(formData, { method: "post" });
+  };
+
+  // The selected variants with their label quantities (for the label batch)
+  const getSelectedItems = () => variants
+    .filter((v) => selectedIds.includes(v.id))
+    .map((variant) => ({
+      variantId: variant.id,
+      quantity: getEffectiveQuantity(variant.id, variant),
+    }));
+
+  // Open a saved preset - the page's own filter state follows the preset
+  const handleApplyPreset = (presetId) => {
+    const preset = filterPresets.find((p) => p.id === presetId);
+    if (!preset) return;
+
+    const params = new URLSearchParams(preset.params);
+    setSearchInput(params.get("search") || "");
+    setActiveStatuses(params.get("status") ? params.get("status").split(',') : ['active']);
+    setSaleOnly(params.get("onSale") === "true");
+    submit(params, { method: "get" });
+  };
+
+  // Save the filters currently applied (not unapplied changes in the filter panel)
+  const handleSavePreset = () => {
+    const formData = new FormData();
+    formData.append("actionType", "savePreset");
+    formData.append("name", presetName);
+    formData.append("params", buildFilterParams().toString());
+    presetFetcher.submit(formData, { method: "post" });
+  };
+
+  const handleDeletePreset = (preset) => {
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+
+    const formData = new FormData();
+    formData.append("actionType", "deletePreset");
+    formData.append("presetId", preset.id);
+    presetFetcher.submit(formData, { method: "post" });
+  };
+
   const handleExport = () => {
     if (selectedIds.length === 0) {
       shopify.toast.show("Please select at least one variant to export", {
@@ -475,34 +1135,151 @@ export default function ExportPage() {
       return;
     }
 
-    // Build export data array - duplicate each variant based on its label quantity
-    const exportData = [];
-    selectedVariants.forEach((variant) => {
-      const quantity = getEffectiveQuantity(variant.id, variant);
+    // Send only variant IDs and quantities - the server builds one row per label
+    const items = selectedVariants
+      .map((variant) => ({
+        variantId: variant.id,
+        quantity: getEffectiveQuantity(variant.id, variant),
+      }))
+      .filter((item) => item.quantity > 0); // Skip variants with 0 quantity
 
-      if (quantity === 0) return; // Skip variants with 0 quantity
-
-      // Add N rows for this variant (one row per label)
-      for (let i = 0; i < quantity; i++) {
-        exportData.push({
-          productTitle: variant.productTitle,
-          variantTitle: variant.variantTitle,
-          barcode: variant.barcode,
-          price: variant.price,
-        });
-      }
-    });
+    submitExport(items, totalLabels);
+  };
 
+  // Create a download token for the given items with the chosen format options
+  const submitExport = (items, totalLabels) => {
     shopify.toast.show(`Exporting ${totalLabels} label${totalLabels !== 1 ? 's' : ''}...`);
 
     // Submit to server action - maintains authentication context
     // Works on both desktop and mobile Shopify apps
     const formData = new FormData();
     formData.append("actionType", "export");
-    formData.append("exportData", JSON.stringify(exportData));
+    formData.append("items", JSON.stringify(items));
+    appendExportSettings(formData);
     fetcher.submit(formData, { method: "post" });
   };
 
+  // Add the chosen format, its options and the column template to an export form
+  const appendExportSettings = (formData) => {
+    formData.append("format", exportFormat);
+    formData.append("labelMode", labelMode);
+    if (templateId) {
+      formData.append("templateId", templateId);
+    }
+    if (exportFormat === "pdf") {
+      formData.append("layout", pdfOptions.layout);
+      formData.append("symbology", pdfOptions.symbology);
+      formData.append("skipLabels", String(pdfOptions.skipLabels));
+    } else if (exportFormat === "zpl") {
+      formData.append("labelWidth", String(zplOptions.width));
+      formData.append("labelHeight", String(zplOptions.height));
+      formData.append("dpi", String(zplOptions.dpi));
+      formData.append("symbology", zplOptions.symbology);
+    } else if (exportFormat !== "xlsx") {
+      formData.append("delimiter", delimitedOptions.delimiter);
+      formData.append("bom", String(delimitedOptions.bom));
+      formData.append("lineEnding", delimitedOptions.lineEnding);
+      formData.append("excelTextBarcodes", String(delimitedOptions.excelTextBarcodes));
+    }
+    if (SPREADSHEET_FORMATS.includes(exportFormat) && metafieldColumns.length > 0) {
+      formData.append("metafields", JSON.stringify(metafieldColumns));
+    }
+  };
+
+  // Add a metafield column (validated again on the server)
+  const handleAddMetafieldColumn = () => {
+    const key = metafieldKey.trim();
+
+    if (!/^[^.\s]+\.[^.\s]+$/.test(key)) {
+      shopify.toast.show("Enter the metafield as namespace.key (e.g. custom.material)", {
+        isError: true,
+      });
+      return;
+    }
+
+    if (metafieldColumns.length >= MAX_METAFIELD_COLUMNS) {
+      shopify.toast.show(`You can add up to ${MAX_METAFIELD_COLUMNS} metafield columns`, {
+        isError: true,
+      });
+      return;
+    }
+
+    if (!metafieldColumns.some((c) => c.owner === metafieldOwner && c.key === key)) {
+      setMetafieldColumns(prev => [...prev, { owner: metafieldOwner, key }]);
+    }
+    setMetafieldKey("");
+  };
+
+  const handleRemoveMetafieldColumn = (index) => {
+    setMetafieldColumns(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Update a single CSV/TSV option
+  const handleDelimitedOptionChange = (key, value) => {
+    setDelimitedOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Update a single PDF option
+  const handlePdfOptionChange = (key, value) => {
+    setPdfOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Update a single ZPL option
+  const handleZplOptionChange = (key, value) => {
+    setZplOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Selected variants the bulk actions would give a barcode or a SKU
+  const selectedMissingCount = variants.filter(
+    (v) => selectedIds.includes(v.id) && !v.barcode
+  ).length;
+  const selectedMissingSkuCount = variants.filter(
+    (v) => selectedIds.includes(v.id) && !v.sku
+  ).length;
+
+  // Filters applied from the filter panel
+  const activeFilterCount = Object.values(filters).filter(Boolean).length;
+
+  const filterLabelStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '13px',
+    fontWeight: 600,
+    color: '#202223',
+  };
+
+  const filterInputStyle = {
+    padding: '8px',
+    fontSize: '14px',
+    fontWeight: 400,
+    border: '1px solid #c9cccf',
+    borderRadius: '6px',
+    boxSizing: 'border-box',
+    width: '100%',
+  };
+
+  // Shown instead of an empty SKU
+  const renderGenerateSkuButton = (variantId) => (
+    <button
+      onClick={() => handleGenerateSku(variantId)}
+      disabled={generatingSkuFor === variantId}
+      style={{
+        padding: "6px 12px",
+        fontSize: "13px",
+        fontWeight: "600",
+        color: generatingSkuFor === variantId ? "#6d7175" : "#008060",
+        background: generatingSkuFor === variantId ? "#f6f6f7" : "#f1f8f5",
+        border: `1px solid ${generatingSkuFor === variantId ? "#c9cccf" : "#008060"}`,
+        borderRadius: "6px",
+        cursor: generatingSkuFor === variantId ? "not-allowed" : "pointer",
+        transition: "all 0.15s ease",
+      }}
+    >
+      {generatingSkuFor === variantId ? "Generating..." : "Generate"}
+    </button>
+  );
+
   // Calculate total labels for sticky action bar
   const totalLabels = selectedIds.reduce((sum, id) => {
     const variant = variants.find(v => v.id === id);
@@ -510,6 +1287,42 @@ export default function ExportPage() {
     return sum + qty;
   }, 0);
 
+  const batchQuantities = new Map(labelBatch.map((item) => [item.variantId, item.quantity]));
+  // Shown under a variant's title when it is in the label batch
+  const selectedLocationName =
+    locations.find((location) => location.id === quantitySource.location)?.name || "this location";
+
+  const renderBatchNote = (variantId) => batchQuantities.has(variantId) && (
+    <div style={{ fontSize: '12px', color: '#008060', marginTop: '4px' }}>
+      In label batch ({batchQuantities.get(variantId)})
+    </div>
+  );
+
+  // Stock at the chosen location, under the total (nothing for total stock)
+  const renderLocationStock = (variant) => {
+    if (quantitySource.source === "total") return null;
+
+    let text;
+    if (variant.locationAvailable === null) {
+      text = `Not stocked at ${selectedLocationName}`;
+    } else if (quantitySource.source === "location") {
+      text = `${variant.locationAvailable} at ${selectedLocationName}`;
+    } else {
+      text = variant.receivedQuantity === null
+        ? "Received: no history yet"
+        : `Received: ${variant.receivedQuantity}`;
+    }
+
+    return (
+      <div style={{ fontSize: '12px', color: '#6d7175', marginTop: '4px' }}>
+        {text}
+      </div>
+    );
+  };
+
+  // Preset whose filters are the ones on screen
+  const currentPreset = filterPresets.find((p) => p.params === buildFilterParams().toString());
+
   return (
     <>
       <style>{`
@@ -834,10 +1647,410 @@ export default function ExportPage() {
 
         <s-section>
           <s-paragraph>
-            Select product variants below and click "Export" to download an Excel
-            file (.xlsx) formatted for label printing.
+            Select product variants below and click Export to download a file
+            formatted for label printing.
           </s-paragraph>
 
+          {/* Export Format Options */}
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '12px',
+            marginBottom: '12px',
+            padding: '12px',
+            background: '#f9fafb',
+            borderRadius: '6px',
+            fontSize: '13px',
+            color: '#202223',
+            alignItems: 'center',
+          }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: 600 }}>
+              Format
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+              >
+                {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Labels
+              <select
+                value={labelMode}
+                onChange={(e) => setLabelMode(e.target.value)}
+                style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+              >
+                {Object.entries(LABEL_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            {SPREADSHEET_FORMATS.includes(exportFormat) && (
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Columns
+                  <select
+                    value={templateId}
+                    onChange={(e) => setTemplateId(e.target.value)}
+                    style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  >
+                    <option value="">
+                      {labelMode === 'sale'
+                        ? 'Default (Product Name, Size, Barcode, Was, Now, % Off)'
+                        : 'Default (Product Name, Size, Barcode, Price)'}
+                    </option>
+                    {templates.map((template) => (
+                      <option key={template.id} value={template.id}>{template.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <s-link href="/app/templates">Manage templates</s-link>
+              </>
+            )}
+
+            {exportFormat === 'csv' && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                Delimiter
+                <select
+                  value={delimitedOptions.delimiter}
+                  onChange={(e) => handleDelimitedOptionChange('delimiter', e.target.value)}
+                  style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                >
+                  {Object.entries(CSV_DELIMITERS).map(([value, char]) => (
+                    <option key={value} value={value}>
+                      {value === 'comma' ? 'Comma' : 'Semicolon'} ({char})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            {exportFormat === 'pdf' && (
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Layout
+                  <select
+                    value={pdfOptions.layout}
+                    onChange={(e) => {
+                      handlePdfOptionChange('layout', e.target.value);
+                      handlePdfOptionChange('skipLabels', 0);
+                    }}
+                    style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  >
+                    {Object.entries(LABEL_LAYOUTS).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Barcode
+                  <select
+                    value={pdfOptions.symbology}
+                    onChange={(e) => handlePdfOptionChange('symbology', e.target.value)}
+                    style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  >
+                    {Object.entries(BARCODE_SYMBOLOGIES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+
+                {labelsPerPage(LABEL_LAYOUTS[pdfOptions.layout]) > 1 && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    Skip used labels
+                    <input
+                      type="number"
+                      min="0"
+                      max={labelsPerPage(LABEL_LAYOUTS[pdfOptions.layout]) - 1}
+                      value={pdfOptions.skipLabels}
+                      onChange={(e) => handlePdfOptionChange('skipLabels', Math.max(parseInt(e.target.value, 10) || 0, 0))}
+                      style={{ width: '64px', padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                    />
+                  </label>
+                )}
+              </>
+            )}
+
+            {exportFormat === 'zpl' && (
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Label size (in)
+                  <input
+                    type="number"
+                    min="0.5"
+                    max="4.09"
+                    step="0.01"
+                    value={zplOptions.width}
+                    onChange={(e) => handleZplOptionChange('width', e.target.value)}
+                    aria-label="Label width in inches"
+                    style={{ width: '72px', padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  />
+                  ×
+                  <input
+                    type="number"
+                    min="0.25"
+                    max="12"
+                    step="0.01"
+                    value={zplOptions.height}
+                    onChange={(e) => handleZplOptionChange('height', e.target.value)}
+                    aria-label="Label height in inches"
+                    style={{ width: '72px', padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  />
+                </label>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Printer DPI
+                  <select
+                    value={zplOptions.dpi}
+                    onChange={(e) => handleZplOptionChange('dpi', parseInt(e.target.value, 10))}
+                    style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  >
+                    {ZPL_DPIS.map((dpi) => (
+                      <option key={dpi} value={dpi}>{dpi} dpi</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Barcode
+                  <select
+                    value={zplOptions.symbology}
+                    onChange={(e) => handleZplOptionChange('symbology', e.target.value)}
+                    style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  >
+                    {Object.entries(BARCODE_SYMBOLOGIES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+              </>
+            )}
+
+            {(exportFormat === 'csv' || exportFormat === 'tsv') && (
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Line endings
+                  <select
+                    value={delimitedOptions.lineEnding}
+                    onChange={(e) => handleDelimitedOptionChange('lineEnding', e.target.value)}
+                    style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  >
+                    <option value="crlf">Windows (CRLF)</option>
+                    <option value="lf">Mac/Linux (LF)</option>
+                  </select>
+                </label>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <input
+                    type="checkbox"
+                    checked={delimitedOptions.bom}
+                    onChange={(e) => handleDelimitedOptionChange('bom', e.target.checked)}
+                  />
+                  UTF-8 BOM (for Excel on Windows)
+                </label>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <input
+                    type="checkbox"
+                    checked={delimitedOptions.excelTextBarcodes}
+                    onChange={(e) => handleDelimitedOptionChange('excelTextBarcodes', e.target.checked)}
+                  />
+                  Keep barcode leading zeros when opened in Excel
+                </label>
+              </>
+            )}
+          </div>
+
+          {/* Metafield columns (spreadsheet formats only) */}
+          {SPREADSHEET_FORMATS.includes(exportFormat) && (
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              gap: '8px',
+              marginBottom: '12px',
+              padding: '12px',
+              background: '#f9fafb',
+              borderRadius: '6px',
+              fontSize: '13px',
+              color: '#202223',
+              alignItems: 'center',
+            }}>
+              <span style={{ fontWeight: 600 }}>Metafield columns</span>
+              <select
+                value={metafieldOwner}
+                onChange={(e) => setMetafieldOwner(e.target.value)}
+                aria-label="Metafield owner"
+                style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+              >
+                {Object.entries(METAFIELD_OWNERS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                list={`metafield-definitions-${metafieldOwner}`}
+                placeholder="namespace.key"
+                value={metafieldKey}
+                onChange={(e) => setMetafieldKey(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    handleAddMetafieldColumn();
+                  }
+                }}
+                aria-label="Metafield namespace and key"
+                style={{ width: '200px', padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+              />
+              {Object.entries(metafieldDefinitions).map(([owner, definitions]) => (
+                <datalist key={owner} id={`metafield-definitions-${owner}`}>
+                  {definitions.map((definition) => (
+                    <option key={definition.key} value={definition.key}>
+                      {definition.name} ({definition.type})
+                    </option>
+                  ))}
+                </datalist>
+              ))}
+              <s-button onClick={handleAddMetafieldColumn}>Add</s-button>
+
+              {metafieldColumns.map((column, index) => (
+                <span
+                  key={`${column.owner}:${column.key}`}
+                  style={{
+                    display: 'inline-flex',
+                    alignItems: 'center',
+                    gap: '4px',
+                    padding: '4px 8px',
+                    background: '#e4e5e7',
+                    borderRadius: '12px',
+                  }}
+                >
+                  {METAFIELD_OWNERS[column.owner]}: {column.key}
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveMetafieldColumn(index)}
+                    aria-label={`Remove ${column.key}`}
+                    style={{ border: 'none', background: 'none', cursor: 'pointer', padding: 0, fontSize: '14px' }}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {/* Catalog export - every variant matching the filters */}
+          <CatalogExportPanel
+            catalogExport={catalogExport}
+            buildFilterParams={buildFilterParams}
+            appendExportSettings={appendExportSettings}
+          />
+
+          {/* Bulk barcode and SKU generation */}
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            marginBottom: '12px',
+            padding: '12px',
+            background: '#f9fafb',
+            borderRadius: '6px',
+            fontSize: '13px',
+            color: '#202223',
+          }}>
+            {[
+              ['barcode', 'Missing barcodes', selectedMissingCount],
+              ['sku', 'Missing SKUs', selectedMissingSkuCount],
+            ].map(([field, label, count]) => (
+              <div key={field} style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+                <span style={{ fontWeight: 600, minWidth: '120px' }}>{label}</span>
+                <s-button
+                  onClick={() => handleBulkGenerateSelected(field)}
+                  {...(bulkJob?.running || count === 0 ? { disabled: true } : {})}
+                >
+                  Generate for selected ({count})
+                </s-button>
+                <s-button
+                  onClick={() => handleBulkGenerateMatching(field)}
+                  {...(bulkJob?.running ? { disabled: true } : {})}
+                >
+                  Generate for all matching filters
+                </s-button>
+              </div>
+            ))}
+          </div>
+
+          {bulkJob && (
+            <div style={{ marginBottom: '12px' }}>
+              <s-banner tone={bulkJob.error || (!bulkJob.running && bulkJob.failed.length > 0) ? 'warning' : 'info'}>
+                {bulkJob.finding && `Finding variants without ${BULK_GENERATE[bulkJob.field].plural}…`}
+                {!bulkJob.finding && (
+                  <>
+                    {bulkJob.running
+                      ? `Generating ${BULK_GENERATE[bulkJob.field].plural}: ${bulkJob.processed} of ${bulkJob.total} variants…`
+                      : `Generated ${bulkJob.updated} ${BULK_GENERATE[bulkJob.field][bulkJob.updated !== 1 ? 'plural' : 'name']}` +
+                        (bulkJob.failed.length > 0 ? `, ${bulkJob.failed.length} failed.` : '.')}
+                    <div style={{ height: '6px', background: '#e1e3e5', borderRadius: '3px', margin: '8px 0' }}>
+                      <div style={{
+                        width: `${bulkJob.total > 0 ? Math.round((bulkJob.processed / bulkJob.total) * 100) : 0}%`,
+                        height: '100%',
+                        background: '#008060',
+                        borderRadius: '3px',
+                      }} />
+                    </div>
+                  </>
+                )}
+                {bulkJob.error && <div>Stopped: {bulkJob.error}</div>}
+                {bulkJob.failed.length > 0 && (
+                  <ul style={{ margin: '4px 0', paddingLeft: '20px' }}>
+                    {bulkJob.failed.map((failure) => (
+                      <li key={failure.variantId}>
+                        <strong>{failure.displayName}</strong>: {failure.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div style={{ marginTop: '8px' }}>
+                  {bulkJob.running && !bulkJob.finding ? (
+                    <s-button onClick={handleStopBulkGenerate}>Stop</s-button>
+                  ) : !bulkJob.running && (
+                    <s-button onClick={() => setBulkJob(null)}>Dismiss</s-button>
+                  )}
+                </div>
+              </s-banner>
+            </div>
+          )}
+
+          {/* Needs labels - new and re-priced variants queued by product webhooks */}
+          {labelQueue.length > 0 && (
+            <LabelQueuePanel
+              labelQueue={labelQueue}
+              formatPrice={formatPrice}
+              appendExportSettings={appendExportSettings}
+            />
+          )}
+
+          {/* Needs reprint - printed labels that no longer match the product */}
+          <StaleLabelsPanel
+            formatPrice={formatPrice}
+            onExport={submitExport}
+            isExporting={fetcher.state !== "idle"}
+          />
+
+          {/* Label batch - kept between searches and sessions */}
+          <LabelBatchPanel
+            labelBatch={labelBatch}
+            selectedCount={selectedIds.length}
+            getSelectedItems={getSelectedItems}
+            onExport={submitExport}
+            isExporting={fetcher.state !== "idle"}
+          />
+
           {/* Search and Status Filter Row */}
           <div style={{
             display: 'flex',
@@ -927,9 +2140,329 @@ export default function ExportPage() {
                 )}
                 Draft
               </button>
+
+              <button
+                onClick={handleSaleOnlyToggle}
+                style={{
+                  padding: isDesktop ? '8px 16px' : '12px 16px',
+                  fontSize: isDesktop ? '14px' : '15px',
+                  fontWeight: 600,
+                  borderRadius: '20px',
+                  border: '2px solid #d72c0d',
+                  background: saleOnly ? '#d72c0d' : '#ffffff',
+                  color: saleOnly ? '#ffffff' : '#8e1f0b',
+                  cursor: 'pointer',
+                  transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  whiteSpace: 'nowrap',
+                  flex: isDesktop ? 'initial' : 1,
+                  justifyContent: 'center',
+                  boxShadow: saleOnly ? '0 2px 8px rgba(215, 44, 13, 0.3)' : 'none',
+                }}
+              >
+                {saleOnly && (
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                    <polyline points="3,8 6,11 13,4"></polyline>
+                  </svg>
+                )}
+                On Sale
+              </button>
             </div>
           </div>
 
+          {/* Saved filter presets */}
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '8px',
+            alignItems: 'center',
+            marginBottom: '12px',
+            fontSize: '13px',
+            color: '#202223',
+          }}>
+            <select
+              value={currentPreset?.id || ''}
+              onChange={(e) => handleApplyPreset(e.target.value)}
+              aria-label="Saved filter presets"
+              style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+            >
+              <option value="" disabled>
+                {filterPresets.length === 0 ? 'No saved presets' : 'Saved presets…'}
+              </option>
+              {filterPresets.map((preset) => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </select>
+            {currentPreset && (
+              <s-button variant="tertiary" onClick={() => handleDeletePreset(currentPreset)}>
+                Delete preset
+              </s-button>
+            )}
+            <input
+              type="text"
+              placeholder="e.g. New arrivals – Vendor X"
+              value={presetName}
+              maxLength={60}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && presetName.trim()) {
+                  e.preventDefault();
+                  handleSavePreset();
+                }
+              }}
+              aria-label="Preset name"
+              style={{ width: '220px', padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+            />
+            <s-button
+              onClick={handleSavePreset}
+              {...(!presetName.trim() ? { disabled: true } : {})}
+            >
+              Save current filters
+            </s-button>
+          </div>
+
+          {/* Where default label quantities come from */}
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '8px',
+            alignItems: 'center',
+            marginBottom: '12px',
+            fontSize: '13px',
+            color: '#202223',
+          }}>
+            <span>Label quantity from</span>
+            <select
+              value={quantityDraft.source}
+              onChange={(e) => handleQuantitySourceChange('source', e.target.value)}
+              aria-label="Label quantity source"
+              style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+            >
+              {Object.entries(LABEL_QUANTITY_SOURCES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {quantityDraft.source !== 'total' && (
+              <select
+                value={quantityDraft.location}
+                onChange={(e) => handleQuantitySourceChange('location', e.target.value)}
+                aria-label="Location"
+                style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+              >
+                <option value="" disabled>Choose a location…</option>
+                {locations.map((location) => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            )}
+            {quantityDraft.source === 'received' && (
+              <>
+                <select
+                  value={quantityDraft.receivedSince === SINCE_LAST_EXPORT ? SINCE_LAST_EXPORT : 'date'}
+                  onChange={(e) => handleQuantitySourceChange(
+                    'receivedSince',
+                    e.target.value === SINCE_LAST_EXPORT ? SINCE_LAST_EXPORT : ''
+                  )}
+                  aria-label="Received since"
+                  style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                >
+                  <option value={SINCE_LAST_EXPORT}>since the last export</option>
+                  <option value="date">since a date</option>
+                </select>
+                {quantityDraft.receivedSince !== SINCE_LAST_EXPORT && (
+                  <input
+                    type="date"
+                    value={quantityDraft.receivedSince}
+                    onChange={(e) => handleQuantitySourceChange('receivedSince', e.target.value)}
+                    min={receivedHistoryStart().toISOString().slice(0, 10)}
+                    aria-label="Received since date"
+                    style={{ padding: '6px 8px', fontSize: '14px', border: '1px solid #c9cccf', borderRadius: '6px' }}
+                  />
+                )}
+              </>
+            )}
+            {quantitySource.source === 'received' && (
+              <span style={{ color: '#6d7175' }}>
+                {receivedSince
+                  ? `Counting from ${new Date(receivedSince).toLocaleString()}`
+                  : 'No exports yet - nothing counted as received'}
+              </span>
+            )}
+          </div>
+
+          {/* More Filters */}
+          <div style={{ marginBottom: '12px' }}>
+            <button
+              type="button"
+              onClick={() => setShowFilters((open) => !open)}
+              style={{
+                padding: 0,
+                border: 'none',
+                background: 'none',
+                color: '#005bd3',
+                fontSize: '13px',
+                fontWeight: 600,
+                cursor: 'pointer',
+              }}
+            >
+              {showFilters ? 'Hide filters' : 'More filters'}
+              {activeFilterCount > 0 && ` (${activeFilterCount} active)`}
+            </button>
+          </div>
+
+          {showFilters && (
+            <div style={{
+              marginBottom: '16px',
+              padding: '16px',
+              border: '1px solid #e1e3e5',
+              borderRadius: '8px',
+              background: '#ffffff',
+            }}>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: isDesktop ? 'repeat(4, minmax(0, 1fr))' : '1fr',
+                gap: '12px',
+              }}>
+                <label style={filterLabelStyle}>
+                  Collection
+                  <select
+                    value={filterDraft.collection}
+                    onChange={(e) => handleFilterDraftChange('collection', e.target.value)}
+                    style={filterInputStyle}
+                  >
+                    <option value="">Any collection</option>
+                    {filterOptions.collections.map((collection) => (
+                      <option key={collection.id} value={collection.id}>{collection.title}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Product type
+                  <input
+                    type="text"
+                    list="filter-product-types"
+                    value={filterDraft.productType}
+                    onChange={(e) => handleFilterDraftChange('productType', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Vendor
+                  <input
+                    type="text"
+                    list="filter-vendors"
+                    value={filterDraft.vendor}
+                    onChange={(e) => handleFilterDraftChange('vendor', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Tag
+                  <input
+                    type="text"
+                    list="filter-tags"
+                    value={filterDraft.tag}
+                    onChange={(e) => handleFilterDraftChange('tag', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Created from
+                  <input
+                    type="date"
+                    value={filterDraft.createdFrom}
+                    onChange={(e) => handleFilterDraftChange('createdFrom', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Created to
+                  <input
+                    type="date"
+                    value={filterDraft.createdTo}
+                    onChange={(e) => handleFilterDraftChange('createdTo', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Updated from
+                  <input
+                    type="date"
+                    value={filterDraft.updatedFrom}
+                    onChange={(e) => handleFilterDraftChange('updatedFrom', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Updated to
+                  <input
+                    type="date"
+                    value={filterDraft.updatedTo}
+                    onChange={(e) => handleFilterDraftChange('updatedTo', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Variant inventory below
+                  <input
+                    type="number"
+                    value={filterDraft.inventoryBelow}
+                    onChange={(e) => handleFilterDraftChange('inventoryBelow', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={filterLabelStyle}>
+                  Variant inventory above
+                  <input
+                    type="number"
+                    value={filterDraft.inventoryAbove}
+                    onChange={(e) => handleFilterDraftChange('inventoryAbove', e.target.value)}
+                    style={filterInputStyle}
+                  />
+                </label>
+
+                <label style={{ ...filterLabelStyle, flexDirection: 'row', alignItems: 'center', gap: '8px', paddingTop: isDesktop ? '20px' : 0 }}>
+                  <input
+                    type="checkbox"
+                    checked={filterDraft.missingBarcode}
+                    onChange={(e) => handleFilterDraftChange('missingBarcode', e.target.checked)}
+                  />
+                  Missing barcode only
+                </label>
+              </div>
+
+              <datalist id="filter-product-types">
+                {filterOptions.productTypes.map((type) => <option key={type} value={type} />)}
+              </datalist>
+              <datalist id="filter-vendors">
+                {filterOptions.vendors.map((vendor) => <option key={vendor} value={vendor} />)}
+              </datalist>
+              <datalist id="filter-tags">
+                {filterOptions.tags.map((tag) => <option key={tag} value={tag} />)}
+              </datalist>
+
+              <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+                <s-button variant="primary" onClick={handleApplyFilters}>
+                  Apply filters
+                </s-button>
+                <s-button onClick={handleClearFilters} {...(activeFilterCount === 0 ? { disabled: true } : {})}>
+                  Clear filters
+                </s-button>
+              </div>
+            </div>
+          )}
+
           {/* Filter Status Info */}
           <div style={{
             marginBottom: '16px',
@@ -945,9 +2478,26 @@ export default function ExportPage() {
               : activeStatuses.includes('active')
               ? 'Active products only'
               : 'Draft products only'
-            } • Archived products are always hidden
+            }
+            {onSaleOnly && ', on-sale variants only'}
+            {activeFilterCount > 0 && `, ${activeFilterCount} more filter${activeFilterCount !== 1 ? 's' : ''}`}
+            {' '}• Archived products are always hidden
           </div>
 
+          {/* Large Variant Matrix Notice */}
+          {pagedProducts.length > 0 && (
+            <div style={{ marginBottom: '16px' }}>
+              <s-banner tone="info">
+                {pagedProducts.length === 1
+                  ? `"${pagedProducts[0].title}" has ${pagedProducts[0].variantCount} variants. `
+                  : `${pagedProducts.length} products have more than 100 variants (${pagedProducts
+                      .map((p) => `${p.title}: ${p.variantCount}`)
+                      .join(', ')}). `}
+                All variants were loaded with extra requests, so this page may take longer to load.
+              </s-banner>
+            </div>
+          )}
+
           {/* Select All - Mobile */}
           <div className="mobile-cards" style={{ marginBottom: "12px" }}>
             <label style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "14px", fontWeight: "600" }}>
@@ -997,18 +2547,29 @@ export default function ExportPage() {
                     {variant.variantTitle && variant.variantTitle !== "Default Title" && (
                       <p className="card-variant">{variant.variantTitle}</p>
                     )}
-                    <div className="card-price">${variant.price}</div>
+                    {renderBatchNote(variant.id)}
+                    <div className="card-price">
+                      {formatPrice(variant.price)}
+                      {variant.onSale && (
+                        <span style={{ marginLeft: "8px", fontSize: "14px", fontWeight: 400, color: "#6d7175", textDecoration: "line-through" }}>
+                          {formatPrice(variant.compareAtPrice)}
+                        </span>
+                      )}
+                    </div>
                   </div>
                 </div>
 
                 <div className="card-metadata">
                   <div className="card-metadata-item">
                     <span className="card-metadata-label">Stock:</span>
-                    <span>{variant.inventoryQuantity}</span>
+                    <span>
+                      {variant.inventoryQuantity}
+                      {renderLocationStock(variant)}
+                    </span>
                   </div>
                   <div className="card-metadata-item">
                     <span className="card-metadata-label">SKU:</span>
-                    <span>{variant.sku}</span>
+                    <span>{variant.sku || renderGenerateSkuButton(variant.id)}</span>
                   </div>
                   {variant.vendor && (
                     <div className="card-metadata-item">
@@ -1032,7 +2593,7 @@ export default function ExportPage() {
                     </div>
                     {!variant.barcode && (
                       <button
-                        onClick={() => handleGenerateBarcode(variant.id, variant.productId)}
+                        onClick={() => handleGenerateBarcode(variant.id)}
                         disabled={generatingBarcodeFor === variant.id}
                         style={{
                           padding: "6px 12px",
@@ -1090,9 +2651,9 @@ export default function ExportPage() {
                         cursor: "pointer",
                         marginTop: "4px",
                       }}
-                      title="Reset to stock quantity"
+                      title="Reset to the default quantity"
                     >
-                      ↺ Reset to stock ({variant.inventoryQuantity})
+                      ↺ Reset to default ({variant.defaultQuantity})
                     </button>
                   )}
                 </div>
@@ -1160,6 +2721,9 @@ export default function ExportPage() {
                       <th style={{ padding: "12px 8px", textAlign: "left" }}>
                         Price
                       </th>
+                      <th style={{ padding: "12px 8px", textAlign: "left" }}>
+                        Compare At
+                      </th>
                     </tr>
                   </thead>
                   <tbody>
@@ -1225,18 +2789,21 @@ export default function ExportPage() {
                                   {variant.variantTitle}
                                 </div>
                               )}
+                            {renderBatchNote(variant.id)}
                           </div>
                         </td>
                         <td style={{ padding: "12px 8px" }}>
                           {variant.vendor || "—"}
                         </td>
-                        <td style={{ padding: "12px 8px" }}>{variant.sku}</td>
+                        <td style={{ padding: "12px 8px" }}>
+                          {variant.sku || renderGenerateSkuButton(variant.id)}
+                        </td>
                         <td style={{ padding: "12px 8px" }}>
                           {variant.barcode ? (
                             variant.barcode
                           ) : (
                             <button
-                              onClick={() => handleGenerateBarcode(variant.id, variant.productId)}
+                              onClick={() => handleGenerateBarcode(variant.id)}
                               disabled={generatingBarcodeFor === variant.id}
                               style={{
                                 padding: "6px 12px",
@@ -1256,6 +2823,7 @@ export default function ExportPage() {
                         </td>
                         <td style={{ padding: "12px 8px" }}>
                           {variant.inventoryQuantity}
+                          {renderLocationStock(variant)}
                         </td>
                         <td style={{ padding: "12px 8px" }}>
                           <div style={{ display: "flex", flexDirection: "column", gap: "6px", minWidth: "120px" }}>
@@ -1366,14 +2934,23 @@ export default function ExportPage() {
                                   cursor: "pointer",
                                   textDecoration: "underline",
                                 }}
-                                title="Reset to stock quantity"
+                                title="Reset to the default quantity"
                               >
                                 ↺ Reset
                               </button>
                             )}
                           </div>
                         </td>
-                        <td style={{ padding: "12px 8px" }}>${variant.price}</td>
+                        <td style={{ padding: "12px 8px" }}>{formatPrice(variant.price)}</td>
+                        <td style={{ padding: "12px 8px" }}>
+                          {variant.compareAtPrice ? (
+                            <span style={variant.onSale ? { color: "#6d7175", textDecoration: "line-through" } : undefined}>
+                              {formatPrice(variant.compareAtPrice)}
+                            </span>
+                          ) : (
+                            "—"
+                          )}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -1387,6 +2964,27 @@ export default function ExportPage() {
               </s-paragraph>
             )}
           </div>
+
+          {/* Load More - shared by mobile cards and desktop table */}
+          {pageInfo.hasNextPage && (
+            <div style={{
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "center",
+              gap: "8px",
+              marginTop: "16px",
+            }}>
+              <s-button
+                onClick={handleLoadMore}
+                {...(pageFetcher.state !== "idle" ? { loading: true } : {})}
+              >
+                Load more products
+              </s-button>
+              <span style={{ fontSize: "13px", color: "#6d7175" }}>
+                {variants.length} variant{variants.length !== 1 ? 's' : ''} loaded so far
+              </span>
+            </div>
+          )}
         </s-section>
       </s-page>
 
@@ -0,0 +1,349 @@
+import { useFetcher, useLoaderData } from "react-router";
+import crypto from "crypto";
+import { useState, useEffect } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { checkBarcodeAudit, MAX_LISTED_VARIANTS, startBarcodeAudit } from "../utils/barcode-audit.server";
+import { assignBarcodes, parseBulkBarcodeVariantIds } from "../utils/bulk-barcodes.server";
+import { getStaffUser } from "../utils/staff";
+
+// How often a running scan is checked
+const SCAN_POLL_INTERVAL_MS = 3000;
+
+/**
+ * Loader: Only the report's list limit - the scan runs on demand because it reads the catalog
+ */
+export async function loader({ request }) {
+  await authenticate.admin(request);
+  return { maxListed: MAX_LISTED_VARIANTS };
+}
+
+/**
+ * Action: Scans the catalog and fixes barcodes
+ *
+ * Actions:
+ * 1. "scan" - Starts a bulk query reading every variant's barcode
+ * 2. "checkScan" - Polls a scan; once it's done, lists duplicate, invalid and missing barcodes
+ * 3. "fix" - Replaces the barcodes of the given variants with newly allocated ones
+ */
+export async function action({ request }) {
+  const { session, admin, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "scan") {
+    try {
+      const operationId = await startBarcodeAudit(admin);
+      return { success: true, actionType: "scan", operationId };
+    } catch (error) {
+      console.error("Barcode audit error:", error);
+      return { error: error.message || "Failed to scan barcodes" };
+    }
+  }
+
+  if (actionType === "checkScan") {
+    try {
+      const settings = await db.barcodeSettings.findUnique({
+        where: { shop: session.shop },
+      });
+      const result = await checkBarcodeAudit(admin, formData.get("operationId"), {
+        internalCodes: (settings?.format || "internal") === "internal",
+      });
+
+      return { success: true, actionType: "checkScan", ...result };
+    } catch (error) {
+      console.error("Barcode audit error:", error);
+      return { error: error.message || "Failed to scan barcodes" };
+    }
+  }
+
+  if (actionType === "fix") {
+    let variantIds;
+    try {
+      variantIds = parseBulkBarcodeVariantIds(formData.get("variantIds"));
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    try {
+      const result = await assignBarcodes(admin, session.shop, variantIds, {
+        replaceExisting: true,
+        staff: getStaffUser({ session, sessionToken }),
+        // "Keep first, regenerate the rest" can be undone as one batch
+        batchId: variantIds.length > 1 ? crypto.randomUUID() : null,
+      });
+      return { success: true, actionType: "fix", ...result };
+    } catch (error) {
+      console.error("Barcode fix error:", error);
+      return { error: error.message || "Failed to regenerate barcodes" };
+    }
+  }
+
+  return { error: "Invalid action type" };
+}
+
+/**
+ * Admin URL for a variant (opens the product editor outside the app)
+ */
+function variantAdminUrl(entry) {
+  const productId = entry.productId.split("/").pop();
+  const variantId = entry.variantId.split("/").pop();
+  return `shopify://admin/products/${productId}/variants/${variantId}`;
+}
+
+/**
+ * Component: Barcode audit report with one-click fixes
+ */
+export default function BarcodeAuditPage() {
+  const shopify = useAppBridge();
+  const { maxListed } = useLoaderData();
+  const scanFetcher = useFetcher();
+  const fixFetcher = useFetcher();
+  const [report, setReport] = useState(null);
+  const [fixingIds, setFixingIds] = useState([]);
+  // The running scan: its bulk operation and the products and variants read so far
+  const [scan, setScan] = useState(null);
+
+  // Follow the scan; show the report when it finishes
+  useEffect(() => {
+    const data = scanFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      setScan(null);
+      shopify.toast.show(data.error, { isError: true });
+    } else if (data.actionType === "scan") {
+      setScan({ operationId: data.operationId, objectCount: 0 });
+    } else if (data.status === "running") {
+      setScan((prev) => prev && { ...prev, objectCount: data.objectCount });
+    } else {
+      setScan(null);
+      setReport(data.report);
+    }
+  }, [scanFetcher.data, shopify]);
+
+  // Poll the running scan
+  useEffect(() => {
+    if (!scan || scanFetcher.state !== "idle") return;
+
+    const timer = setTimeout(() => {
+      const formData = new FormData();
+      formData.append("actionType", "checkScan");
+      formData.append("operationId", scan.operationId);
+      scanFetcher.submit(formData, { method: "post" });
+    }, SCAN_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [scan, scanFetcher]);
+
+  // Remove fixed variants from the report
+  useEffect(() => {
+    if (fixFetcher.data && fixFetcher.data.success) {
+      const { updated, failed } = fixFetcher.data;
+      const fixedIds = new Set(updated.map((u) => u.variantId));
+
+      setReport((prev) => prev && {
+        ...prev,
+        duplicates: prev.duplicates
+          .map((group) => ({
+            ...group,
+            variants: group.variants.filter((v) => !fixedIds.has(v.variantId)),
+          }))
+          .filter((group) => group.variants.length > 1),
+        invalid: prev.invalid.filter((v) => !fixedIds.has(v.variantId)),
+        missing: prev.missing.filter((v) => !fixedIds.has(v.variantId)),
+      });
+      setFixingIds([]);
+
+      if (failed.length > 0) {
+        shopify.toast.show(
+          failed.map((f) => `${f.displayName}: ${f.message}`).join("; "),
+          { isError: true }
+        );
+      } else if (updated.length > 0) {
+        shopify.toast.show(
+          updated.length === 1
+            ? `New barcode: ${updated[0].barcode}`
+            : `${updated.length} barcodes regenerated`
+        );
+      }
+    } else if (fixFetcher.data && fixFetcher.data.error) {
+      setFixingIds([]);
+      shopify.toast.show(fixFetcher.data.error, { isError: true });
+    }
+  }, [fixFetcher.data, shopify]);
+
+  const handleScan = () => {
+    const formData = new FormData();
+    formData.append("actionType", "scan");
+    scanFetcher.submit(formData, { method: "post" });
+  };
+
+  const handleFix = (variantIds) => {
+    setFixingIds(variantIds);
+
+    const formData = new FormData();
+    formData.append("actionType", "fix");
+    formData.append("variantIds", JSON.stringify(variantIds));
+    fixFetcher.submit(formData, { method: "post" });
+  };
+
+  const isScanning = scan !== null || scanFetcher.state !== "idle";
+  const isFixing = fixFetcher.state !== "idle";
+
+  const cellStyle = { padding: "8px", textAlign: "left", verticalAlign: "top" };
+
+  const smallButtonStyle = {
+    padding: "4px 10px",
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "#008060",
+    background: "#f1f8f5",
+    border: "1px solid #008060",
+    borderRadius: "6px",
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  };
+
+  const renderFixButton = (variantIds, label) => (
+    <button
+      onClick={() => handleFix(variantIds)}
+      disabled={isFixing}
+      style={{ ...smallButtonStyle, ...(isFixing ? { opacity: 0.5, cursor: "not-allowed" } : {}) }}
+    >
+      {variantIds.some((id) => fixingIds.includes(id)) ? "Generating..." : label}
+    </button>
+  );
+
+  const renderVariantTable = (entries, fixLabel, canFix = () => true) => (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+            <th style={cellStyle}>Variant</th>
+            <th style={cellStyle}>SKU</th>
+            <th style={cellStyle}>Barcode</th>
+            <th style={cellStyle} />
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry.variantId} style={{ borderBottom: "1px solid #e1e3e5" }}>
+              <td style={cellStyle}>
+                <s-link href={variantAdminUrl(entry)} target="_blank">{entry.displayName}</s-link>
+              </td>
+              <td style={cellStyle}>{entry.sku || "—"}</td>
+              <td style={{ ...cellStyle, fontFamily: "monospace" }}>{entry.barcode || "—"}</td>
+              <td style={{ ...cellStyle, textAlign: "right" }}>
+                {canFix(entry) && renderFixButton([entry.variantId], fixLabel)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <s-page heading="Barcode Audit">
+      <s-button
+        slot="primary-action"
+        variant="primary"
+        onClick={handleScan}
+        {...(isScanning ? { loading: true } : {})}
+      >
+        {report ? "Scan Again" : "Scan Catalog"}
+      </s-button>
+
+      {!report && (
+        <s-section>
+          <s-paragraph>
+            Scan your products, including drafts and archived products, for barcodes used by
+            more than one variant, EAN/UPC barcodes with a wrong check digit, and variants
+            without a barcode. Shopify reads the whole catalog for the scan, which can take a
+            few minutes for large catalogs.
+          </s-paragraph>
+          {isScanning && (
+            <s-paragraph>
+              Scanning… {scan?.objectCount ? `${scan.objectCount.toLocaleString()} products and variants read so far.` : ""}
+            </s-paragraph>
+          )}
+        </s-section>
+      )}
+
+      {report && (
+        <>
+          <s-section>
+            <s-paragraph>
+              Scanned {report.variantCount.toLocaleString()} variants:{" "}
+              {report.duplicateCount} duplicated barcode{report.duplicateCount !== 1 ? "s" : ""},{" "}
+              {report.invalidCount} invalid, {report.missingCount} missing.
+              Fixing a barcode gives the variant the next number from your range in Settings.
+            </s-paragraph>
+            {Math.max(report.duplicateCount, report.invalidCount, report.missingCount) > maxListed && (
+              <s-banner tone="warning">
+                Only the first {maxListed.toLocaleString()} of each kind of problem are listed.
+                Fix them and scan again to see the rest.
+              </s-banner>
+            )}
+          </s-section>
+
+          <s-section heading={`Duplicate barcodes (${report.duplicates.length})`}>
+            {report.duplicates.length === 0 ? (
+              <s-paragraph>No barcode is shared by more than one variant.</s-paragraph>
+            ) : (
+              <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+                {report.duplicates.map((group) => (
+                  <div
+                    key={group.barcode}
+                    style={{ border: "1px solid #e1e3e5", borderRadius: "8px", padding: "12px" }}
+                  >
+                    <div style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      gap: "12px",
+                      marginBottom: "8px",
+                    }}>
+                      <strong style={{ fontFamily: "monospace" }}>
+                        {group.barcode} — {group.variants.length} variants
+                      </strong>
+                      {renderFixButton(
+                        group.variants.slice(1).map((v) => v.variantId),
+                        "Keep first, regenerate the rest"
+                      )}
+                    </div>
+                    {renderVariantTable(
+                      group.variants,
+                      "Regenerate",
+                      // The first variant keeps the barcode
+                      (entry) => entry.variantId !== group.variants[0].variantId
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </s-section>
+
+          <s-section heading={`Invalid check digits (${report.invalid.length})`}>
+            {report.invalid.length === 0 ? (
+              <s-paragraph>Every EAN/UPC barcode has a valid check digit.</s-paragraph>
+            ) : (
+              renderVariantTable(report.invalid, "Regenerate")
+            )}
+          </s-section>
+
+          <s-section heading={`Missing barcodes (${report.missing.length})`}>
+            {report.missing.length === 0 ? (
+              <s-paragraph>Every variant has a barcode.</s-paragraph>
+            ) : (
+              renderVariantTable(report.missing, "Generate")
+            )}
+          </s-section>
+        </>
+      )}
+    </s-page>
+  );
+}
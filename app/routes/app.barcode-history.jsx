@@ -0,0 +1,275 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState, useEffect } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { parseBatchId, revertBarcodeChanges } from "../utils/barcode-history.server";
+import { getStaffUser, staffLabel } from "../utils/staff";
+
+const PAGE_SIZE = 100;
+
+/**
+ * Loader: Lists the shop's barcode changes, newest first
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+
+  const [changes, total] = await Promise.all([
+    db.barcodeChange.findMany({
+      where: { shop: session.shop },
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * PAGE_SIZE,
+      take: PAGE_SIZE,
+    }),
+    db.barcodeChange.count({ where: { shop: session.shop } }),
+  ]);
+
+  // How many changes of each batch on this page can still be undone
+  const batchIds = [...new Set(changes.map((c) => c.batchId).filter(Boolean))];
+  const openBatches = batchIds.length > 0
+    ? await db.barcodeChange.groupBy({
+        by: ["batchId"],
+        where: { shop: session.shop, batchId: { in: batchIds }, revertedAt: null },
+        _count: { _all: true },
+      })
+    : [];
+
+  return {
+    changes: changes.map((change) => ({
+      id: change.id,
+      staff: staffLabel(change),
+      variantId: change.variantId,
+      productId: change.productId,
+      displayName: change.displayName,
+      oldBarcode: change.oldBarcode,
+      newBarcode: change.newBarcode,
+      batchId: change.batchId,
+      isRevert: Boolean(change.revertOfId),
+      revertedAt: change.revertedAt?.toISOString() || null,
+      createdAt: change.createdAt.toISOString(),
+    })),
+    openBatchCounts: Object.fromEntries(
+      openBatches.map((batch) => [batch.batchId, batch._count._all])
+    ),
+    page,
+    pageCount: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+  };
+}
+
+/**
+ * Action: Undoes barcode changes
+ *
+ * Actions:
+ * 1. "revert" - Restores the barcode from before one change
+ * 2. "revertBatch" - Restores every barcode changed by one bulk action
+ */
+export async function action({ request }) {
+  const { session, admin, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+  const staff = getStaffUser({ session, sessionToken });
+
+  let target;
+  if (actionType === "revert") {
+    const changeId = formData.get("changeId");
+    if (!changeId) {
+      return { error: "Change ID is required" };
+    }
+    target = { changeId: String(changeId) };
+  } else if (actionType === "revertBatch") {
+    const batchId = parseBatchId(formData.get("batchId"));
+    if (!batchId) {
+      return { error: "Invalid batch ID" };
+    }
+    target = { batchId };
+  } else {
+    return { error: "Invalid action type" };
+  }
+
+  try {
+    const result = await revertBarcodeChanges(admin, session.shop, staff, target);
+    return { success: true, actionType, ...result };
+  } catch (error) {
+    console.error("Barcode undo error:", error);
+    return { error: error.message || "Failed to undo barcode change" };
+  }
+}
+
+/**
+ * Admin URL for a variant (opens the product editor outside the app)
+ */
+function variantAdminUrl(change) {
+  const productId = change.productId.split("/").pop();
+  const variantId = change.variantId.split("/").pop();
+  return `shopify://admin/products/${productId}/variants/${variantId}`;
+}
+
+/**
+ * Component: Barcode change history with undo
+ */
+export default function BarcodeHistoryPage() {
+  const { changes, openBatchCounts, page, pageCount } = useLoaderData();
+  const shopify = useAppBridge();
+  const fetcher = useFetcher();
+  const [pendingKey, setPendingKey] = useState(null);
+
+  // Report the undo result; the loader reruns after the action so the table updates
+  useEffect(() => {
+    if (fetcher.data && fetcher.data.success) {
+      const { reverted, failed } = fetcher.data;
+      setPendingKey(null);
+
+      if (failed.length > 0) {
+        shopify.toast.show(
+          failed.map((f) => `${f.displayName}: ${f.message}`).join("; "),
+          { isError: true }
+        );
+      } else {
+        shopify.toast.show(
+          reverted.length === 1 ? "Barcode restored" : `${reverted.length} barcodes restored`
+        );
+      }
+    } else if (fetcher.data && fetcher.data.error) {
+      setPendingKey(null);
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleRevert = (change) => {
+    setPendingKey(change.id);
+
+    const formData = new FormData();
+    formData.append("actionType", "revert");
+    formData.append("changeId", change.id);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const handleRevertBatch = (batchId) => {
+    setPendingKey(batchId);
+
+    const formData = new FormData();
+    formData.append("actionType", "revertBatch");
+    formData.append("batchId", batchId);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const isBusy = fetcher.state !== "idle";
+
+  // The first row of each batch on the page carries the batch undo button
+  const firstRowOfBatch = new Set();
+  const seenBatches = new Set();
+  changes.forEach((change) => {
+    if (change.batchId && !seenBatches.has(change.batchId)) {
+      seenBatches.add(change.batchId);
+      firstRowOfBatch.add(change.id);
+    }
+  });
+
+  const cellStyle = { padding: "8px", textAlign: "left", verticalAlign: "top" };
+
+  const smallButtonStyle = {
+    padding: "4px 10px",
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "#008060",
+    background: "#f1f8f5",
+    border: "1px solid #008060",
+    borderRadius: "6px",
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  };
+
+  const renderButton = (key, label, onClick) => (
+    <button
+      onClick={onClick}
+      disabled={isBusy}
+      style={{ ...smallButtonStyle, ...(isBusy ? { opacity: 0.5, cursor: "not-allowed" } : {}) }}
+    >
+      {pendingKey === key ? "Undoing..." : label}
+    </button>
+  );
+
+  const renderBarcode = (barcode) => (
+    <span style={{ fontFamily: "monospace" }}>{barcode || "—"}</span>
+  );
+
+  return (
+    <s-page heading="Barcode History">
+      <s-section>
+        <s-paragraph>
+          Every barcode generated or restored by the app, with the staff member who made the
+          change. Undo restores the previous barcode, as long as it hasn&apos;t been changed
+          again since.
+        </s-paragraph>
+      </s-section>
+
+      <s-section>
+        {changes.length === 0 ? (
+          <s-paragraph>No barcode changes yet.</s-paragraph>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+                  <th style={cellStyle}>Date</th>
+                  <th style={cellStyle}>Staff</th>
+                  <th style={cellStyle}>Variant</th>
+                  <th style={cellStyle}>Old</th>
+                  <th style={cellStyle}>New</th>
+                  <th style={cellStyle} />
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map((change) => (
+                  <tr key={change.id} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                      {new Date(change.createdAt).toLocaleString()}
+                    </td>
+                    <td style={cellStyle}>{change.staff}</td>
+                    <td style={cellStyle}>
+                      <s-link href={variantAdminUrl(change)} target="_blank">{change.displayName}</s-link>
+                      {change.isRevert && (
+                        <div style={{ fontSize: "12px", color: "#6d7175" }}>Undo of an earlier change</div>
+                      )}
+                    </td>
+                    <td style={cellStyle}>{renderBarcode(change.oldBarcode)}</td>
+                    <td style={cellStyle}>{renderBarcode(change.newBarcode)}</td>
+                    <td style={{ ...cellStyle, textAlign: "right" }}>
+                      <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: "4px" }}>
+                        {change.revertedAt ? (
+                          <span style={{ fontSize: "13px", color: "#6d7175", whiteSpace: "nowrap" }}>
+                            Undone {new Date(change.revertedAt).toLocaleDateString()}
+                          </span>
+                        ) : (
+                          renderButton(change.id, "Undo", () => handleRevert(change))
+                        )}
+                        {firstRowOfBatch.has(change.id) && openBatchCounts[change.batchId] > 1 &&
+                          renderButton(
+                            change.batchId,
+                            `Undo batch (${openBatchCounts[change.batchId]})`,
+                            () => handleRevertBatch(change.batchId)
+                          )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pageCount > 1 && (
+          <div style={{ display: "flex", gap: "12px", alignItems: "center", marginTop: "12px" }}>
+            {page > 1 && <s-link href={`/app/barcode-history?page=${page - 1}`}>Newer</s-link>}
+            <span style={{ fontSize: "13px", color: "#6d7175" }}>Page {page} of {pageCount}</span>
+            {page < pageCount && <s-link href={`/app/barcode-history?page=${page + 1}`}>Older</s-link>}
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
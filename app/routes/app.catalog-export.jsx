@@ -0,0 +1,51 @@
+import { authenticate } from "../shopify.server";
+import { checkCatalogExport, startCatalogExport } from "../utils/catalog-export.server";
+import { parseExportSettings } from "../utils/export-history.server";
+import { parseProductFilters } from "../utils/product-search";
+import { getStaffUser } from "../utils/staff";
+
+/**
+ * Action: Catalog exports (components/CatalogExportPanel on the export page)
+ *
+ * Actions:
+ * 1. "startCatalogExport" - Starts a bulk operation exporting every variant matching the filters
+ * 2. "checkCatalogExport" - Polls a catalog export; the download URL is set when it's ready
+ */
+export async function action({ request }) {
+  const { session, admin, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  // Export every variant matching the filters, not just the loaded page
+  if (actionType === "startCatalogExport") {
+    try {
+      const { graphqlQuery, variantFilters } = parseProductFilters(formData);
+      const { format, options, template } = await parseExportSettings(formData, session.shop);
+
+      const job = await startCatalogExport(admin, session.shop, getStaffUser({ session, sessionToken }), {
+        graphqlQuery,
+        variantFilters,
+        quantityMode: formData.get("quantityMode"),
+        format,
+        options,
+        template,
+      });
+      return { success: true, actionType: "catalogExport", job };
+    } catch (error) {
+      console.error("Catalog export error:", error);
+      return { error: error.message || "Failed to start the catalog export" };
+    }
+  }
+
+  if (actionType === "checkCatalogExport") {
+    try {
+      const job = await checkCatalogExport(admin, session.shop, formData.get("jobId"));
+      return { success: true, actionType: "catalogExport", job };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  return { error: "Invalid action type" };
+}
@@ -0,0 +1,296 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState, useEffect, useRef } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { startDownload } from "../utils/download";
+import { EXPORT_FORMATS, LABEL_MODES, SPREADSHEET_FORMATS } from "../utils/export";
+import { rerunExport } from "../utils/export-history.server";
+import { getStaffUser, staffLabel } from "../utils/staff";
+import { fetchVariantsByIds } from "../utils/variants";
+
+const PAGE_SIZE = 50;
+
+/**
+ * Loader: Lists the shop's exports, newest first
+ * With ?view=<id>, also returns the variants and quantities of that export
+ */
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+  const viewId = url.searchParams.get("view");
+
+  const [records, total] = await Promise.all([
+    db.exportRecord.findMany({
+      where: { shop: session.shop },
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * PAGE_SIZE,
+      take: PAGE_SIZE,
+    }),
+    db.exportRecord.count({ where: { shop: session.shop } }),
+  ]);
+
+  // Names, SKUs and barcodes are read from Shopify - the record only keeps IDs
+  let details = null;
+  if (viewId) {
+    const record = await db.exportRecord.findFirst({
+      where: { id: viewId, shop: session.shop },
+    });
+
+    if (record) {
+      const items = JSON.parse(record.items);
+      const variantsById = await fetchVariantsByIds(admin, items.map((item) => item.variantId));
+
+      details = {
+        ...toExportRow(record),
+        items: items.map((item) => {
+          const variant = variantsById.get(item.variantId);
+          return {
+            variantId: item.variantId,
+            quantity: item.quantity,
+            displayName: variant?.displayName || null,
+            sku: variant?.sku || "",
+            barcode: variant?.barcode || "",
+          };
+        }),
+      };
+    }
+  }
+
+  return {
+    records: records.map(toExportRow),
+    details,
+    page,
+    pageCount: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+  };
+}
+
+/**
+ * Table row for an export record
+ */
+function toExportRow(record) {
+  const options = record.options ? JSON.parse(record.options) : {};
+
+  return {
+    id: record.id,
+    staff: staffLabel(record),
+    variantCount: record.variantCount,
+    labelCount: record.labelCount,
+    format: EXPORT_FORMATS[record.format]?.label || record.format,
+    labelMode: LABEL_MODES[options.labelMode] || LABEL_MODES.standard,
+    // Only spreadsheet formats use column templates
+    template: SPREADSHEET_FORMATS.includes(record.format)
+      ? record.templateName || "Default columns"
+      : null,
+    fileName: record.fileName,
+    createdAt: record.createdAt.toISOString(),
+  };
+}
+
+/**
+ * Action: Re-runs an export
+ *
+ * Actions:
+ * 1. "rerun" - Creates a fresh download token with the export's variants, quantities and options
+ */
+export async function action({ request }) {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType !== "rerun") {
+    return { error: "Invalid action type" };
+  }
+
+  try {
+    const download = await rerunExport(
+      session.shop,
+      getStaffUser({ session, sessionToken }),
+      formData.get("exportId")
+    );
+    return { success: true, actionType, ...download };
+  } catch (error) {
+    console.error("Export re-run error:", error);
+    return { error: error.message || "Failed to re-run the export" };
+  }
+}
+
+/**
+ * Component: Past exports with re-download and the variants in each
+ */
+export default function ExportHistoryPage() {
+  const { records, details, page, pageCount } = useLoaderData();
+  const shopify = useAppBridge();
+  const fetcher = useFetcher();
+  const [pendingId, setPendingId] = useState(null);
+  const downloadInitiatedRef = useRef(null);
+
+  // Start the download; the loader reruns after the action, so the new export is listed
+  useEffect(() => {
+    if (fetcher.data && fetcher.data.success) {
+      const { downloadUrl, labelCount } = fetcher.data;
+      setPendingId(null);
+
+      if (downloadInitiatedRef.current === downloadUrl) {
+        return;
+      }
+      downloadInitiatedRef.current = downloadUrl;
+      startDownload(downloadUrl);
+
+      shopify.toast.show(`Exporting ${labelCount} label${labelCount !== 1 ? "s" : ""}... Download starting!`);
+    } else if (fetcher.data && fetcher.data.error) {
+      setPendingId(null);
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleRerun = (record) => {
+    setPendingId(record.id);
+
+    const formData = new FormData();
+    formData.append("actionType", "rerun");
+    formData.append("exportId", record.id);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const isBusy = fetcher.state !== "idle";
+
+  const cellStyle = { padding: "8px", textAlign: "left", verticalAlign: "top" };
+
+  const smallButtonStyle = {
+    padding: "4px 10px",
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "#008060",
+    background: "#f1f8f5",
+    border: "1px solid #008060",
+    borderRadius: "6px",
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  };
+
+  const renderRerunButton = (record) => (
+    <button
+      onClick={() => handleRerun(record)}
+      disabled={isBusy}
+      style={{ ...smallButtonStyle, ...(isBusy ? { opacity: 0.5, cursor: "not-allowed" } : {}) }}
+    >
+      {pendingId === record.id ? "Exporting..." : "Download again"}
+    </button>
+  );
+
+  const pageUrl = (params) => `/app/export-history?${new URLSearchParams({ page: String(page), ...params })}`;
+
+  return (
+    <s-page heading="Export History">
+      <s-section>
+        <s-paragraph>
+          Every label export, with the staff member who made it. Download again builds a new
+          file with the same variants, quantities and format, using today&apos;s titles,
+          barcodes and prices.
+        </s-paragraph>
+      </s-section>
+
+      {details && (
+        <s-section heading={`Export of ${new Date(details.createdAt).toLocaleString()}`}>
+          <s-paragraph>
+            {details.variantCount} variant{details.variantCount !== 1 ? "s" : ""} •{" "}
+            {details.labelCount} label{details.labelCount !== 1 ? "s" : ""} • {details.format} •{" "}
+            {details.labelMode}
+            {details.template && ` • ${details.template}`} • {details.staff}
+          </s-paragraph>
+
+          <div style={{ overflowX: "auto", margin: "12px 0" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+                  <th style={cellStyle}>Variant</th>
+                  <th style={cellStyle}>SKU</th>
+                  <th style={cellStyle}>Barcode</th>
+                  <th style={{ ...cellStyle, textAlign: "right" }}>Labels</th>
+                </tr>
+              </thead>
+              <tbody>
+                {details.items.map((item) => (
+                  <tr key={item.variantId} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <td style={cellStyle}>
+                      {item.displayName || (
+                        <span style={{ color: "#6d7175" }}>
+                          Deleted variant ({item.variantId.split("/").pop()})
+                        </span>
+                      )}
+                    </td>
+                    <td style={cellStyle}>{item.sku || "—"}</td>
+                    <td style={{ ...cellStyle, fontFamily: "monospace" }}>{item.barcode || "—"}</td>
+                    <td style={{ ...cellStyle, textAlign: "right" }}>{item.quantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: "flex", gap: "12px", alignItems: "center" }}>
+            {renderRerunButton(details)}
+            <s-link href={pageUrl({})}>Close</s-link>
+          </div>
+        </s-section>
+      )}
+
+      <s-section>
+        {records.length === 0 ? (
+          <s-paragraph>No exports yet.</s-paragraph>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+                  <th style={cellStyle}>Date</th>
+                  <th style={cellStyle}>Staff</th>
+                  <th style={{ ...cellStyle, textAlign: "right" }}>Variants</th>
+                  <th style={{ ...cellStyle, textAlign: "right" }}>Labels</th>
+                  <th style={cellStyle}>Format</th>
+                  <th style={cellStyle}>Template</th>
+                  <th style={cellStyle} />
+                </tr>
+              </thead>
+              <tbody>
+                {records.map((record) => (
+                  <tr key={record.id} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                      {new Date(record.createdAt).toLocaleString()}
+                    </td>
+                    <td style={cellStyle}>{record.staff}</td>
+                    <td style={{ ...cellStyle, textAlign: "right" }}>{record.variantCount}</td>
+                    <td style={{ ...cellStyle, textAlign: "right" }}>{record.labelCount}</td>
+                    <td style={cellStyle}>
+                      {record.format}
+                      <div style={{ fontSize: "12px", color: "#6d7175" }}>{record.labelMode}</div>
+                    </td>
+                    <td style={cellStyle}>{record.template || "—"}</td>
+                    <td style={{ ...cellStyle, textAlign: "right" }}>
+                      <div style={{ display: "flex", gap: "12px", justifyContent: "flex-end", alignItems: "center" }}>
+                        <s-link href={pageUrl({ view: record.id })}>View variants</s-link>
+                        {renderRerunButton(record)}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pageCount > 1 && (
+          <div style={{ display: "flex", gap: "12px", alignItems: "center", marginTop: "12px" }}>
+            {page > 1 && <s-link href={`/app/export-history?page=${page - 1}`}>Newer</s-link>}
+            <span style={{ fontSize: "13px", color: "#6d7175" }}>Page {page} of {pageCount}</span>
+            {page < pageCount && <s-link href={`/app/export-history?page=${page + 1}`}>Older</s-link>}
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
@@ -0,0 +1,517 @@
+import { useFetcher } from "react-router";
+import { useState, useEffect, useRef } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { parseBatchId } from "../utils/barcode-history.server";
+import { getStaffUser } from "../utils/staff";
+import { chunkByProduct } from "../utils/variants";
+import {
+  guessColumnMapping,
+  IMPORT_COLUMNS,
+  IMPORT_MATCH_MODES,
+  MAX_IMPORT_ROWS,
+} from "../utils/supplier-import";
+import {
+  applyImportChanges,
+  parseImportChanges,
+  parseImportRequest,
+  previewSupplierImport,
+  readSupplierFile,
+} from "../utils/supplier-import.server";
+
+// Variants saved per request - small enough to show steady progress
+const IMPORT_CHUNK_SIZE = 25;
+
+const STATUS_LABELS = {
+  update: "Will update",
+  unchanged: "No change",
+  notFound: "Not found",
+  ambiguous: "Several matches",
+  duplicate: "Duplicate row",
+  invalid: "Invalid",
+};
+
+/**
+ * Loader: Only authenticates - the page works on the uploaded file
+ */
+export async function loader({ request }) {
+  await authenticate.admin(request);
+  return null;
+}
+
+/**
+ * Action: Reads, previews and applies a supplier file
+ *
+ * Actions:
+ * 1. "read" - Reads the uploaded spreadsheet and suggests a column mapping
+ * 2. "preview" - Matches the rows to variants and lists what would change
+ * 3. "apply" - Saves one chunk of barcode and SKU changes (the client sends the next chunk)
+ */
+export async function action({ request }) {
+  const { session, admin, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "read") {
+    try {
+      const sheet = await readSupplierFile(formData.get("file"));
+      return {
+        success: true,
+        actionType: "read",
+        ...sheet,
+        mapping: guessColumnMapping(sheet.headers),
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  if (actionType === "preview") {
+    let parsed;
+    try {
+      parsed = parseImportRequest(formData.get("rows"), formData.get("mapping"));
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    try {
+      const entries = await previewSupplierImport(admin, parsed.rows, parsed.mapping);
+      return { success: true, actionType: "preview", entries };
+    } catch (error) {
+      console.error("Supplier import preview error:", error);
+      return { error: error.message || "Failed to match the file to your products" };
+    }
+  }
+
+  if (actionType === "apply") {
+    let changes;
+    try {
+      changes = parseImportChanges(formData.get("changes"));
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    try {
+      const result = await applyImportChanges(admin, session.shop, changes, {
+        staff: getStaffUser({ session, sessionToken }),
+        batchId: parseBatchId(formData.get("batchId")),
+      });
+      return { success: true, actionType: "apply", ...result };
+    } catch (error) {
+      console.error("Supplier import error:", error);
+      return { error: error.message || "Failed to save the imported values" };
+    }
+  }
+
+  return { error: "Invalid action type" };
+}
+
+/**
+ * Component: Supplier spreadsheet import
+ */
+export default function ImportPage() {
+  const shopify = useAppBridge();
+  const readFetcher = useFetcher();
+  const previewFetcher = useFetcher();
+  const applyFetcher = useFetcher();
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [entries, setEntries] = useState(null);
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [rowFilter, setRowFilter] = useState("changes");
+
+  // Import run: chunks still to send, and progress shown in the banner
+  const applyQueueRef = useRef([]);
+  const applyBatchIdRef = useRef(null);
+  const [applyJob, setApplyJob] = useState(null);
+
+  // Show the column mapping once the file is read
+  useEffect(() => {
+    if (readFetcher.data && readFetcher.data.success) {
+      const { fileName, headers, rows, mapping: guessed } = readFetcher.data;
+      setSheet({ fileName, headers, rows });
+      setMapping(guessed);
+      setEntries(null);
+      setApplyJob(null);
+    } else if (readFetcher.data && readFetcher.data.error) {
+      shopify.toast.show(readFetcher.data.error, { isError: true });
+    }
+  }, [readFetcher.data, shopify]);
+
+  // Show the preview; rows that would change are selected
+  useEffect(() => {
+    if (previewFetcher.data && previewFetcher.data.success) {
+      const previewEntries = previewFetcher.data.entries;
+      setEntries(previewEntries);
+      setSelectedRows(previewEntries.filter((e) => e.status === "update").map((e) => e.row));
+      setApplyJob(null);
+    } else if (previewFetcher.data && previewFetcher.data.error) {
+      shopify.toast.show(previewFetcher.data.error, { isError: true });
+    }
+  }, [previewFetcher.data, shopify]);
+
+  // Send the next chunk of changes, or finish the run
+  const submitNextApplyChunk = (submitChunk) => {
+    const next = applyQueueRef.current.shift();
+    if (next) {
+      const formData = new FormData();
+      formData.append("actionType", "apply");
+      formData.append(
+        "changes",
+        JSON.stringify(next.map(({ variantId, barcode, sku }) => ({ variantId, barcode, sku })))
+      );
+      formData.append("batchId", applyBatchIdRef.current);
+      submitChunk(formData, { method: "post" });
+    }
+    return Boolean(next);
+  };
+
+  // Record each chunk's results and send the next one
+  useEffect(() => {
+    const data = applyFetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      applyQueueRef.current = [];
+      setApplyJob((prev) => prev && { ...prev, running: false, error: data.error });
+      shopify.toast.show(data.error, { isError: true });
+      return;
+    }
+
+    const saved = new Map(data.updated.map((u) => [u.variantId, u]));
+    setEntries((prev) => prev && prev.map((entry) => (
+      saved.has(entry.variantId) && entry.status === "update"
+        ? {
+            ...entry,
+            applied: true,
+            currentBarcode: saved.get(entry.variantId).barcode,
+            currentSku: saved.get(entry.variantId).sku,
+          }
+        : entry
+    )));
+
+    const running = submitNextApplyChunk(applyFetcher.submit);
+    setApplyJob((prev) => prev && {
+      ...prev,
+      processed: prev.processed + data.updated.length + data.failed.length + data.skipped,
+      updated: prev.updated + data.updated.length,
+      failed: [...prev.failed, ...data.failed],
+      running,
+    });
+
+    if (!running) {
+      shopify.toast.show("Import finished");
+    }
+  }, [applyFetcher.data, applyFetcher.submit, shopify]);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("actionType", "read");
+    formData.append("file", file);
+    readFetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const handlePreview = () => {
+    const formData = new FormData();
+    formData.append("actionType", "preview");
+    formData.append("rows", JSON.stringify(sheet.rows));
+    formData.append("mapping", JSON.stringify(mapping));
+    previewFetcher.submit(formData, { method: "post" });
+  };
+
+  const handleApply = () => {
+    const changes = entries
+      .filter((e) => e.status === "update" && !e.applied && selectedRows.includes(e.row))
+      .map((e) => ({
+        variantId: e.variantId,
+        productId: e.productId,
+        ...(e.newBarcode && e.newBarcode !== e.currentBarcode ? { barcode: e.newBarcode } : {}),
+        ...(e.newSku && e.newSku !== e.currentSku ? { sku: e.newSku } : {}),
+      }));
+
+    if (changes.length === 0) {
+      shopify.toast.show("Select the rows to import");
+      return;
+    }
+
+    applyQueueRef.current = chunkByProduct(changes, IMPORT_CHUNK_SIZE);
+    applyBatchIdRef.current = window.crypto.randomUUID();
+    setApplyJob({ total: changes.length, processed: 0, updated: 0, failed: [], running: true });
+    submitNextApplyChunk(applyFetcher.submit);
+  };
+
+  // Stop after the chunk that is currently being saved
+  const handleStopApply = () => {
+    applyQueueRef.current = [];
+  };
+
+  const setColumn = (key, value) => {
+    setMapping((prev) => ({
+      ...prev,
+      columns: { ...prev.columns, [key]: value === "" ? null : Number(value) },
+    }));
+    setEntries(null);
+  };
+
+  const toggleRow = (row) => {
+    setSelectedRows((prev) => (prev.includes(row) ? prev.filter((r) => r !== row) : [...prev, row]));
+  };
+
+  const isReading = readFetcher.state !== "idle";
+  const isPreviewing = previewFetcher.state !== "idle";
+
+  const counts = {};
+  (entries || []).forEach((e) => {
+    const status = e.applied ? "applied" : e.status;
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  const selectableRows = (entries || []).filter((e) => e.status === "update" && !e.applied);
+  const selectedCount = selectableRows.filter((e) => selectedRows.includes(e.row)).length;
+
+  const visibleEntries = (entries || []).filter((e) => {
+    if (rowFilter === "changes") return e.status === "update";
+    if (rowFilter === "problems") return !["update", "unchanged"].includes(e.status);
+    return true;
+  });
+
+  // Columns used for matching, depending on the mode
+  const mappedColumns = mapping?.matchBy === "title"
+    ? ["productTitle", "variantTitle", "barcode", "sku"]
+    : ["sku", "barcode"];
+
+  const cellStyle = { padding: "8px", textAlign: "left", verticalAlign: "top" };
+
+  const inputStyle = {
+    padding: "6px 8px",
+    fontSize: "14px",
+    border: "1px solid #c9cccf",
+    borderRadius: "6px",
+    boxSizing: "border-box",
+  };
+
+  const labelStyle = { display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 };
+
+  const renderChange = (current, next) => {
+    if (!next || next === current) {
+      return <span style={{ fontFamily: "monospace" }}>{current || "—"}</span>;
+    }
+    return (
+      <span style={{ fontFamily: "monospace" }}>
+        <span style={{ color: "#6d7175", textDecoration: "line-through" }}>{current || "—"}</span>
+        {" → "}
+        <strong>{next}</strong>
+      </span>
+    );
+  };
+
+  return (
+    <s-page heading="Supplier Import">
+      <s-section heading="1. Upload the supplier file">
+        <s-paragraph>
+          Upload an XLSX, XLS or CSV file with one row per item, such as a supplier price list
+          that maps their SKUs to the manufacturer&apos;s EAN. The first row must hold the column
+          names; only the first sheet of a workbook is read. Up to{' '}
+          {MAX_IMPORT_ROWS.toLocaleString()} rows per file.
+        </s-paragraph>
+        <div style={{ marginTop: "12px" }}>
+          <input
+            type="file"
+            accept=".xlsx,.xls,.csv,.tsv,.txt"
+            onChange={handleFileChange}
+            disabled={isReading}
+          />
+          {isReading && <span style={{ marginLeft: "8px" }}>Reading…</span>}
+        </div>
+      </s-section>
+
+      {sheet && mapping && (
+        <s-section heading="2. Map the columns">
+          <s-paragraph>
+            {sheet.fileName}: {sheet.rows.length.toLocaleString()} row{sheet.rows.length !== 1 ? "s" : ""}.
+            Empty barcode or SKU cells leave the variant&apos;s value as it is.
+          </s-paragraph>
+
+          <div style={{ display: "flex", gap: "12px", flexWrap: "wrap", marginTop: "12px" }}>
+            <label style={labelStyle}>
+              Match rows by
+              <select
+                value={mapping.matchBy}
+                onChange={(e) => {
+                  setMapping((prev) => ({ ...prev, matchBy: e.target.value }));
+                  setEntries(null);
+                }}
+                style={inputStyle}
+              >
+                {Object.entries(IMPORT_MATCH_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            {mappedColumns.map((key) => (
+              <label key={key} style={labelStyle}>
+                {key === "sku" && mapping.matchBy === "title" ? "New SKU" : IMPORT_COLUMNS[key].label}
+                <select
+                  value={mapping.columns[key] ?? ""}
+                  onChange={(e) => setColumn(key, e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="">—</option>
+                  {sheet.headers.map((header, index) => (
+                    <option key={index} value={index}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div style={{ marginTop: "12px" }}>
+            <s-button
+              variant="primary"
+              onClick={handlePreview}
+              {...(isPreviewing ? { loading: true } : {})}
+              {...(applyJob?.running ? { disabled: true } : {})}
+            >
+              Preview Changes
+            </s-button>
+          </div>
+        </s-section>
+      )}
+
+      {entries && (
+        <s-section heading="3. Review and import">
+          <s-paragraph>
+            {counts.update || 0} to update, {counts.unchanged || 0} unchanged
+            {counts.applied ? `, ${counts.applied} imported` : ""}
+            {counts.notFound ? `, ${counts.notFound} not found` : ""}
+            {counts.ambiguous ? `, ${counts.ambiguous} with several matches` : ""}
+            {counts.duplicate ? `, ${counts.duplicate} duplicate` : ""}
+            {counts.invalid ? `, ${counts.invalid} invalid` : ""}.
+            Barcode changes appear in Barcode History, where the import can be undone.
+          </s-paragraph>
+
+          {applyJob && (
+            <div style={{ margin: "12px 0" }}>
+              <s-banner tone={applyJob.error || (!applyJob.running && applyJob.failed.length > 0) ? "warning" : "info"}>
+                {applyJob.running
+                  ? `Importing: ${applyJob.processed} of ${applyJob.total} variants…`
+                  : `Updated ${applyJob.updated} variant${applyJob.updated !== 1 ? "s" : ""}` +
+                    (applyJob.failed.length > 0 ? `, ${applyJob.failed.length} failed.` : ".")}
+                <div style={{ height: "6px", background: "#e1e3e5", borderRadius: "3px", margin: "8px 0" }}>
+                  <div style={{
+                    width: `${applyJob.total > 0 ? Math.round((applyJob.processed / applyJob.total) * 100) : 0}%`,
+                    height: "100%",
+                    background: "#008060",
+                    borderRadius: "3px",
+                  }} />
+                </div>
+                {applyJob.error && <div>Stopped: {applyJob.error}</div>}
+                {applyJob.failed.length > 0 && (
+                  <ul style={{ margin: "4px 0", paddingLeft: "20px" }}>
+                    {applyJob.failed.map((failure) => (
+                      <li key={failure.variantId}>
+                        <strong>{failure.displayName}</strong>: {failure.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div style={{ marginTop: "8px" }}>
+                  {applyJob.running ? (
+                    <s-button onClick={handleStopApply}>Stop</s-button>
+                  ) : (
+                    <s-button onClick={() => setApplyJob(null)}>Dismiss</s-button>
+                  )}
+                </div>
+              </s-banner>
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap", margin: "12px 0" }}>
+            <select value={rowFilter} onChange={(e) => setRowFilter(e.target.value)} style={inputStyle}>
+              <option value="changes">Rows with changes</option>
+              <option value="problems">Rows with problems</option>
+              <option value="all">All rows</option>
+            </select>
+            <s-button
+              variant="primary"
+              onClick={handleApply}
+              {...(applyJob?.running || selectedCount === 0 ? { disabled: true } : {})}
+            >
+              Import {selectedCount} Change{selectedCount !== 1 ? "s" : ""}
+            </s-button>
+          </div>
+
+          {visibleEntries.length === 0 ? (
+            <s-paragraph>No rows to show.</s-paragraph>
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+                <thead>
+                  <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <th style={cellStyle}>
+                      {rowFilter === "changes" && selectableRows.length > 0 && (
+                        <input
+                          type="checkbox"
+                          aria-label="Select all rows"
+                          checked={selectedCount === selectableRows.length}
+                          onChange={(e) => setSelectedRows(e.target.checked ? selectableRows.map((r) => r.row) : [])}
+                        />
+                      )}
+                    </th>
+                    <th style={cellStyle}>Row</th>
+                    <th style={cellStyle}>{mapping.matchBy === "sku" ? "SKU" : "Title"}</th>
+                    <th style={cellStyle}>Variant</th>
+                    <th style={cellStyle}>Barcode</th>
+                    {mapping.matchBy === "title" && <th style={cellStyle}>SKU</th>}
+                    <th style={cellStyle}>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleEntries.map((entry) => (
+                    <tr key={entry.row} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                      <td style={cellStyle}>
+                        {entry.status === "update" && !entry.applied && (
+                          <input
+                            type="checkbox"
+                            aria-label={`Import row ${entry.row}`}
+                            checked={selectedRows.includes(entry.row)}
+                            onChange={() => toggleRow(entry.row)}
+                          />
+                        )}
+                      </td>
+                      <td style={cellStyle}>{entry.row}</td>
+                      <td style={cellStyle}>{entry.key || "—"}</td>
+                      <td style={cellStyle}>{entry.displayName || "—"}</td>
+                      <td style={cellStyle}>
+                        {entry.applied
+                          ? renderChange(entry.currentBarcode)
+                          : renderChange(entry.currentBarcode, entry.newBarcode)}
+                      </td>
+                      {mapping.matchBy === "title" && (
+                        <td style={cellStyle}>
+                          {entry.applied
+                            ? renderChange(entry.currentSku)
+                            : renderChange(entry.currentSku, entry.newSku)}
+                        </td>
+                      )}
+                      <td style={cellStyle}>
+                        {entry.applied ? "Imported" : STATUS_LABELS[entry.status]}
+                        {entry.message && (
+                          <div style={{ fontSize: "12px", color: "#6d7175" }}>{entry.message}</div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </s-section>
+      )}
+    </s-page>
+  );
+}
@@ -15,6 +15,15 @@ export default function App() {
 
   return (
     <AppProvider embedded apiKey={apiKey}>
+      <s-app-nav>
+        <s-link href="/app">Export Labels</s-link>
+        <s-link href="/app/templates">Export Templates</s-link>
+        <s-link href="/app/export-history">Export History</s-link>
+        <s-link href="/app/barcode-audit">Barcode Audit</s-link>
+        <s-link href="/app/barcode-history">Barcode History</s-link>
+        <s-link href="/app/import">Supplier Import</s-link>
+        <s-link href="/app/settings">Settings</s-link>
+      </s-app-nav>
       <Outlet />
     </AppProvider>
   );
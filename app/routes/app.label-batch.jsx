@@ -0,0 +1,50 @@
+import { authenticate } from "../shopify.server";
+import { parseExportItems } from "../utils/export";
+import { addToLabelBatch, clearLabelBatch, updateLabelBatchItem } from "../utils/label-batch.server";
+
+/**
+ * Action: Edits the shop's label batch (components/LabelBatchPanel on the export page)
+ *
+ * Actions:
+ * 1. "addToBatch" - Adds variants with their label quantities
+ * 2. "updateBatchItem" - Changes one variant's quantity (0 removes it)
+ * 3. "clearBatch" - Empties the batch
+ */
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "addToBatch") {
+    try {
+      const items = parseExportItems(formData.get("items") || "[]");
+      const result = await addToLabelBatch(admin, session.shop, items);
+      return { success: true, actionType: "addToBatch", ...result };
+    } catch (error) {
+      console.error("Label batch error:", error);
+      return { error: error.message || "Failed to add to the label batch" };
+    }
+  }
+
+  if (actionType === "updateBatchItem") {
+    try {
+      await updateLabelBatchItem(session.shop, formData.get("variantId"), formData.get("quantity"));
+      return { success: true, actionType: "updateBatchItem" };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  if (actionType === "clearBatch") {
+    try {
+      await clearLabelBatch(session.shop);
+      return { success: true, actionType: "clearBatch" };
+    } catch (error) {
+      console.error("Label batch error:", error);
+      return { error: error.message || "Failed to clear the label batch" };
+    }
+  }
+
+  return { error: "Invalid action type" };
+}
@@ -0,0 +1,62 @@
+import { authenticate } from "../shopify.server";
+import { createExportDownload, parseExportSettings } from "../utils/export-history.server";
+import { clearLabelQueue, getLabelQueue, removeFromLabelQueue } from "../utils/label-queue.server";
+import { getStaffUser } from "../utils/staff";
+
+/**
+ * Action: Exports and edits the needs-labels queue (components/LabelQueuePanel on the export page)
+ *
+ * Actions:
+ * 1. "exportLabelQueue" - Creates a download for every queued variant; they leave the
+ *    queue once the file is downloaded
+ * 2. "removeFromQueue" - Dismisses one variant without printing
+ * 3. "clearQueue" - Empties the queue
+ */
+export async function action({ request }) {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "exportLabelQueue") {
+    try {
+      const items = (await getLabelQueue(session.shop)).map(({ variantId, quantity }) => ({ variantId, quantity }));
+      if (items.length === 0) {
+        return { error: "No variants need labels" };
+      }
+
+      const { format, options, template } = await parseExportSettings(formData, session.shop);
+      const download = await createExportDownload(
+        session.shop,
+        getStaffUser({ session, sessionToken }),
+        { items, format, options, template, clearsQueue: true }
+      );
+      return { success: true, actionType: "export", ...download };
+    } catch (error) {
+      console.error("Label queue export error:", error);
+      return { error: error.message || "Failed to export the queued labels" };
+    }
+  }
+
+  if (actionType === "removeFromQueue") {
+    try {
+      await removeFromLabelQueue(session.shop, [String(formData.get("variantId") || "")]);
+      return { success: true, actionType: "removeFromQueue" };
+    } catch (error) {
+      console.error("Label queue error:", error);
+      return { error: error.message || "Failed to dismiss the variant" };
+    }
+  }
+
+  if (actionType === "clearQueue") {
+    try {
+      await clearLabelQueue(session.shop);
+      return { success: true, actionType: "clearQueue" };
+    } catch (error) {
+      console.error("Label queue error:", error);
+      return { error: error.message || "Failed to clear the queue" };
+    }
+  }
+
+  return { error: "Invalid action type" };
+}
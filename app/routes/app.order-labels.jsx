@@ -0,0 +1,22 @@
+import { authenticate } from "../shopify.server";
+import { addToLabelBatch } from "../utils/label-batch.server";
+import { fetchOrderLineItems, parseOrderLookup } from "../utils/order-labels.server";
+
+/**
+ * Action: Adds the line items of one order or a date range of orders to the label batch
+ * Posted to by the export page's order form (components/OrderLabelsForm).
+ */
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+
+  try {
+    const { orderNames, items, skippedLines } = await fetchOrderLineItems(admin, parseOrderLookup(formData));
+    const result = await addToLabelBatch(admin, session.shop, items);
+    return { success: true, actionType: "addOrdersToBatch", ...result, orderNames, skippedLines };
+  } catch (error) {
+    console.error("Order labels error:", error);
+    return { error: error.message || "Failed to add the order's items to the label batch" };
+  }
+}
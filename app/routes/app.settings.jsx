@@ -0,0 +1,369 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState, useEffect } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import {
+  BARCODE_FORMATS,
+  barcodeNumberRange,
+  DEFAULT_BARCODE_SETTINGS,
+  formatBarcodeNumber,
+  parseBarcodeSettings,
+} from "../utils/barcode";
+import { parseSkuPattern, renderSku, SKU_TOKENS } from "../utils/sku";
+import { getSkuSettings } from "../utils/sku-generator.server";
+
+// Example variant for the SKU pattern preview
+const SKU_PREVIEW_VARIANT = { vendor: "Acme Outdoor", handle: "trail-runner", options: ["Blue", "42"] };
+
+/**
+ * Loader: Reads the shop's barcode and SKU settings
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const settings = await db.barcodeSettings.findUnique({
+    where: { shop: session.shop },
+  });
+  const defaultRange = barcodeNumberRange(DEFAULT_BARCODE_SETTINGS);
+  const skuSettings = await getSkuSettings(session.shop);
+
+  return {
+    format: settings?.format || DEFAULT_BARCODE_SETTINGS.format,
+    gs1Prefix: settings?.gs1Prefix || "",
+    rangeStart: String(settings?.rangeStart ?? defaultRange.min),
+    rangeEnd: String(settings?.rangeEnd ?? defaultRange.max),
+    nextNumber: settings?.nextNumber ?? defaultRange.min,
+    allocatedCount: await db.barcodeAllocation.count({
+      where: { shop: session.shop, variantId: { not: null } },
+    }),
+    skuPattern: skuSettings.pattern,
+    skuNextSequence: String(skuSettings.nextSequence),
+  };
+}
+
+/**
+ * Action: Saves the shop's settings
+ *
+ * Actions:
+ * 1. "saveBarcodeSettings" - Barcode type, GS1 prefix and number range
+ * 2. "saveSkuSettings" - SKU pattern and next sequence number
+ */
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "saveSkuSettings") {
+    let pattern;
+    try {
+      pattern = parseSkuPattern(formData.get("pattern"));
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    const nextSequence = Number(formData.get("nextSequence"));
+    if (!Number.isInteger(nextSequence) || nextSequence < 0 || nextSequence > 999999999) {
+      return { error: "The next sequence number must be a whole number" };
+    }
+
+    await db.skuSettings.upsert({
+      where: { shop: session.shop },
+      create: { shop: session.shop, pattern, nextSequence },
+      update: { pattern, nextSequence },
+    });
+
+    return { success: true };
+  }
+
+  if (actionType !== "saveBarcodeSettings") {
+    return { error: "Invalid action type" };
+  }
+
+  let settings;
+  try {
+    settings = parseBarcodeSettings(formData);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const existing = await db.barcodeSettings.findUnique({
+    where: { shop: session.shop },
+  });
+
+  // Carry on from the current number unless the numbering changed or it's outside
+  // the new range. Numbers that were already issued are skipped by the allocator.
+  const keepPosition = existing
+    && existing.format === settings.format
+    && (settings.format === "internal" || existing.gs1Prefix === settings.gs1Prefix)
+    && existing.nextNumber >= settings.rangeStart
+    && existing.nextNumber <= settings.rangeEnd + 1;
+  const nextNumber = keepPosition ? existing.nextNumber : settings.rangeStart;
+
+  await db.barcodeSettings.upsert({
+    where: { shop: session.shop },
+    create: { shop: session.shop, ...settings, nextNumber },
+    update: { ...settings, nextNumber },
+  });
+
+  return { success: true };
+}
+
+/**
+ * Component: Barcode generation settings
+ */
+export default function SettingsPage() {
+  const loaderData = useLoaderData();
+  const shopify = useAppBridge();
+  const fetcher = useFetcher();
+  const [format, setFormat] = useState(loaderData.format);
+  const [gs1Prefix, setGs1Prefix] = useState(loaderData.gs1Prefix);
+  const [rangeStart, setRangeStart] = useState(loaderData.rangeStart);
+  const [rangeEnd, setRangeEnd] = useState(loaderData.rangeEnd);
+  const [skuPattern, setSkuPattern] = useState(loaderData.skuPattern);
+  const [skuNextSequence, setSkuNextSequence] = useState(loaderData.skuNextSequence);
+
+  // Handle save response from server
+  useEffect(() => {
+    if (fetcher.data && fetcher.data.success) {
+      shopify.toast.show("Settings saved");
+    } else if (fetcher.data && fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSave = () => {
+    const formData = new FormData();
+    formData.append("actionType", "saveBarcodeSettings");
+    formData.append("format", format);
+    formData.append("gs1Prefix", gs1Prefix);
+    formData.append("rangeStart", rangeStart);
+    formData.append("rangeEnd", rangeEnd);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const handleSaveSku = () => {
+    const formData = new FormData();
+    formData.append("actionType", "saveSkuSettings");
+    formData.append("pattern", skuPattern);
+    formData.append("nextSequence", skuNextSequence);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  // Changing the numbering resets the range to everything it allows
+  const handleNumberingChange = (changes) => {
+    const next = { format, gs1Prefix, ...changes };
+    setFormat(next.format);
+    setGs1Prefix(next.gs1Prefix);
+
+    // Internal codes don't use the prefix
+    const numberingChanged = next.format !== format || next.format !== "internal";
+
+    if (numberingChanged && numberingFits(next)) {
+      const { min, max } = barcodeNumberRange(cleanSettings(next));
+      setRangeStart(String(min));
+      setRangeEnd(String(max));
+    }
+  };
+
+  const isSaving = fetcher.state !== "idle";
+  const savingAction = fetcher.formData?.get("actionType");
+  const skuPreview = skuPatternPreview(skuPattern, Number(skuNextSequence) || 0);
+  const { minPrefixLength, maxPrefixLength } = BARCODE_FORMATS[format];
+  const savedSettings = cleanSettings(loaderData);
+  const savedRange = { min: Number(loaderData.rangeStart), max: Number(loaderData.rangeEnd) };
+  const remaining = Math.max(savedRange.max - Math.max(loaderData.nextNumber, savedRange.min) + 1, 0);
+
+  const inputStyle = {
+    padding: "6px 8px",
+    fontSize: "14px",
+    border: "1px solid #c9cccf",
+    borderRadius: "6px",
+    boxSizing: "border-box",
+  };
+
+  return (
+    <s-page heading="Settings">
+      <s-section heading="Barcode generation">
+        <s-paragraph>
+          Choose the barcode type created by Generate Barcode. EAN and UPC barcodes are
+          built from your GS1 prefix with a valid check digit, so retail and wholesale
+          scanners accept them.
+        </s-paragraph>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: "12px", marginTop: "12px" }}>
+          <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+            Barcode type
+            <select
+              value={format}
+              onChange={(e) => handleNumberingChange({ format: e.target.value })}
+              style={{ ...inputStyle, maxWidth: "400px" }}
+            >
+              {Object.entries(BARCODE_FORMATS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+            {format === "ean8" ? "GS1-8 prefix" : "GS1 company prefix"}
+            <input
+              type="text"
+              inputMode="numeric"
+              value={gs1Prefix}
+              maxLength={14}
+              onChange={(e) => handleNumberingChange({ gs1Prefix: e.target.value })}
+              placeholder="e.g. 0614141"
+              style={{ ...inputStyle, width: "100%", maxWidth: "400px" }}
+            />
+            <span style={{ fontWeight: 400, color: "#6d7175" }}>
+              {format === "internal"
+                ? "Not used for internal barcodes."
+                : format === "upca"
+                  ? `Your GS1 US/Canada company prefix as licensed, including the leading 0 (${minPrefixLength}–${maxPrefixLength} digits).`
+                  : `${minPrefixLength}–${maxPrefixLength} digits, as shown on your GS1 licence.`}
+            </span>
+          </label>
+
+          <div style={{ display: "flex", gap: "12px", flexWrap: "wrap" }}>
+            <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+              {format === "internal" ? "First barcode" : "First item reference"}
+              <input
+                type="text"
+                inputMode="numeric"
+                value={rangeStart}
+                onChange={(e) => setRangeStart(e.target.value)}
+                style={{ ...inputStyle, width: "160px" }}
+              />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+              {format === "internal" ? "Last barcode" : "Last item reference"}
+              <input
+                type="text"
+                inputMode="numeric"
+                value={rangeEnd}
+                onChange={(e) => setRangeEnd(e.target.value)}
+                style={{ ...inputStyle, width: "160px" }}
+              />
+            </label>
+          </div>
+          <span style={{ fontSize: "13px", color: "#6d7175" }}>
+            Barcodes are handed out in order from this range. Use it to keep the app
+            away from numbers you assign elsewhere.
+          </span>
+
+          {numberingFits(loaderData) && (
+            <s-paragraph>
+              {loaderData.allocatedCount.toLocaleString()} barcode
+              {loaderData.allocatedCount !== 1 ? "s" : ""} generated so far.{" "}
+              {remaining > 0
+                ? `Next: ${formatBarcodeNumber(savedSettings, Math.max(loaderData.nextNumber, savedRange.min))} (${remaining.toLocaleString()} left in range).`
+                : "The range is used up - extend it to keep generating barcodes."}
+            </s-paragraph>
+          )}
+
+          <div>
+            <s-button
+              variant="primary"
+              onClick={handleSave}
+              {...(isSaving && savingAction === "saveBarcodeSettings" ? { loading: true } : {})}
+            >
+              Save Settings
+            </s-button>
+          </div>
+        </div>
+      </s-section>
+
+      <s-section heading="SKU generation">
+        <s-paragraph>
+          Generate SKU on the export page builds SKUs from this pattern. Write the tokens
+          in braces; text between them is copied as typed.
+        </s-paragraph>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: "12px", marginTop: "12px" }}>
+          <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+            SKU pattern
+            <input
+              type="text"
+              value={skuPattern}
+              maxLength={100}
+              onChange={(e) => setSkuPattern(e.target.value)}
+              style={{ ...inputStyle, width: "100%", maxWidth: "400px", fontFamily: "monospace" }}
+            />
+            <span style={{ fontWeight: 400, color: "#6d7175" }}>
+              {skuPreview.error || `Example: ${skuPreview.sku}`}
+            </span>
+          </label>
+
+          <ul style={{ margin: 0, paddingLeft: "20px", fontSize: "13px", color: "#6d7175" }}>
+            {Object.entries(SKU_TOKENS).map(([token, description]) => (
+              <li key={token}>
+                <code>{`{${token}}`}</code> – {description}
+              </li>
+            ))}
+            <li>
+              Add <code>:n</code> to shorten a value to n characters, e.g. <code>{"{vendor:3}"}</code>.
+              For <code>{"{seq:5}"}</code> it pads the number to 5 digits.
+            </li>
+          </ul>
+
+          <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+            Next sequence number
+            <input
+              type="text"
+              inputMode="numeric"
+              value={skuNextSequence}
+              onChange={(e) => setSkuNextSequence(e.target.value)}
+              style={{ ...inputStyle, width: "160px" }}
+            />
+            <span style={{ fontWeight: 400, color: "#6d7175" }}>
+              SKUs are checked against your catalog; a SKU that is already used is skipped.
+              Without {"{seq}"} in the pattern, a SKU that is already used can&apos;t be generated.
+            </span>
+          </label>
+
+          <div>
+            <s-button
+              variant="primary"
+              onClick={handleSaveSku}
+              {...(isSaving && savingAction === "saveSkuSettings" ? { loading: true } : {})}
+            >
+              Save SKU Settings
+            </s-button>
+          </div>
+        </div>
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Example SKU for the pattern being edited (the server validates it again)
+ */
+function skuPatternPreview(pattern, sequence) {
+  try {
+    return { sku: renderSku(parseSkuPattern(pattern), SKU_PREVIEW_VARIANT, sequence), error: null };
+  } catch (error) {
+    return { sku: null, error: error.message };
+  }
+}
+
+function cleanSettings({ format, gs1Prefix }) {
+  return { format, gs1Prefix: gs1Prefix.replace(/\s/g, "") };
+}
+
+/**
+ * Whether the prefix suits the format (the server validates this again)
+ */
+function numberingFits(settings) {
+  const { format, gs1Prefix } = cleanSettings(settings);
+  const { minPrefixLength, maxPrefixLength } = BARCODE_FORMATS[format];
+
+  if (format === "internal") return true;
+
+  return /^\d+$/.test(gs1Prefix)
+    && gs1Prefix.length >= minPrefixLength
+    && gs1Prefix.length <= maxPrefixLength
+    && (format !== "upca" || gs1Prefix.startsWith("0"));
+}
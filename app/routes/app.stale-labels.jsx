@@ -0,0 +1,29 @@
+import { authenticate } from "../shopify.server";
+import { findStaleLabels } from "../utils/label-snapshots.server";
+
+/**
+ * Action: Checks printed labels for changes (components/StaleLabelsPanel on the export page)
+ *
+ * Actions:
+ * 1. "findStaleLabels" - Lists printed labels whose price, barcode or title changed since;
+ *    with "after" it continues from the previous check's nextCursor
+ */
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "findStaleLabels") {
+    try {
+      const after = formData.get("after") || null;
+      const result = await findStaleLabels(admin, session.shop, after);
+      return { success: true, actionType: "findStaleLabels", continued: Boolean(after), ...result };
+    } catch (error) {
+      console.error("Reprint check error:", error);
+      return { error: error.message || "Failed to check printed labels" };
+    }
+  }
+
+  return { error: "Invalid action type" };
+}
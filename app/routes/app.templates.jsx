@@ -0,0 +1,421 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState, useEffect } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import {
+  DEFAULT_COLUMNS,
+  EXPORT_FIELDS,
+  MAX_COLUMN_WIDTH,
+  MAX_HEADER_LENGTH,
+  MIN_COLUMN_WIDTH,
+  parseTemplateColumns,
+} from "../utils/export-fields";
+import { isSupportedLocale } from "../utils/money";
+
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+
+/**
+ * Loader: Lists the shop's export column templates
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const templates = await db.exportTemplate.findMany({
+    where: { shop: session.shop },
+    orderBy: { name: "asc" },
+  });
+
+  return {
+    templates: templates.map((template) => ({
+      id: template.id,
+      name: template.name,
+      columns: JSON.parse(template.columns),
+      locale: template.locale || "",
+    })),
+  };
+}
+
+/**
+ * Action: Creates, updates and deletes export templates
+ *
+ * Actions:
+ * 1. "save" - Creates a template, or updates it when an ID is provided
+ * 2. "delete" - Deletes a template
+ */
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  if (actionType === "save") {
+    const id = formData.get("id");
+    const name = String(formData.get("name") || "").trim().substring(0, MAX_TEMPLATE_NAME_LENGTH);
+
+    if (!name) {
+      return { error: "Template name is required" };
+    }
+
+    let columns;
+    try {
+      columns = parseTemplateColumns(formData.get("columns"));
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    // Empty locale means "use the shop's money format"
+    const locale = String(formData.get("locale") || "").trim() || null;
+    if (locale && !isSupportedLocale(locale)) {
+      return { error: `"${locale}" is not a supported locale (try e.g. en-CA, fr-FR or de-DE)` };
+    }
+
+    try {
+      if (id) {
+        // Scope the update to this shop so IDs from other shops can't be edited
+        const { count } = await db.exportTemplate.updateMany({
+          where: { id, shop: session.shop },
+          data: { name, columns: JSON.stringify(columns), locale },
+        });
+
+        if (count === 0) {
+          return { error: "Template not found" };
+        }
+      } else {
+        await db.exportTemplate.create({
+          data: { shop: session.shop, name, columns: JSON.stringify(columns), locale },
+        });
+      }
+    } catch (error) {
+      // Unique constraint on (shop, name)
+      if (error.code === "P2002") {
+        return { error: `A template named "${name}" already exists` };
+      }
+      throw error;
+    }
+
+    return { success: true, actionType: "save", name };
+  }
+
+  if (actionType === "delete") {
+    const id = formData.get("id");
+
+    await db.exportTemplate.deleteMany({
+      where: { id, shop: session.shop },
+    });
+
+    return { success: true, actionType: "delete" };
+  }
+
+  return { error: "Invalid action type" };
+}
+
+/**
+ * Component: Template list and column editor
+ */
+export default function TemplatesPage() {
+  const { templates } = useLoaderData();
+  const shopify = useAppBridge();
+  const fetcher = useFetcher();
+  const [editing, setEditing] = useState(null);
+
+  // Handle save/delete response from server
+  useEffect(() => {
+    if (fetcher.data && fetcher.data.success) {
+      if (fetcher.data.actionType === "save") {
+        shopify.toast.show(`Template "${fetcher.data.name}" saved`);
+        setEditing(null);
+      } else if (fetcher.data.actionType === "delete") {
+        shopify.toast.show("Template deleted");
+      }
+    } else if (fetcher.data && fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleNew = () => {
+    setEditing({
+      id: null,
+      name: "",
+      locale: "",
+      columns: DEFAULT_COLUMNS.map((c) => ({ ...c })),
+    });
+  };
+
+  const handleEdit = (template) => {
+    setEditing({
+      id: template.id,
+      name: template.name,
+      locale: template.locale,
+      columns: template.columns.map((c) => ({ ...c })),
+    });
+  };
+
+  const handleDelete = (template) => {
+    if (!window.confirm(`Delete template "${template.name}"?`)) return;
+
+    const formData = new FormData();
+    formData.append("actionType", "delete");
+    formData.append("id", template.id);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const handleSave = () => {
+    const formData = new FormData();
+    formData.append("actionType", "save");
+    if (editing.id) {
+      formData.append("id", editing.id);
+    }
+    formData.append("name", editing.name);
+    formData.append("locale", editing.locale);
+    formData.append("columns", JSON.stringify(editing.columns));
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const updateColumn = (index, changes) => {
+    setEditing((prev) => ({
+      ...prev,
+      columns: prev.columns.map((c, i) => (i === index ? { ...c, ...changes } : c)),
+    }));
+  };
+
+  const moveColumn = (index, offset) => {
+    setEditing((prev) => {
+      const columns = [...prev.columns];
+      const target = index + offset;
+      if (target < 0 || target >= columns.length) return prev;
+      [columns[index], columns[target]] = [columns[target], columns[index]];
+      return { ...prev, columns };
+    });
+  };
+
+  const removeColumn = (index) => {
+    setEditing((prev) => ({
+      ...prev,
+      columns: prev.columns.filter((_, i) => i !== index),
+    }));
+  };
+
+  const addColumn = (field) => {
+    if (!field) return;
+    setEditing((prev) => ({
+      ...prev,
+      columns: [
+        ...prev.columns,
+        {
+          field,
+          header: EXPORT_FIELDS[field].defaultHeader,
+          width: EXPORT_FIELDS[field].defaultWidth,
+        },
+      ],
+    }));
+  };
+
+  const isSaving = fetcher.state !== "idle";
+  const unusedFields = editing
+    ? Object.keys(EXPORT_FIELDS).filter((field) => !editing.columns.some((c) => c.field === field))
+    : [];
+
+  const inputStyle = {
+    padding: "6px 8px",
+    fontSize: "14px",
+    border: "1px solid #c9cccf",
+    borderRadius: "6px",
+    boxSizing: "border-box",
+  };
+
+  const smallButtonStyle = {
+    padding: "4px 10px",
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "#202223",
+    background: "#ffffff",
+    border: "1px solid #c9cccf",
+    borderRadius: "6px",
+    cursor: "pointer",
+  };
+
+  return (
+    <s-page heading="Export Templates">
+      <s-button slot="primary-action" variant="primary" onClick={handleNew}>
+        New Template
+      </s-button>
+
+      {editing && (
+        <s-section heading={editing.id ? "Edit template" : "New template"}>
+          <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+            <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+              Template name
+              <input
+                type="text"
+                value={editing.name}
+                maxLength={MAX_TEMPLATE_NAME_LENGTH}
+                onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Shelf tags with SKU"
+                style={{ ...inputStyle, width: "100%", maxWidth: "400px" }}
+              />
+            </label>
+
+            <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px", fontWeight: 600 }}>
+              Price locale (optional)
+              <input
+                type="text"
+                value={editing.locale}
+                maxLength={35}
+                onChange={(e) => setEditing((prev) => ({ ...prev, locale: e.target.value }))}
+                placeholder="e.g. fr-CA – leave empty to use your store's currency format"
+                style={{ ...inputStyle, width: "100%", maxWidth: "400px" }}
+              />
+              <span style={{ fontWeight: 400, color: "#6d7175" }}>
+                Controls the decimal separator and symbol placement. Add a &quot;plain number&quot;
+                price column for label software that formats prices itself.
+              </span>
+            </label>
+
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+                <thead>
+                  <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <th style={{ padding: "8px", textAlign: "left" }}>Order</th>
+                    <th style={{ padding: "8px", textAlign: "left" }}>Field</th>
+                    <th style={{ padding: "8px", textAlign: "left" }}>Header text</th>
+                    <th style={{ padding: "8px", textAlign: "left" }}>Width</th>
+                    <th style={{ padding: "8px" }} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {editing.columns.map((column, index) => (
+                    <tr key={column.field} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                      <td style={{ padding: "8px", whiteSpace: "nowrap" }}>
+                        <button
+                          onClick={() => moveColumn(index, -1)}
+                          disabled={index === 0}
+                          aria-label="Move column up"
+                          style={{ ...smallButtonStyle, marginRight: "4px" }}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          onClick={() => moveColumn(index, 1)}
+                          disabled={index === editing.columns.length - 1}
+                          aria-label="Move column down"
+                          style={smallButtonStyle}
+                        >
+                          ↓
+                        </button>
+                      </td>
+                      <td style={{ padding: "8px" }}>{EXPORT_FIELDS[column.field]?.label || column.field}</td>
+                      <td style={{ padding: "8px" }}>
+                        <input
+                          type="text"
+                          value={column.header}
+                          maxLength={MAX_HEADER_LENGTH}
+                          onChange={(e) => updateColumn(index, { header: e.target.value })}
+                          aria-label={`Header for ${EXPORT_FIELDS[column.field]?.label || column.field}`}
+                          style={{ ...inputStyle, width: "100%" }}
+                        />
+                      </td>
+                      <td style={{ padding: "8px" }}>
+                        <input
+                          type="number"
+                          min={MIN_COLUMN_WIDTH}
+                          max={MAX_COLUMN_WIDTH}
+                          value={column.width}
+                          onChange={(e) => updateColumn(index, { width: e.target.value })}
+                          aria-label={`Width for ${EXPORT_FIELDS[column.field]?.label || column.field}`}
+                          style={{ ...inputStyle, width: "72px" }}
+                        />
+                      </td>
+                      <td style={{ padding: "8px", textAlign: "right" }}>
+                        <button
+                          onClick={() => removeColumn(index)}
+                          disabled={editing.columns.length === 1}
+                          style={{ ...smallButtonStyle, color: "#bf0711" }}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {unusedFields.length > 0 && (
+              <label style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "13px", fontWeight: 600 }}>
+                Add column
+                <select value="" onChange={(e) => addColumn(e.target.value)} style={inputStyle}>
+                  <option value="">Choose a field…</option>
+                  {unusedFields.map((field) => (
+                    <option key={field} value={field}>{EXPORT_FIELDS[field].label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            <div style={{ display: "flex", gap: "8px" }}>
+              <s-button
+                variant="primary"
+                onClick={handleSave}
+                {...(isSaving ? { loading: true } : {})}
+                {...(!editing.name.trim() ? { disabled: true } : {})}
+              >
+                Save Template
+              </s-button>
+              <s-button onClick={() => setEditing(null)}>Cancel</s-button>
+            </div>
+          </div>
+        </s-section>
+      )}
+
+      <s-section heading="Templates">
+        <s-paragraph>
+          Templates choose which fields become columns in Excel, CSV and TSV exports,
+          their header text, order and widths. Pick a template on the export page.
+        </s-paragraph>
+
+        {templates.length === 0 ? (
+          <s-paragraph>
+            No templates yet. Exports use the default columns: Product Name, Size, Barcode, Price.
+          </s-paragraph>
+        ) : (
+          <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+            {templates.map((template) => (
+              <div
+                key={template.id}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: "12px",
+                  padding: "12px",
+                  border: "1px solid #e1e3e5",
+                  borderRadius: "8px",
+                }}
+              >
+                <div style={{ minWidth: 0 }}>
+                  <strong>{template.name}</strong>
+                  <div style={{ fontSize: "12px", color: "#6d7175", marginTop: "4px" }}>
+                    {template.columns.map((c) => c.header).join(" • ")}
+                    {template.locale && ` — prices in ${template.locale}`}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "8px", flexShrink: 0 }}>
+                  <button onClick={() => handleEdit(template)} style={smallButtonStyle}>
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(template)}
+                    style={{ ...smallButtonStyle, color: "#bf0711" }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
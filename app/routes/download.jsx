@@ -1,5 +1,23 @@
 import * as XLSX from "xlsx";
 import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { fetchVariantsByIds } from "../utils/variants";
+import {
+  buildLabelRows,
+  CSV_DELIMITERS,
+  DEFAULT_DELIMITED_OPTIONS,
+  DEFAULT_ZPL_OPTIONS,
+  EXPORT_FORMATS,
+  LINE_ENDINGS,
+} from "../utils/export";
+import { buildLabelPdf } from "../utils/pdf";
+import { resolveSymbology } from "../utils/barcode";
+import { DEFAULT_COLUMNS, resolveColumns, SALE_COLUMNS } from "../utils/export-fields";
+import { createPriceFormatter, fetchShopCurrency } from "../utils/money";
+import { resolveMetafieldColumns } from "../utils/metafields";
+import { recordPrintedLabels } from "../utils/label-snapshots.server";
+import { removeFromLabelQueue } from "../utils/label-queue.server";
+import { DOWNLOAD_REUSE_MS, DOWNLOAD_TOKEN_TTL_MS } from "../utils/export-history.server";
 
 /**
  * Download endpoint for mobile-compatible file exports
@@ -31,7 +49,7 @@ export async function loader({ request }) {
   }
 
   // Verify token hasn't expired (15 minutes from creation)
-  const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
+  const fifteenMinutesAgo = new Date(Date.now() - DOWNLOAD_TOKEN_TTL_MS);
   if (downloadToken.createdAt < fifteenMinutesAgo) {
     // Clean up expired token
     await db.downloadToken.delete({ where: { token } });
@@ -41,7 +59,7 @@ export async function loader({ request }) {
   // Check if token has been used before
   if (downloadToken.usedAt) {
     // Allow reuse within 60 seconds of first use (for mobile apps that might request twice)
-    const sixtySecondsAgo = new Date(Date.now() - 60 * 1000);
+    const sixtySecondsAgo = new Date(Date.now() - DOWNLOAD_REUSE_MS);
     if (downloadToken.usedAt < sixtySecondsAgo) {
       // Token was used more than 60 seconds ago - reject
       await db.downloadToken.delete({ where: { token } });
@@ -60,64 +78,292 @@ export async function loader({ request }) {
   // It was created by an authenticated user in the app._index action
   // and is tied to a specific shop
 
-  // Parse the export data from the token
-  const exportData = JSON.parse(downloadToken.data);
+  // Parse the selected variant IDs and label quantities from the token
+  const items = JSON.parse(downloadToken.data);
 
-  // Build worksheet data - formatted for label printing
-  const wsData = [];
+  const format = EXPORT_FORMATS[downloadToken.format] ? downloadToken.format : "xlsx";
+  const options = downloadToken.options ? JSON.parse(downloadToken.options) : {};
+  const metafieldColumns = options.metafields || [];
 
-  // Header row
-  wsData.push(["Product Name", "Size", "Barcode", "Price"]);
+  // Re-fetch authoritative variant data with the shop's offline session,
+  // so the file never contains client-supplied titles, barcodes or prices.
+  // Catalog exports already carry the data their bulk query read from Shopify.
+  const { admin } = await unauthenticated.admin(downloadToken.shop);
+  const variantsById = downloadToken.variants
+    ? new Map(JSON.parse(downloadToken.variants).map((variant) => [variant.id, variant]))
+    : await fetchVariantsByIds(admin, items.map((item) => item.variantId), metafieldColumns);
 
-  // Data rows
-  exportData.forEach((item) => {
-    wsData.push([
-      item.productTitle,
-      item.variantTitle || "Default",
-      item.barcode || "",
-      `$${item.price || "0.00"}`,
-    ]);
+  const saleLabels = options.labelMode === "sale";
+
+  // Spreadsheet columns come from the shop's template, if one was chosen
+  let columns = saleLabels ? SALE_COLUMNS : DEFAULT_COLUMNS;
+  let locale = null;
+  if (downloadToken.templateId) {
+    const template = await db.exportTemplate.findFirst({
+      where: { id: downloadToken.templateId, shop: downloadToken.shop },
+    });
+    // Template may have been deleted since the export was requested
+    if (template) {
+      columns = JSON.parse(template.columns);
+      locale = template.locale;
+    }
+  }
+  // Metafield columns chosen on the export page follow the template columns
+  const labelColumns = [
+    ...resolveColumns(columns),
+    ...resolveMetafieldColumns(metafieldColumns),
+  ];
+
+  // Prices use the shop's currency and money format (or the template's locale)
+  const formatPrice = createPriceFormatter({
+    ...(await fetchShopCurrency(admin)),
+    locale,
+  });
+
+  // One row per label
+  const exportData = buildLabelRows(items, variantsById, formatPrice);
+
+  // Build the file in the requested format
+  let body;
+  if (format === "xlsx") {
+    body = buildXlsx(exportData, labelColumns);
+  } else if (format === "pdf") {
+    body = await buildLabelPdf(exportData, options);
+  } else if (format === "zpl") {
+    body = buildZpl(exportData, options);
+  } else {
+    body = buildDelimited(exportData, labelColumns, format, options);
+  }
+
+  // Remember what was printed, so labels gone stale can be found later.
+  // The file is still served if this fails.
+  try {
+    await recordPrintedLabels(downloadToken.shop, items, variantsById);
+  } catch (error) {
+    console.error("Label snapshot error:", error);
+  }
+
+  // Queue exports take their variants off the queue now that the labels exist
+  if (downloadToken.clearsQueue) {
+    try {
+      await removeFromLabelQueue(downloadToken.shop, items.map((item) => item.variantId));
+    } catch (error) {
+      console.error("Label queue error:", error);
+    }
+  }
+
+  // Note: Token cleanup happens via expiry check (15 minutes from creation)
+  // We allow reuse within 60 seconds to support mobile apps that may request twice
+
+  // Return file with proper headers for download
+  // This works on both desktop and mobile browsers
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "Content-Type": EXPORT_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${downloadToken.fileName}"`,
+      "Content-Length": body.length.toString(),
+    },
   });
+}
+
+/**
+ * Build an XLSX workbook with one row per label
+ * @param {Array<Object>} exportData - Rows from buildLabelRows
+ * @param {Array<Object>} labelColumns - Columns from resolveColumns
+ * @returns {Buffer} - XLSX file contents
+ */
+function buildXlsx(exportData, labelColumns) {
+  // Header row followed by data rows
+  const wsData = [
+    labelColumns.map((column) => column.header),
+    ...exportData.map((item) => labelColumns.map((column) => column.value(item))),
+  ];
 
   // Create worksheet
   const ws = XLSX.utils.aoa_to_sheet(wsData);
 
-  // Format barcode column as text to prevent scientific notation
+  // Format text columns (barcode, SKU) as text to prevent scientific notation
   const range = XLSX.utils.decode_range(ws["!ref"]);
-  for (let row = 1; row <= range.e.r; row++) {
-    const cellAddress = XLSX.utils.encode_cell({ r: row, c: 2 });
-    if (ws[cellAddress]) {
-      ws[cellAddress].t = "s";
+  labelColumns.forEach((column, c) => {
+    if (!column.text) return;
+
+    for (let row = 1; row <= range.e.r; row++) {
+      const cellAddress = XLSX.utils.encode_cell({ r: row, c });
+      if (ws[cellAddress]) {
+        ws[cellAddress].t = "s";
+      }
     }
-  }
+  });
 
   // Set column widths
-  ws["!cols"] = [
-    { wch: 30 }, // Product Name
-    { wch: 20 }, // Size
-    { wch: 20 }, // Barcode
-    { wch: 10 }, // Price
-  ];
+  ws["!cols"] = labelColumns.map((column) => ({ wch: column.width }));
 
   // Create workbook
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, ws, "Labels");
 
   // Generate XLSX file as buffer
-  const wbout = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+  return XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+}
 
-  // Note: Token cleanup happens via expiry check (15 minutes from creation)
-  // We allow reuse within 60 seconds to support mobile apps that may request twice
+/**
+ * Build a CSV or TSV file with one row per label
+ * @param {Array<Object>} exportData - Rows from buildLabelRows
+ * @param {Array<Object>} labelColumns - Columns from resolveColumns
+ * @param {"csv"|"tsv"} format - Export format
+ * @param {Object} options - Delimited options stored on the token (see DEFAULT_DELIMITED_OPTIONS)
+ * @returns {Uint8Array} - UTF-8 encoded file contents
+ */
+function buildDelimited(exportData, labelColumns, format, options) {
+  const { delimiter, bom, lineEnding, excelTextBarcodes } = {
+    ...DEFAULT_DELIMITED_OPTIONS,
+    ...options,
+  };
+  const separator = format === "tsv" ? "\t" : CSV_DELIMITERS[delimiter];
 
-  // Return file with proper headers for download
-  // This works on both desktop and mobile browsers
-  return new Response(wbout, {
-    status: 200,
-    headers: {
-      "Content-Type":
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      "Content-Disposition": `attachment; filename="${downloadToken.fileName}"`,
-      "Content-Length": wbout.length.toString(),
-    },
+  const formatField = (value, column) => {
+    const str = String(value ?? "");
+
+    // ="0012345" makes Excel keep the value as text instead of dropping leading zeros
+    if (column.text && excelTextBarcodes && str) {
+      return `"=""${str}"""`;
+    }
+
+    // Quote fields containing the separator, quotes or line breaks (RFC 4180)
+    // Text columns are always quoted so label software treats them as strings
+    if (column.text || str.includes(separator) || /["\r\n]/.test(str)) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+
+    return str;
+  };
+
+  const lines = [
+    labelColumns.map((column) => formatField(column.header, {})).join(separator),
+    ...exportData.map((item) =>
+      labelColumns.map((column) => formatField(column.value(item), column)).join(separator)
+    ),
+  ];
+
+  const newline = LINE_ENDINGS[lineEnding];
+  const text = lines.join(newline) + newline;
+
+  // UTF-8 BOM lets Excel on Windows detect the encoding (accents, currency symbols)
+  return new TextEncoder().encode(bom ? `\uFEFF${text}` : text);
+}
+
+/**
+ * Build ZPL II for Zebra thermal printers - one ^XA…^XZ block per label
+ * @param {Array<Object>} exportData - Rows from buildLabelRows
+ * @param {Object} options - ZPL options stored on the token (see DEFAULT_ZPL_OPTIONS)
+ * @returns {Uint8Array} - UTF-8 encoded ZPL
+ */
+function buildZpl(exportData, options) {
+  const { width, height, dpi, symbology, labelMode } = { ...DEFAULT_ZPL_OPTIONS, ...options };
+
+  const widthDots = Math.round(width * dpi);
+  const heightDots = Math.round(height * dpi);
+  const padding = Math.round(0.06 * dpi);
+  const innerWidth = widthDots - padding * 2;
+
+  // Font 0 is scalable; characters are roughly 0.55× as wide as they are tall
+  const fontHeight = Math.min(Math.max(Math.round(heightDots * 0.12), 18), 60);
+  const charsPerLine = (lineWidth) => Math.floor(lineWidth / (fontHeight * 0.55));
+  const lineHeight = Math.round(fontHeight * 1.2);
+
+  // Narrow bar width in dots: ~10 mil at both resolutions
+  const moduleWidth = dpi >= 300 ? 3 : 2;
+
+  const labels = exportData.map((item) => {
+    // Sale labels add a "Was … · Save …%" line when the variant is on sale
+    const saleLine = labelMode === "sale" && item.percentOff
+      ? `Was ${item.formattedCompareAtPrice} · Save ${item.percentOff}%`
+      : "";
+    const barcodeTop = padding + lineHeight * (saleLine ? 3 : 2);
+    // Leave room for the human-readable line printed under the bars
+    const barcodeHeight = Math.max(heightDots - barcodeTop - padding - fontHeight, 20);
+
+    const price = item.formattedPrice;
+    const variantTitle =
+      item.variantTitle && item.variantTitle !== "Default Title" ? item.variantTitle : "";
+
+    const lines = [
+      "^XA",
+      "^CI28", // UTF-8 field data
+      `^PW${widthDots}`,
+      `^LL${heightDots}`,
+      // Product name
+      `^FO${padding},${padding}^A0N,${fontHeight},${fontHeight}` +
+        `^FH\\^FD${zplText(truncate(item.productTitle, charsPerLine(innerWidth)))}^FS`,
+      // Price (right-aligned) and variant title on the second line
+      `^FO${padding},${padding + lineHeight}^A0N,${fontHeight},${fontHeight}` +
+        `^FB${innerWidth},1,0,R^FH\\^FD${zplText(price)}^FS`,
+    ];
+
+    if (variantTitle) {
+      const variantWidth = innerWidth - Math.ceil(price.length * fontHeight * 0.55) - padding;
+      lines.push(
+        `^FO${padding},${padding + lineHeight}^A0N,${fontHeight},${fontHeight}` +
+          `^FH\\^FD${zplText(truncate(variantTitle, charsPerLine(variantWidth)))}^FS`
+      );
+    }
+
+    if (saleLine) {
+      lines.push(
+        `^FO${padding},${padding + lineHeight * 2}^A0N,${fontHeight},${fontHeight}` +
+          `^FH\\^FD${zplText(truncate(saleLine, charsPerLine(innerWidth)))}^FS`
+      );
+    }
+
+    if (item.barcode) {
+      lines.push(
+        `^BY${moduleWidth}`,
+        `^FO${padding},${barcodeTop}${zplBarcode(item.barcode, symbology, barcodeHeight)}`
+      );
+    }
+
+    lines.push("^XZ");
+    return lines.join("\n");
   });
+
+  return new TextEncoder().encode(labels.join("\n") + "\n");
+}
+
+/**
+ * ZPL barcode command and field data for a barcode value
+ * The printer calculates EAN/UPC check digits itself, so they're left off
+ */
+function zplBarcode(barcode, preference, height) {
+  const { symbology, text } = resolveSymbology(barcode, preference);
+
+  switch (symbology) {
+    case "ean13":
+      return `^BEN,${height},Y,N^FD${text.slice(0, 12)}^FS`;
+    case "upca":
+      return `^BUN,${height},Y,N,Y^FD${text.slice(0, 11)}^FS`;
+    case "ean8":
+      return `^B8N,${height},Y,N^FD${text.slice(0, 7)}^FS`;
+    default:
+      // ">" starts a subset switch in ^BC field data; ">0" prints a literal ">"
+      return `^BCN,${height},Y,N,N^FH\\^FD${zplText(text).replace(/>/g, ">0")}^FS`;
+  }
+}
+
+/**
+ * Escape field data for use after ^FH\ (hex escapes for ZPL control characters)
+ */
+function zplText(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\5C")
+    .replace(/\^/g, "\\5E")
+    .replace(/~/g, "\\7E");
+}
+
+/**
+ * Truncate text to fit a line (font 0 has no ellipsis glyph, so use "...")
+ */
+function truncate(text, maxChars) {
+  const str = String(text ?? "");
+  return str.length > maxChars ? `${str.slice(0, Math.max(maxChars - 3, 0))}...` : str;
 }
@@ -8,8 +8,16 @@ export const action = async ({ request }) => {
 
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
   // If this webhook already ran, the session may have been deleted previously.
+  // The shop's data goes in one transaction with the session, so a failed delete is
+  // retried with the next delivery instead of being skipped for lack of a session.
   if (session) {
-    await db.session.deleteMany({ where: { shop } });
+    await db.$transaction([
+      db.inventoryLevelRecord.deleteMany({ where: { shop } }),
+      db.labelQueueItem.deleteMany({ where: { shop } }),
+      db.knownVariantPrice.deleteMany({ where: { shop } }),
+      db.printedLabelSnapshot.deleteMany({ where: { shop } }),
+      db.session.deleteMany({ where: { shop } }),
+    ]);
   }
 
   return new Response();
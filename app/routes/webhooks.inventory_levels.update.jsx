@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { recordInventoryLevel } from "../utils/inventory.server";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Kept as history for "received since" label quantities (skipped after uninstall)
+  if (session) {
+    await recordInventoryLevel(shop, payload);
+  }
+
+  return new Response();
+};
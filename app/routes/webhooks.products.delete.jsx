@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { removeDeletedProduct } from "../utils/label-queue.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Deleted variants can't be labelled - drop them from the queue and the known prices
+  await removeDeletedProduct(shop, payload);
+
+  return new Response();
+};
@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { queueProductLabels } from "../utils/label-queue.server";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // New and re-priced variants go on the "needs labels" queue (skipped after uninstall)
+  if (session) {
+    await queueProductLabels(shop, topic, payload);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,109 @@
+/**
+ * Sequential barcode allocation from the shop's reserved range
+ *
+ * Each shop has a counter on BarcodeSettings. Numbers are reserved inside a
+ * transaction and recorded in BarcodeAllocation, so a code is never issued
+ * twice - even when several staff generate barcodes at the same time.
+ */
+
+import db from "../db.server";
+import { checkBarcodeExists, formatBarcodeNumber } from "./barcode";
+
+// Numbers already used in Shopify (e.g. typed in by hand) are skipped.
+// Give up after this many in a row so a badly placed range fails fast.
+const MAX_SKIPPED_NUMBERS = 50;
+
+/**
+ * Allocate the next free barcode for a variant
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {string} variantId - Variant GID the barcode is for
+ * @returns {Promise<string>} - A barcode in the shop's format that isn't used in the store
+ * @throws {Error} - If the range is used up or its next numbers are all taken in Shopify
+ */
+export async function allocateBarcode(admin, shop, variantId) {
+  for (let skipped = 0; skipped < MAX_SKIPPED_NUMBERS; skipped++) {
+    const barcode = await reserveNextBarcode(shop, variantId);
+
+    if (!(await checkBarcodeExists(admin, barcode))) {
+      return barcode;
+    }
+
+    // Keep the reservation so the number is never offered again,
+    // but don't record it against the variant
+    await db.barcodeAllocation.update({
+      where: { shop_barcode: { shop, barcode } },
+      data: { variantId: null },
+    });
+
+    console.log(`Barcode ${barcode} is already used in Shopify - skipping`);
+  }
+
+  throw new Error(
+    `The next ${MAX_SKIPPED_NUMBERS} barcodes in your range are already used in Shopify. ` +
+      "Move the range start in Settings past your existing barcodes."
+  );
+}
+
+/**
+ * Reserve the next number in the shop's range and record it
+ * @returns {Promise<string>} - The reserved barcode
+ */
+async function reserveNextBarcode(shop, variantId) {
+  return db.$transaction(
+    async (tx) => {
+      // Shops that never saved settings get internal 8-digit codes
+      await tx.barcodeSettings.upsert({
+        where: { shop },
+        create: { shop },
+        update: {},
+      });
+
+      for (;;) {
+        // The increment locks the settings row until commit, so concurrent
+        // allocations for the same shop wait here instead of reading the same number
+        const settings = await tx.barcodeSettings.update({
+          where: { shop },
+          data: { nextNumber: { increment: 1 } },
+        });
+        const number = settings.nextNumber - 1;
+
+        if (number > settings.rangeEnd) {
+          throw new Error(
+            "Every barcode in your range has been used. Extend the range in Settings."
+          );
+        }
+
+        const barcode = formatBarcodeNumber(settings, number);
+
+        // Numbers issued before the range or prefix was changed back are skipped
+        const existing = await tx.barcodeAllocation.findUnique({
+          where: { shop_barcode: { shop, barcode } },
+        });
+
+        if (!existing) {
+          await tx.barcodeAllocation.create({
+            data: { shop, barcode, variantId },
+          });
+          return barcode;
+        }
+      }
+    },
+    { timeout: 15000 }
+  );
+}
+
+/**
+ * Unlink barcodes that couldn't be saved to Shopify from their variants
+ * The numbers stay reserved so they're still never issued again
+ * @param {string} shop - Shop domain
+ * @param {string[]} barcodes - Barcodes returned by allocateBarcode
+ */
+export async function releaseBarcodes(shop, barcodes) {
+  if (barcodes.length === 0) return;
+
+  await db.barcodeAllocation.updateMany({
+    where: { shop, barcode: { in: barcodes } },
+    data: { variantId: null },
+  });
+}
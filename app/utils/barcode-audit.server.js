@@ -0,0 +1,133 @@
+/**
+ * Catalog-wide barcode audit
+ *
+ * Finds barcodes shared by more than one variant, EAN/UPC barcodes with a
+ * wrong check digit, and variants without a barcode. The catalog is read with a
+ * bulk query; the audit page polls checkBarcodeAudit until Shopify has finished.
+ */
+
+import { BARCODE_AUDIT_BULK_QUERY } from "../graphql/bulk-operations";
+import { hasValidCheckDigit } from "./barcode";
+import { fetchBulkOperation, FAILED_BULK_STATUSES, forEachBulkNode, runBulkQuery } from "./bulk-operations.server";
+
+// Variants listed per problem in a report; the counts cover all of them
+export const MAX_LISTED_VARIANTS = 1000;
+
+const BULK_OPERATION_ID_PATTERN = /^gid:\/\/shopify\/BulkOperation\/\d+$/;
+
+/**
+ * Start scanning the catalog (including drafts and archived products) for barcode problems
+ * The scan runs as a bulk query, so every product is read however large the catalog is.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @returns {Promise<string>} - BulkOperation GID to pass to checkBarcodeAudit
+ * @throws {Error} - If Shopify refuses the bulk query
+ */
+export async function startBarcodeAudit(admin) {
+  const operation = await runBulkQuery(admin, BARCODE_AUDIT_BULK_QUERY);
+  return operation.id;
+}
+
+/**
+ * Check on a scan; once Shopify has read the catalog, build the report
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string|null} operationId - From startBarcodeAudit
+ * @param {Object} options
+ * @param {boolean} options.internalCodes - The shop generates internal 8-digit codes,
+ *   so 8-digit barcodes aren't treated as EAN-8
+ * @returns {Promise<{status: "running", objectCount: number}|{status: "completed", report: {
+ *   duplicates: Array<{barcode: string, variants: Object[]}>,
+ *   invalid: Object[],
+ *   missing: Object[],
+ *   variantCount: number,
+ *   duplicateCount: number,
+ *   invalidCount: number,
+ *   missingCount: number
+ * }}>} - Variants are {variantId, productId, productTitle, displayName, sku, barcode}; each
+ *   list has at most MAX_LISTED_VARIANTS entries (groups for duplicates)
+ * @throws {Error} - If the scan doesn't exist or Shopify stopped it
+ */
+export async function checkBarcodeAudit(admin, operationId, { internalCodes }) {
+  if (!BULK_OPERATION_ID_PATTERN.test(String(operationId || ""))) {
+    throw new Error("Barcode scan not found");
+  }
+
+  const operation = await fetchBulkOperation(admin, operationId);
+  if (!operation || FAILED_BULK_STATUSES.includes(operation.status)) {
+    const reason = operation?.errorCode || operation?.status || "NOT_FOUND";
+    throw new Error(`Shopify stopped the barcode scan (${reason}) - please scan again`);
+  }
+
+  if (operation.status !== "COMPLETED") {
+    return { status: "running", objectCount: Number(operation.objectCount) || 0 };
+  }
+
+  const variantsByBarcode = new Map();
+  const invalid = [];
+  const missing = [];
+  const productsById = new Map();
+  let variantCount = 0;
+
+  // No url means the shop has no products
+  if (operation.url) {
+    await forEachBulkNode(operation.url, ({ __parentId: productId, ...node }) => {
+      // Product lines have no parent and come before their variants
+      if (!productId) {
+        productsById.set(node.id, node.title);
+        return;
+      }
+
+      variantCount++;
+
+      const entry = {
+        variantId: node.id,
+        productId,
+        productTitle: productsById.get(productId) || "",
+        displayName: node.displayName,
+        sku: node.sku || "",
+        barcode: node.barcode || "",
+      };
+
+      // Leading/trailing spaces don't make a barcode unique at the till
+      const barcode = entry.barcode.trim();
+
+      if (!barcode) {
+        missing.push(entry);
+        return;
+      }
+
+      variantsByBarcode.set(barcode, [...(variantsByBarcode.get(barcode) || []), entry]);
+
+      if (looksLikeGtin(barcode, internalCodes) && !hasValidCheckDigit(barcode)) {
+        invalid.push(entry);
+      }
+    });
+  }
+
+  const duplicates = [...variantsByBarcode]
+    .filter(([, variants]) => variants.length > 1)
+    .map(([barcode, variants]) => ({ barcode, variants }))
+    .sort((a, b) => b.variants.length - a.variants.length || a.barcode.localeCompare(b.barcode));
+
+  return {
+    status: "completed",
+    report: {
+      duplicates: duplicates.slice(0, MAX_LISTED_VARIANTS),
+      invalid: invalid.slice(0, MAX_LISTED_VARIANTS),
+      missing: missing.slice(0, MAX_LISTED_VARIANTS),
+      variantCount,
+      duplicateCount: duplicates.length,
+      invalidCount: invalid.length,
+      missingCount: missing.length,
+    },
+  };
+}
+
+/**
+ * Numeric barcodes of an EAN/UPC length are expected to carry a GS1 check digit
+ * Other values (e.g. "ABC-123") are Code 128 codes and have nothing to validate
+ */
+function looksLikeGtin(barcode, internalCodes) {
+  if (!/^\d+$/.test(barcode)) return false;
+  if (barcode.length === 8) return !internalCodes;
+  return [12, 13, 14].includes(barcode.length);
+}
@@ -0,0 +1,168 @@
+/**
+ * Barcode change history and undo
+ *
+ * Every barcode the app writes to a variant is recorded with the staff member,
+ * the old and the new value. A change - or every change of one bulk action -
+ * can be undone as long as nobody has changed the barcode since.
+ */
+
+import crypto from "crypto";
+import db from "../db.server";
+import { releaseBarcodes } from "./barcode-allocator.server";
+import { waitForThrottle } from "./throttle";
+import { fetchVariantsByIds, saveVariantUpdates } from "./variants";
+
+const BATCH_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Read a batch ID sent by the client for a bulk run spanning several requests
+ * @param {string|null} value - Submitted batch ID
+ * @returns {string|null} - The ID if it's a UUID, otherwise null
+ */
+export function parseBatchId(value) {
+  return typeof value === "string" && BATCH_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Record barcode changes that were saved to Shopify
+ * @param {string} shop - Shop domain
+ * @param {{staffUserId: string|null, staffName: string|null}} staff - From getStaffUser
+ * @param {Array<{variantId: string, productId: string, displayName: string,
+ *   oldBarcode: string|null, newBarcode: string|null, revertOfId?: string}>} changes
+ * @param {Object} [options]
+ * @param {string|null} [options.batchId] - Groups the changes of one bulk action
+ */
+export async function recordBarcodeChanges(shop, staff, changes, { batchId = null } = {}) {
+  if (changes.length === 0) return;
+
+  await db.barcodeChange.createMany({
+    data: changes.map((change) => ({
+      shop,
+      staffUserId: staff.staffUserId,
+      staffName: staff.staffName,
+      batchId,
+      ...change,
+    })),
+  });
+}
+
+/**
+ * Restore the barcodes from before a change or a whole batch
+ * Variants whose barcode was changed again since are left alone and reported
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {{staffUserId: string|null, staffName: string|null}} staff - Who is undoing
+ * @param {{changeId?: string, batchId?: string}} target - One change or one batch
+ * @returns {Promise<{
+ *   reverted: Array<{variantId: string, barcode: string|null}>,
+ *   failed: Array<{variantId: string, displayName: string, message: string}>
+ * }>}
+ * @throws {Error} - If there is nothing left to undo
+ */
+export async function revertBarcodeChanges(admin, shop, staff, { changeId, batchId }) {
+  const changes = await db.barcodeChange.findMany({
+    where: {
+      shop,
+      revertedAt: null,
+      ...(batchId ? { batchId } : { id: changeId }),
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  if (changes.length === 0) {
+    throw new Error("Nothing to undo - the change was already undone or no longer exists");
+  }
+
+  // A variant changed more than once in a batch goes back to its first old value
+  const changesByVariant = new Map();
+  changes.forEach((change) => {
+    changesByVariant.set(change.variantId, [...(changesByVariant.get(change.variantId) || []), change]);
+  });
+
+  const variantsById = await fetchVariantsByIds(admin, [...changesByVariant.keys()]);
+
+  const reverted = [];
+  const failed = [];
+  const entriesByProduct = new Map();
+
+  changesByVariant.forEach((variantChanges, variantId) => {
+    const first = variantChanges[0];
+    const last = variantChanges[variantChanges.length - 1];
+    const variant = variantsById.get(variantId);
+
+    if (!variant) {
+      failed.push({ variantId, displayName: first.displayName, message: "Variant no longer exists" });
+      return;
+    }
+
+    // Don't overwrite a barcode someone set after this change
+    if ((variant.barcode || null) !== (last.newBarcode || null)) {
+      failed.push({
+        variantId,
+        displayName: variant.displayName,
+        message: `Barcode was changed again since (now ${variant.barcode || "empty"})`,
+      });
+      return;
+    }
+
+    const entries = entriesByProduct.get(variant.product.id) || [];
+    entries.push({ variant, first, last, changeIds: variantChanges.map((c) => c.id) });
+    entriesByProduct.set(variant.product.id, entries);
+  });
+
+  // Undoing a batch is itself one batch, so it can be redone in one step
+  const revertBatchId = batchId ? crypto.randomUUID() : null;
+
+  for (const [productId, entries] of entriesByProduct) {
+    const { errors, extensions } = await saveVariantUpdates(
+      admin,
+      productId,
+      entries.map(({ variant, first }) => ({ id: variant.id, barcode: first.oldBarcode || "" }))
+    );
+
+    const saved = entries.filter(({ variant }) => !errors.has(variant.id));
+
+    entries
+      .filter(({ variant }) => errors.has(variant.id))
+      .forEach(({ variant }) => {
+        failed.push({
+          variantId: variant.id,
+          displayName: variant.displayName,
+          message: errors.get(variant.id),
+        });
+      });
+
+    await recordBarcodeChanges(
+      shop,
+      staff,
+      saved.map(({ variant, first, last }) => ({
+        variantId: variant.id,
+        productId,
+        displayName: variant.displayName,
+        oldBarcode: last.newBarcode,
+        newBarcode: first.oldBarcode,
+        revertOfId: first.id,
+      })),
+      { batchId: revertBatchId }
+    );
+
+    await db.barcodeChange.updateMany({
+      where: { shop, id: { in: saved.flatMap(({ changeIds }) => changeIds) } },
+      data: { revertedAt: new Date() },
+    });
+
+    // Generated numbers stay reserved but are no longer linked to the variant
+    await releaseBarcodes(
+      shop,
+      saved.map(({ last }) => last.newBarcode).filter(Boolean)
+    );
+
+    saved.forEach(({ variant, first }) => {
+      reverted.push({ variantId: variant.id, barcode: first.oldBarcode });
+    });
+
+    await waitForThrottle(extensions);
+  }
+
+  return { reverted, failed };
+}
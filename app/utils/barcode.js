@@ -5,13 +5,208 @@
 import { CHECK_BARCODE_EXISTS_QUERY } from "../graphql/products";
 
 /**
- * Generate a random 8-digit barcode
- * Range: 10000000 to 99999999
+ * Barcode numbers the app can generate for variants (per-shop setting)
+ *
+ * GS1 formats are built from the shop's prefix, an item reference and a check digit:
+ * - ean13 / upca use the GS1 company prefix (UPC-A needs a US/Canada prefix starting with 0)
+ * - ean8 uses a separately licensed GS1-8 prefix
+ * - internal keeps the original 8-digit store codes (no check digit)
+ *
+ * Numbers are handed out in order from the shop's range by allocateBarcode
+ * (barcode-allocator.server.js). For GS1 formats the range covers item
+ * references; for internal codes it covers the codes themselves.
  */
-export function generateRandomBarcode() {
-  const min = 10000000;
-  const max = 99999999;
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export const BARCODE_FORMATS = {
+  internal: { label: "Internal (8-digit store code, no check digit)", length: 8 },
+  ean13: { label: "EAN-13", length: 13, minPrefixLength: 6, maxPrefixLength: 11 },
+  upca: { label: "UPC-A", length: 12, minPrefixLength: 7, maxPrefixLength: 11 },
+  ean8: { label: "EAN-8", length: 8, minPrefixLength: 3, maxPrefixLength: 6 },
+};
+
+export const DEFAULT_BARCODE_SETTINGS = {
+  format: "internal",
+  gs1Prefix: null,
+};
+
+// Internal codes stay 8 digits without a leading zero, as before
+const INTERNAL_RANGE = { min: 10000000, max: 99999999 };
+
+/**
+ * Validate barcode settings submitted from the settings page
+ * Empty range fields mean the whole range available for the format and prefix
+ * @param {FormData} formData - Submitted settings form
+ * @returns {{format: string, gs1Prefix: string|null, rangeStart: number, rangeEnd: number}}
+ * @throws {Error} - If the prefix or range doesn't fit the chosen format
+ */
+export function parseBarcodeSettings(formData) {
+  const requested = formData.get("format");
+  const format = Object.hasOwn(BARCODE_FORMATS, requested) ? requested : "internal";
+  const gs1Prefix = String(formData.get("gs1Prefix") || "").replace(/\s/g, "") || null;
+
+  if (format === "internal") {
+    // Keep the prefix so switching back to a GS1 format doesn't lose it
+    if (gs1Prefix && !/^\d+$/.test(gs1Prefix)) {
+      throw new Error("GS1 prefix must contain digits only");
+    }
+    return { format, gs1Prefix, ...parseRange(formData, INTERNAL_RANGE) };
+  }
+
+  const { label, minPrefixLength, maxPrefixLength } = BARCODE_FORMATS[format];
+
+  if (!gs1Prefix) {
+    throw new Error(`${label} barcodes need your GS1 prefix`);
+  }
+
+  if (!/^\d+$/.test(gs1Prefix)) {
+    throw new Error("GS1 prefix must contain digits only");
+  }
+
+  // A UPC-A is a GTIN-13 with a leading zero dropped
+  if (format === "upca" && !gs1Prefix.startsWith("0")) {
+    throw new Error("UPC-A needs a GS1 US/Canada company prefix starting with 0");
+  }
+
+  if (gs1Prefix.length < minPrefixLength || gs1Prefix.length > maxPrefixLength) {
+    throw new Error(
+      `${label} needs a GS1 prefix of ${minPrefixLength} to ${maxPrefixLength} digits`
+    );
+  }
+
+  return {
+    format,
+    gs1Prefix,
+    ...parseRange(formData, barcodeNumberRange({ format, gs1Prefix })),
+  };
+}
+
+/**
+ * Read the allocation range, limited to what the format and prefix allow
+ */
+function parseRange(formData, { min, max }) {
+  const readNumber = (name, fallback) => {
+    const value = String(formData.get(name) || "").trim();
+    if (!value) return fallback;
+
+    if (!/^\d+$/.test(value)) {
+      throw new Error("Barcode range must be whole numbers");
+    }
+    return Number(value);
+  };
+
+  const rangeStart = readNumber("rangeStart", min);
+  const rangeEnd = readNumber("rangeEnd", max);
+
+  if (rangeStart < min || rangeEnd > max) {
+    throw new Error(`Barcode range must be within ${min} to ${max}`);
+  }
+
+  if (rangeStart > rangeEnd) {
+    throw new Error("Barcode range start must not be after its end");
+  }
+
+  return { rangeStart, rangeEnd };
+}
+
+/**
+ * Digits every generated barcode starts with
+ */
+function numberPrefix({ format, gs1Prefix }) {
+  return format === "upca" ? gs1Prefix.slice(1) : gs1Prefix;
+}
+
+/**
+ * Numbers available for the shop's format and prefix
+ * @param {{format: string, gs1Prefix: string|null}} settings - Shop barcode settings
+ * @returns {{min: number, max: number}} - Item references (GS1) or codes (internal)
+ */
+export function barcodeNumberRange(settings) {
+  if (settings.format === "internal") {
+    return INTERNAL_RANGE;
+  }
+
+  const { length } = BARCODE_FORMATS[settings.format];
+  const digits = length - 1 - numberPrefix(settings).length;
+
+  return { min: 0, max: 10 ** digits - 1 };
+}
+
+/**
+ * Calculate the GS1 mod-10 check digit for the digits before it
+ * @param {string} digits - Barcode digits without the check digit
+ * @returns {number}
+ */
+export function calculateCheckDigit(digits) {
+  // Weights alternate 3,1,3,... starting from the rightmost digit
+  let sum = 0;
+  for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Turn an allocated number into a barcode in the shop's format
+ * Internal codes are the number itself; GS1 codes are the prefix,
+ * the zero-padded item reference and the check digit
+ * @param {{format: string, gs1Prefix: string|null}} settings - Shop barcode settings
+ * @param {number} number - Number from the shop's range
+ * @returns {string}
+ */
+export function formatBarcodeNumber(settings, number) {
+  if (settings.format === "internal") {
+    return String(number);
+  }
+
+  const { length } = BARCODE_FORMATS[settings.format];
+  const prefix = numberPrefix(settings);
+  const data = `${prefix}${String(number).padStart(length - 1 - prefix.length, "0")}`;
+
+  return `${data}${calculateCheckDigit(data)}`;
+}
+
+/**
+ * Validate the GS1 check digit of an EAN-8, UPC-A, EAN-13 or GTIN-14 code
+ * @param {string} code - Numeric barcode including its check digit
+ * @returns {boolean} - true if the code is numeric, a GS1 length and its check digit matches
+ */
+export function hasValidCheckDigit(code) {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) {
+    return false;
+  }
+
+  return calculateCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+}
+
+/**
+ * Pick the symbology to print a barcode value with
+ * EAN/UPC are only used when the value has a valid check digit, since scanners
+ * reject anything else - Code 128 can encode any ASCII value
+ * @param {string} barcode - Barcode value from the variant
+ * @param {string} preference - "auto", "code128" or "ean13" (see BARCODE_SYMBOLOGIES)
+ * @returns {{symbology: "ean13"|"upca"|"ean8"|"code128", text: string}} - Symbology and the value to encode
+ */
+export function resolveSymbology(barcode, preference) {
+  if (preference === "code128" || !hasValidCheckDigit(barcode)) {
+    return { symbology: "code128", text: barcode };
+  }
+
+  if (barcode.length === 13) {
+    return { symbology: "ean13", text: barcode };
+  }
+
+  if (barcode.length === 12) {
+    // UPC-A is EAN-13 with a leading zero
+    return preference === "ean13"
+      ? { symbology: "ean13", text: `0${barcode}` }
+      : { symbology: "upca", text: barcode };
+  }
+
+  if (barcode.length === 8 && preference !== "ean13") {
+    return { symbology: "ean8", text: barcode };
+  }
+
+  return { symbology: "code128", text: barcode };
 }
 
 /**
@@ -37,29 +232,3 @@ export async function checkBarcodeExists(admin, barcode) {
     throw new Error("Failed to verify barcode uniqueness");
   }
 }
-
-/**
- * Generate a unique barcode that doesn't exist in the store
- * @param {Object} admin - Shopify admin GraphQL client
- * @param {number} maxAttempts - Maximum number of generation attempts
- * @returns {Promise<string>} - A unique 8-digit barcode
- * @throws {Error} - If unable to generate unique barcode after maxAttempts
- */
-export async function generateUniqueBarcode(admin, maxAttempts = 10) {
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const barcode = generateRandomBarcode().toString();
-
-    const exists = await checkBarcodeExists(admin, barcode);
-
-    if (!exists) {
-      return barcode;
-    }
-
-    // Log collision (rare, but good for debugging)
-    console.log(`Barcode collision detected: ${barcode} (attempt ${attempt + 1}/${maxAttempts})`);
-  }
-
-  throw new Error(
-    `Unable to generate unique barcode after ${maxAttempts} attempts. Please try again or contact support.`
-  );
-}
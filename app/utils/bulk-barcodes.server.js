@@ -0,0 +1,227 @@
+/**
+ * Bulk barcode generation for variants without a barcode
+ * (also used by the audit page to replace duplicate or invalid ones),
+ * and the catalog search for variants missing a barcode or SKU
+ *
+ * The export page sends variants in chunks so it can show progress; each chunk
+ * is re-checked against Shopify, grouped per product and saved with one
+ * productVariantsBulkUpdate call per product.
+ */
+
+import { PRODUCTS_QUERY } from "../graphql/products";
+import { allocateBarcode, releaseBarcodes } from "./barcode-allocator.server";
+import { recordBarcodeChanges } from "./barcode-history.server";
+import { VARIANT_GID_PATTERN } from "./export";
+import { matchesVariantFilters } from "./product-search";
+import { waitForThrottle } from "./throttle";
+import { fetchAllVariants, fetchVariantsByIds, saveVariantUpdates } from "./variants";
+
+// Largest chunk accepted per request (the client sends smaller ones)
+export const MAX_BULK_BARCODE_VARIANTS = 250;
+
+// Keep "all matching" runs to a size that finishes in one sitting
+export const MAX_MATCHING_VARIANTS = 5000;
+
+const SEARCH_PAGE_SIZE = 50;
+
+// Products checked per search request; the export page continues from the cursor
+const MAX_SEARCHED_PRODUCTS = 1000;
+
+/**
+ * Variant fields the bulk actions fill in, with their names for messages
+ */
+export const GENERATED_FIELDS = {
+  barcode: "barcode",
+  sku: "SKU",
+};
+
+/**
+ * Find the variants without a barcode or SKU among the products matching a search
+ * Checks at most MAX_SEARCHED_PRODUCTS products; search again from nextCursor for the rest.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} field - Key of GENERATED_FIELDS
+ * @param {string} graphqlQuery - Product search query from parseProductFilters
+ * @param {Object} variantFilters - Per-variant filters from parseProductFilters
+ * @param {string|null} [after] - nextCursor of the previous search
+ * @returns {Promise<{
+ *   variants: Array<{variantId: string, productId: string}>,
+ *   nextCursor: string|null
+ * }>} - Variants in catalog order; nextCursor is null once every product was checked
+ * @throws {Error} - If more than MAX_MATCHING_VARIANTS variants need a value
+ */
+export async function findVariantsMissing(admin, field, graphqlQuery, variantFilters, after = null) {
+  const missing = [];
+  let searched = 0;
+  let hasNextPage = true;
+
+  while (hasNextPage && searched < MAX_SEARCHED_PRODUCTS) {
+    const response = await admin.graphql(PRODUCTS_QUERY, {
+      variables: { first: SEARCH_PAGE_SIZE, after, query: graphqlQuery || null },
+    });
+    const data = await response.json();
+
+    // Sequential on purpose: follow-up variant queries share the API rate limit
+    for (const { node: product } of data.data.products.edges) {
+      const { variants } = await fetchAllVariants(admin, product);
+
+      variants
+        .filter((variant) => !variant[field])
+        .filter((variant) => matchesVariantFilters(variant, variantFilters))
+        .forEach((variant) => missing.push({ variantId: variant.id, productId: product.id }));
+      searched++;
+    }
+
+    if (missing.length > MAX_MATCHING_VARIANTS) {
+      throw new Error(
+        `More than ${MAX_MATCHING_VARIANTS} variants need a ${GENERATED_FIELDS[field]}. ` +
+          "Narrow the search and run it in parts."
+      );
+    }
+
+    ({ hasNextPage, endCursor: after } = data.data.products.pageInfo);
+    await waitForThrottle(data.extensions);
+  }
+
+  return { variants: missing, nextCursor: hasNextPage ? after : null };
+}
+
+/**
+ * Parse the variant IDs of one bulk generation chunk
+ * @param {string} variantIdsJson - JSON array of variant GIDs
+ * @returns {string[]}
+ * @throws {Error} - If the payload is malformed or too large
+ */
+export function parseBulkBarcodeVariantIds(variantIdsJson) {
+  let parsed;
+  try {
+    parsed = JSON.parse(variantIdsJson);
+  } catch {
+    throw new Error("Invalid variant list");
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error("No variants provided");
+  }
+
+  if (parsed.length > MAX_BULK_BARCODE_VARIANTS) {
+    throw new Error(`Send at most ${MAX_BULK_BARCODE_VARIANTS} variants at a time`);
+  }
+
+  if (!parsed.every((id) => typeof id === "string" && VARIANT_GID_PATTERN.test(id))) {
+    throw new Error("Invalid variant ID");
+  }
+
+  return [...new Set(parsed)];
+}
+
+/**
+ * Assign new barcodes to the given variants
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {string[]} variantIds - Variant GIDs (at most MAX_BULK_BARCODE_VARIANTS)
+ * @param {Object} [options]
+ * @param {boolean} [options.replaceExisting] - Also replace barcodes that are already set
+ *   (default: only variants without a barcode get one)
+ * @param {{staffUserId: string|null, staffName: string|null}} options.staff - Who made the
+ *   change, for the barcode history (see getStaffUser)
+ * @param {string|null} [options.batchId] - Groups the changes of one bulk action for undo
+ * @returns {Promise<{
+ *   updated: Array<{variantId: string, barcode: string}>,
+ *   failed: Array<{variantId: string, displayName: string, message: string}>,
+ *   skipped: number
+ * }>} - skipped counts variants that were deleted or already have a barcode
+ */
+export async function assignBarcodes(
+  admin,
+  shop,
+  variantIds,
+  { replaceExisting = false, staff, batchId = null }
+) {
+  const variantsById = await fetchVariantsByIds(admin, variantIds);
+
+  // Group by product - productVariantsBulkUpdate takes one product at a time.
+  // Product IDs come from Shopify, not from the client.
+  const variantsByProduct = new Map();
+  variantIds.forEach((id) => {
+    const variant = variantsById.get(id);
+    if (!variant || (variant.barcode && !replaceExisting)) return;
+
+    const group = variantsByProduct.get(variant.product.id) || [];
+    group.push(variant);
+    variantsByProduct.set(variant.product.id, group);
+  });
+
+  const result = { updated: [], failed: [], skipped: 0 };
+  result.skipped = variantIds.length -
+    [...variantsByProduct.values()].reduce((sum, group) => sum + group.length, 0);
+
+  for (const [productId, variants] of variantsByProduct) {
+    const productResult = await assignProductBarcodes(
+      admin,
+      shop,
+      productId,
+      variants,
+      { staff, batchId }
+    );
+    result.updated.push(...productResult.updated);
+    result.failed.push(...productResult.failed);
+  }
+
+  return result;
+}
+
+/**
+ * Allocate barcodes for one product's variants, save them in one mutation
+ * and record the changes in the barcode history
+ */
+async function assignProductBarcodes(admin, shop, productId, variants, { staff, batchId }) {
+  const updated = [];
+  const failed = [];
+  const assignments = [];
+
+  for (const variant of variants) {
+    try {
+      assignments.push({ variant, barcode: await allocateBarcode(admin, shop, variant.id) });
+    } catch (error) {
+      failed.push({ variantId: variant.id, displayName: variant.displayName, message: error.message });
+    }
+  }
+
+  if (assignments.length === 0) {
+    return { updated, failed };
+  }
+
+  const { errors, extensions } = await saveVariantUpdates(
+    admin,
+    productId,
+    assignments.map(({ variant, barcode }) => ({ id: variant.id, barcode }))
+  );
+  const notSaved = [];
+  const changes = [];
+
+  assignments.forEach(({ variant, barcode }) => {
+    if (errors.has(variant.id)) {
+      notSaved.push(barcode);
+      failed.push({
+        variantId: variant.id,
+        displayName: variant.displayName,
+        message: errors.get(variant.id),
+      });
+    } else {
+      updated.push({ variantId: variant.id, barcode });
+      changes.push({
+        variantId: variant.id,
+        productId,
+        displayName: variant.displayName,
+        oldBarcode: variant.barcode || null,
+        newBarcode: barcode,
+      });
+    }
+  });
+
+  await releaseBarcodes(shop, notSaved);
+  await recordBarcodeChanges(shop, staff, changes, { batchId });
+  await waitForThrottle(extensions);
+
+  return { updated, failed };
+}
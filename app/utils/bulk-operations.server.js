@@ -0,0 +1,74 @@
+/**
+ * Shopify Bulk Operations - running a bulk query, checking on it and reading its result
+ *
+ * Used by catalog exports and the barcode audit, which both need every product
+ * of the shop rather than the pages a normal query returns.
+ */
+
+import { BULK_OPERATION_QUERY, RUN_BULK_QUERY_MUTATION } from "../graphql/bulk-operations";
+
+// Bulk operation states that mean Shopify is done without a result
+export const FAILED_BULK_STATUSES = ["FAILED", "CANCELED", "CANCELING", "EXPIRED"];
+
+/**
+ * Start a bulk query
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} query - Bulk query (see graphql/bulk-operations)
+ * @returns {Promise<{id: string, status: string}>} - The bulk operation
+ * @throws {Error} - If Shopify refuses the query (e.g. another one is still running)
+ */
+export async function runBulkQuery(admin, query) {
+  const response = await admin.graphql(RUN_BULK_QUERY_MUTATION, {
+    variables: { query },
+  });
+  const data = await response.json();
+  const { bulkOperation, userErrors } = data.data.bulkOperationRunQuery;
+
+  if (userErrors.length > 0 || !bulkOperation) {
+    throw new Error(userErrors[0]?.message || "Shopify didn't start the bulk query");
+  }
+
+  return bulkOperation;
+}
+
+/**
+ * Read the status of a bulk operation
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} id - BulkOperation GID
+ * @returns {Promise<{id: string, status: string, errorCode: string|null, objectCount: string,
+ *   url: string|null}|null>} - null if the shop has no such operation
+ */
+export async function fetchBulkOperation(admin, id) {
+  const response = await admin.graphql(BULK_OPERATION_QUERY, {
+    variables: { id },
+  });
+  const data = await response.json();
+  return data.data.node;
+}
+
+/**
+ * Read a bulk query's JSONL result, one object per line
+ * The file is read as a stream, so large catalogs aren't held in memory twice.
+ * @param {string} url - url of the completed bulk operation
+ * @param {Function} onNode - Called with each object; child objects have __parentId set
+ *   and come after their parent
+ * @throws {Error} - If the file can't be downloaded
+ */
+export async function forEachBulkNode(url, onNode) {
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`Couldn't download the result from Shopify (${response.status})`);
+  }
+
+  const addLine = (line) => {
+    if (line.trim()) onNode(JSON.parse(line));
+  };
+
+  let pending = "";
+  for await (const chunk of response.body.pipeThrough(new TextDecoderStream())) {
+    const lines = (pending + chunk).split("\n");
+    pending = lines.pop();
+    lines.forEach(addLine);
+  }
+  addLine(pending);
+}
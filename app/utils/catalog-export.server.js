@@ -0,0 +1,249 @@
+/**
+ * Catalog-wide exports through Shopify Bulk Operations
+ *
+ * The export page only loads 50 products at a time. A catalog export runs a
+ * bulkOperationRunQuery over every product matching the filters instead, and
+ * is tracked in a CatalogExportJob row. The page polls checkCatalogExport until
+ * Shopify has finished; the JSONL result is then read line by line into export
+ * items and handed to the normal /download token flow. The variant data from the
+ * result goes on the token too, so the download doesn't read it from Shopify again.
+ */
+
+import db from "../db.server";
+import { catalogVariantsBulkQuery } from "../graphql/bulk-operations";
+import { fetchBulkOperation, FAILED_BULK_STATUSES, forEachBulkNode, runBulkQuery } from "./bulk-operations.server";
+import { CATALOG_QUANTITY_MODES, MAX_EXPORT_LABELS, MAX_LABELS_PER_VARIANT } from "./export";
+import { createExportDownload } from "./export-history.server";
+import { matchesVariantFilters } from "./product-search";
+
+// A job still "processing" after this long was cut off (e.g. by a deploy)
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+/**
+ * Start a catalog export
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {{staffUserId: string|null, staffName: string|null}} staff - From getStaffUser
+ * @param {Object} exportRequest
+ * @param {string} exportRequest.graphqlQuery - Product search from parseProductFilters
+ * @param {Object} exportRequest.variantFilters - variantFilters from parseProductFilters
+ * @param {string|null} exportRequest.quantityMode - Key of CATALOG_QUANTITY_MODES
+ * @param {string} exportRequest.format - Key of EXPORT_FORMATS
+ * @param {Object} exportRequest.options - Format options from parseExportFormat
+ * @param {{id: string, name: string}|null} exportRequest.template - The shop's template, if one was chosen
+ * @returns {Promise<Object>} - Job summary (see toJobSummary)
+ * @throws {Error} - If an export is already running or Shopify refuses the bulk query
+ */
+export async function startCatalogExport(admin, shop, staff, exportRequest) {
+  const { graphqlQuery, variantFilters, format, options, template } = exportRequest;
+  const quantityMode = Object.hasOwn(CATALOG_QUANTITY_MODES, exportRequest.quantityMode)
+    ? exportRequest.quantityMode
+    : "stock";
+
+  const running = await getActiveCatalogExport(shop);
+  if (running) {
+    throw new Error("A catalog export is already running - wait for it to finish");
+  }
+
+  const bulkOperation = await runBulkQuery(admin, catalogVariantsBulkQuery(graphqlQuery));
+
+  const job = await db.catalogExportJob.create({
+    data: {
+      shop,
+      staffUserId: staff.staffUserId,
+      staffName: staff.staffName,
+      bulkOperationId: bulkOperation.id,
+      searchQuery: graphqlQuery,
+      variantFilters: JSON.stringify(variantFilters),
+      quantityMode,
+      format,
+      options: JSON.stringify(options),
+      templateId: template?.id || null,
+    },
+  });
+
+  return toJobSummary(job);
+}
+
+/**
+ * The shop's catalog export that hasn't finished yet, if any
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} - Job summary (see toJobSummary)
+ */
+export async function getActiveCatalogExport(shop) {
+  const job = await db.catalogExportJob.findFirst({
+    where: {
+      shop,
+      OR: [
+        { status: "running" },
+        { status: "processing", updatedAt: { gte: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return job ? toJobSummary(job) : null;
+}
+
+/**
+ * Check on a catalog export; once Shopify has finished, build the download
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {string|null} jobId - CatalogExportJob ID
+ * @returns {Promise<Object>} - Job summary (see toJobSummary)
+ * @throws {Error} - If the job doesn't exist (or belongs to another shop)
+ */
+export async function checkCatalogExport(admin, shop, jobId) {
+  const job = await db.catalogExportJob.findFirst({
+    where: { id: String(jobId || ""), shop },
+  });
+
+  if (!job) {
+    throw new Error("Catalog export not found");
+  }
+
+  if (job.status === "processing" && job.updatedAt < new Date(Date.now() - STALE_PROCESSING_MS)) {
+    return failJob(job, "The catalog export was interrupted - please start it again");
+  }
+
+  if (job.status !== "running") {
+    return toJobSummary(job);
+  }
+
+  const operation = await fetchBulkOperation(admin, job.bulkOperationId);
+
+  if (!operation || FAILED_BULK_STATUSES.includes(operation.status)) {
+    const reason = operation?.errorCode || operation?.status || "NOT_FOUND";
+    return failJob(job, `Shopify stopped the catalog export (${reason})`);
+  }
+
+  if (operation.status !== "COMPLETED") {
+    const updated = await db.catalogExportJob.update({
+      where: { id: job.id },
+      data: { objectCount: Number(operation.objectCount) || 0 },
+    });
+    return toJobSummary(updated);
+  }
+
+  // Polls can overlap - only the one that moves the job on builds the file
+  const { count } = await db.catalogExportJob.updateMany({
+    where: { id: job.id, status: "running" },
+    data: { status: "processing", objectCount: Number(operation.objectCount) || 0 },
+  });
+  if (count === 0) {
+    return toJobSummary(await db.catalogExportJob.findUniqueOrThrow({ where: { id: job.id } }));
+  }
+
+  try {
+    // No url means the query matched nothing
+    const { items, variantsById } = operation.url
+      ? await readBulkVariants(operation.url, JSON.parse(job.variantFilters), job.quantityMode)
+      : { items: [], variantsById: new Map() };
+
+    if (items.length === 0) {
+      return failJob(job, "No variants with labels to print match these filters");
+    }
+
+    // The template may have been deleted while Shopify was working
+    const template = job.templateId
+      ? await db.exportTemplate.findFirst({
+          where: { id: job.templateId, shop },
+          select: { id: true, name: true },
+        })
+      : null;
+
+    const options = job.options ? JSON.parse(job.options) : {};
+    const download = await createExportDownload(
+      shop,
+      { staffUserId: job.staffUserId, staffName: job.staffName },
+      {
+        items,
+        format: job.format,
+        options,
+        template,
+        // Bulk queries can't nest metafield references, so files with metafield
+        // columns still read the variants on download
+        variants: options.metafields?.length ? null : variantsById,
+      }
+    );
+
+    const updated = await db.catalogExportJob.update({
+      where: { id: job.id },
+      data: {
+        status: "completed",
+        downloadUrl: download.downloadUrl,
+        labelCount: download.labelCount,
+        variantCount: items.length,
+      },
+    });
+    return toJobSummary(updated);
+  } catch (error) {
+    console.error("Catalog export error:", error);
+    return failJob(job, error.message || "Failed to build the catalog export");
+  }
+}
+
+/**
+ * Read the bulk query's JSONL result into export items
+ * @returns {Promise<{
+ *   items: Array<{variantId: string, quantity: number}>,
+ *   variantsById: Map<string, Object>
+ * }>} - variantsById has the exported variants, shaped like fetchVariantsByIds results
+ * @throws {Error} - If the file can't be downloaded or has too many labels
+ */
+async function readBulkVariants(url, variantFilters, quantityMode) {
+  const items = [];
+  const variantsById = new Map();
+  const productsById = new Map();
+  let labelCount = 0;
+
+  await forEachBulkNode(url, ({ __parentId: productId, ...node }) => {
+    // Product lines have no parent and come before their variants
+    if (!productId) {
+      productsById.set(node.id, node);
+      return;
+    }
+    if (!matchesVariantFilters(node, variantFilters)) return;
+
+    const quantity = quantityMode === "one"
+      ? 1
+      : Math.min(Math.max(node.inventoryQuantity || 0, 0), MAX_LABELS_PER_VARIANT);
+    if (quantity === 0) return;
+
+    labelCount += quantity;
+    if (labelCount > MAX_EXPORT_LABELS) {
+      throw new Error(
+        `More than ${MAX_EXPORT_LABELS} labels match - narrow the filters or print one label per variant`
+      );
+    }
+    items.push({ variantId: node.id, quantity });
+    variantsById.set(node.id, { ...node, product: productsById.get(productId) });
+  });
+
+  return { items, variantsById };
+}
+
+async function failJob(job, message) {
+  const updated = await db.catalogExportJob.update({
+    where: { id: job.id },
+    data: { status: "failed", error: message },
+  });
+  return toJobSummary(updated);
+}
+
+/**
+ * What the export page needs to show a job
+ * @returns {{id: string, status: string, objectCount: number, downloadUrl: string|null,
+ *   labelCount: number|null, variantCount: number|null, error: string|null}}
+ */
+function toJobSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    objectCount: job.objectCount,
+    downloadUrl: job.downloadUrl,
+    labelCount: job.labelCount,
+    variantCount: job.variantCount,
+    error: job.error,
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Start a file download from a /download token URL (client side)
+ *
+ * Uses a hidden iframe for a smoother mobile experience - this triggers the
+ * download without opening/closing a new tab.
+ * @param {string} downloadUrl - Path returned by the export action, e.g. "/download?token=…"
+ */
+export function startDownload(downloadUrl) {
+  // Construct full URL for download
+  const fullDownloadUrl = `${window.location.origin}${downloadUrl}`;
+
+  const iframe = document.createElement("iframe");
+  iframe.style.display = "none";
+  iframe.src = fullDownloadUrl;
+  document.body.appendChild(iframe);
+
+  // Clean up iframe after download starts
+  setTimeout(() => {
+    if (iframe.parentNode) {
+      document.body.removeChild(iframe);
+    }
+  }, 5000);
+}
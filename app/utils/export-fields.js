@@ -0,0 +1,189 @@
+/**
+ * Fields that can become columns in spreadsheet exports (XLSX, CSV, TSV)
+ *
+ * Each field reads its value from a row built by buildLabelRows.
+ * `text: true` keeps the value as text so leading zeros survive.
+ */
+
+export const EXPORT_FIELDS = {
+  productTitle: {
+    label: "Product name",
+    defaultHeader: "Product Name",
+    defaultWidth: 30,
+    value: (row) => row.productTitle,
+  },
+  variantTitle: {
+    label: "Variant title",
+    defaultHeader: "Variant",
+    defaultWidth: 20,
+    value: (row) => row.variantTitle || "Default",
+  },
+  barcode: {
+    label: "Barcode",
+    defaultHeader: "Barcode",
+    defaultWidth: 20,
+    text: true,
+    value: (row) => row.barcode || "",
+  },
+  price: {
+    label: "Price",
+    defaultHeader: "Price",
+    defaultWidth: 10,
+    value: (row) => row.formattedPrice,
+  },
+  priceAmount: {
+    label: "Price (plain number)",
+    defaultHeader: "Price",
+    defaultWidth: 10,
+    value: (row) => Number(row.price || 0),
+  },
+  compareAtPrice: {
+    label: "Compare-at price",
+    defaultHeader: "Compare At",
+    defaultWidth: 12,
+    value: (row) => row.formattedCompareAtPrice,
+  },
+  compareAtPriceAmount: {
+    label: "Compare-at price (plain number)",
+    defaultHeader: "Compare At",
+    defaultWidth: 12,
+    value: (row) => (row.compareAtPrice ? Number(row.compareAtPrice) : ""),
+  },
+  percentOff: {
+    label: "Percent off (sale)",
+    defaultHeader: "% Off",
+    defaultWidth: 8,
+    value: (row) => (row.percentOff ? `${row.percentOff}%` : ""),
+  },
+  sku: {
+    label: "SKU",
+    defaultHeader: "SKU",
+    defaultWidth: 18,
+    text: true,
+    value: (row) => row.sku || "",
+  },
+  vendor: {
+    label: "Vendor",
+    defaultHeader: "Vendor",
+    defaultWidth: 20,
+    value: (row) => row.vendor || "",
+  },
+  productType: {
+    label: "Product type",
+    defaultHeader: "Type",
+    defaultWidth: 18,
+    value: (row) => row.productType || "",
+  },
+  option1: {
+    label: "Option 1 value (e.g. Size)",
+    defaultHeader: "Option 1",
+    defaultWidth: 14,
+    value: (row) => row.options?.[0]?.value || "",
+  },
+  option2: {
+    label: "Option 2 value (e.g. Colour)",
+    defaultHeader: "Option 2",
+    defaultWidth: 14,
+    value: (row) => row.options?.[1]?.value || "",
+  },
+  option3: {
+    label: "Option 3 value (e.g. Width)",
+    defaultHeader: "Option 3",
+    defaultWidth: 14,
+    value: (row) => row.options?.[2]?.value || "",
+  },
+  inventoryQuantity: {
+    label: "Inventory",
+    defaultHeader: "Stock",
+    defaultWidth: 8,
+    value: (row) => row.inventoryQuantity ?? 0,
+  },
+};
+
+/**
+ * Columns used when no template is selected - the original label layout
+ */
+export const DEFAULT_COLUMNS = [
+  { field: "productTitle", header: "Product Name", width: 30 },
+  { field: "variantTitle", header: "Size", width: 20 },
+  { field: "barcode", header: "Barcode", width: 20 },
+  { field: "price", header: "Price", width: 10 },
+];
+
+/**
+ * Columns used for sale labels when no template is selected
+ */
+export const SALE_COLUMNS = [
+  { field: "productTitle", header: "Product Name", width: 30 },
+  { field: "variantTitle", header: "Size", width: 20 },
+  { field: "barcode", header: "Barcode", width: 20 },
+  { field: "compareAtPrice", header: "Was", width: 10 },
+  { field: "price", header: "Now", width: 10 },
+  { field: "percentOff", header: "% Off", width: 8 },
+];
+
+export const MAX_HEADER_LENGTH = 50;
+export const MIN_COLUMN_WIDTH = 4;
+export const MAX_COLUMN_WIDTH = 100;
+
+/**
+ * Validate template columns submitted from the templates page
+ * @param {string} columnsJson - JSON array of {field, header, width}
+ * @returns {Array<{field: string, header: string, width: number}>} - Columns in export order
+ * @throws {Error} - If the columns are malformed
+ */
+export function parseTemplateColumns(columnsJson) {
+  let parsed;
+  try {
+    parsed = JSON.parse(columnsJson);
+  } catch {
+    throw new Error("Invalid template columns");
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error("A template needs at least one column");
+  }
+
+  const seenFields = new Set();
+
+  return parsed.map((column) => {
+    const field = column?.field;
+
+    if (!Object.hasOwn(EXPORT_FIELDS, field)) {
+      throw new Error("Unknown template field");
+    }
+
+    if (seenFields.has(field)) {
+      throw new Error(`${EXPORT_FIELDS[field].label} is used more than once`);
+    }
+    seenFields.add(field);
+
+    const header = String(column.header ?? "").trim().substring(0, MAX_HEADER_LENGTH);
+    const width = parseInt(column.width, 10);
+
+    return {
+      field,
+      header: header || EXPORT_FIELDS[field].defaultHeader,
+      width: Number.isInteger(width)
+        ? Math.min(Math.max(width, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH)
+        : EXPORT_FIELDS[field].defaultWidth,
+    };
+  });
+}
+
+/**
+ * Resolve template columns into column definitions for the file builders
+ * Columns whose field no longer exists are skipped
+ * @param {Array<{field: string, header: string, width: number}>} columns - Template columns
+ * @returns {Array<{header: string, width: number, text: boolean, value: Function}>}
+ */
+export function resolveColumns(columns) {
+  return columns
+    .filter((column) => Object.hasOwn(EXPORT_FIELDS, column.field))
+    .map((column) => ({
+      header: column.header,
+      width: column.width,
+      text: Boolean(EXPORT_FIELDS[column.field].text),
+      value: EXPORT_FIELDS[column.field].value,
+    }));
+}
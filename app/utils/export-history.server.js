@@ -0,0 +1,165 @@
+/**
+ * Export downloads and the shop's export history
+ *
+ * Every export gets a one-time download token (see routes/download.jsx) and an
+ * ExportRecord. Tokens expire after 15 minutes and are deleted when the next
+ * export (of any shop) is issued; the record stays, so an export can be looked up and run
+ * again with a fresh token later.
+ */
+
+import crypto from "crypto";
+import db from "../db.server";
+import { EXPORT_FORMATS, MAX_EXPORT_LABELS, parseExportFormat, SPREADSHEET_FORMATS } from "./export";
+
+// How long a download token is valid, and how long after its first use it can be
+// used again (mobile apps may request the file twice)
+export const DOWNLOAD_TOKEN_TTL_MS = 15 * 60 * 1000;
+export const DOWNLOAD_REUSE_MS = 60 * 1000;
+
+/**
+ * Read the export format, its options and the column template from an export form
+ * @param {FormData} formData - Format fields sent by the export page
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{format: string, options: Object, template: {id: string, name: string}|null}>}
+ * @throws {Error} - If the options are invalid or the template isn't the shop's
+ */
+export async function parseExportSettings(formData, shop) {
+  const { format, options } = parseExportFormat(formData);
+
+  // Only accept a template that belongs to this shop
+  let template = null;
+  const requestedTemplateId = formData.get("templateId");
+  if (requestedTemplateId && SPREADSHEET_FORMATS.includes(format)) {
+    template = await db.exportTemplate.findFirst({
+      where: { id: requestedTemplateId, shop },
+      select: { id: true, name: true },
+    });
+
+    if (!template) {
+      throw new Error("Export template not found");
+    }
+  }
+
+  return { format, options, template };
+}
+
+/**
+ * Create a download token for an export and record it in the history
+ * @param {string} shop - Shop domain
+ * @param {{staffUserId: string|null, staffName: string|null}} staff - From getStaffUser
+ * @param {Object} exportRequest
+ * @param {Array<{variantId: string, quantity: number}>} exportRequest.items - From parseExportItems
+ * @param {string} exportRequest.format - Key of EXPORT_FORMATS
+ * @param {Object} exportRequest.options - Format options from parseExportFormat
+ * @param {{id: string, name: string}|null} exportRequest.template - The shop's template, if one was chosen
+ * @param {Map<string, Object>|null} [exportRequest.variants] - Variant data the server already
+ *   read from Shopify (same shape as fetchVariantsByIds), so the download doesn't fetch it again
+ * @param {boolean} [exportRequest.clearsQueue] - Take the variants off the needs-labels queue
+ *   once the file has been served
+ * @returns {Promise<{downloadUrl: string, fileName: string, labelCount: number}>}
+ * @throws {Error} - If the export has more than MAX_EXPORT_LABELS labels
+ */
+export async function createExportDownload(shop, staff, { items, format, options, template, variants = null, clearsQueue = false }) {
+  // Generate a secure one-time token (crypto.randomUUID() in Node 19+)
+  const token = crypto.randomUUID();
+
+  const extension = EXPORT_FORMATS[format].extension;
+  const fileName = `label-export-${new Date().toISOString().split("T")[0]}.${extension}`;
+  const labelCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  if (labelCount > MAX_EXPORT_LABELS) {
+    throw new Error(`One export can have at most ${MAX_EXPORT_LABELS} labels (this one has ${labelCount})`);
+  }
+
+  // Only variant IDs and quantities come from the client - the download endpoint
+  // re-fetches titles, barcodes and prices from Shopify when building the file,
+  // unless the server read them itself (catalog exports)
+  const data = JSON.stringify(items);
+
+  // Tokens that can no longer be downloaded - catalog exports keep large variant data on them
+  await deleteSpentDownloadTokens();
+
+  // Store token in database with export data (expires after 15 minutes)
+  await db.downloadToken.create({
+    data: {
+      token,
+      shop,
+      data,
+      fileName,
+      format,
+      options: JSON.stringify(options),
+      templateId: template?.id || null,
+      variants: variants ? JSON.stringify([...variants.values()]) : null,
+      clearsQueue,
+    },
+  });
+
+  await db.exportRecord.create({
+    data: {
+      shop,
+      staffUserId: staff.staffUserId,
+      staffName: staff.staffName,
+      items: data,
+      variantCount: items.length,
+      labelCount,
+      format,
+      options: JSON.stringify(options),
+      templateId: template?.id || null,
+      templateName: template?.name || null,
+      fileName,
+    },
+  });
+
+  return { downloadUrl: `/download?token=${token}`, fileName, labelCount };
+}
+
+/**
+ * Run a past export again with the same variants, quantities and options
+ * Titles, barcodes and prices are read from Shopify again, so the file shows
+ * the catalog as it is now.
+ * @param {string} shop - Shop domain
+ * @param {{staffUserId: string|null, staffName: string|null}} staff - From getStaffUser
+ * @param {string|null} recordId - ExportRecord ID
+ * @returns {Promise<{downloadUrl: string, fileName: string, labelCount: number}>}
+ * @throws {Error} - If the record doesn't exist (or belongs to another shop)
+ */
+export async function rerunExport(shop, staff, recordId) {
+  const record = await db.exportRecord.findFirst({
+    where: { id: String(recordId || ""), shop },
+  });
+
+  if (!record) {
+    throw new Error("Export not found");
+  }
+
+  // A deleted template falls back to the default columns, as on download
+  const template = record.templateId
+    ? await db.exportTemplate.findFirst({
+        where: { id: record.templateId, shop },
+        select: { id: true, name: true },
+      })
+    : null;
+
+  return createExportDownload(shop, staff, {
+    items: JSON.parse(record.items),
+    format: record.format,
+    options: record.options ? JSON.parse(record.options) : {},
+    template,
+  });
+}
+
+/**
+ * Delete download tokens that expired or were used too long ago to be used again
+ * Covers every shop, so tokens of shops that stopped exporting don't stay behind.
+ */
+async function deleteSpentDownloadTokens() {
+  const now = Date.now();
+
+  await db.downloadToken.deleteMany({
+    where: {
+      OR: [
+        { createdAt: { lt: new Date(now - DOWNLOAD_TOKEN_TTL_MS) } },
+        { usedAt: { lt: new Date(now - DOWNLOAD_REUSE_MS) } },
+      ],
+    },
+  });
+}
@@ -0,0 +1,286 @@
+/**
+ * Export helpers shared by the export action and the download endpoint
+ *
+ * The client only sends {variantId, quantity} pairs. Product names, prices and
+ * barcodes are always re-fetched from the Admin API when the file is built,
+ * so a client can't inject its own values into the export.
+ */
+
+import {
+  BARCODE_SYMBOLOGIES,
+  DEFAULT_LABEL_LAYOUT,
+  LABEL_LAYOUTS,
+  labelsPerPage,
+} from "./label-layouts";
+import { percentOff } from "./money";
+import { parseMetafieldColumns, renderMetafields } from "./metafields";
+
+// Same limit as the quantity stepper on the export page
+export const MAX_LABELS_PER_VARIANT = 1000;
+
+// Labels in one file - every label is a row (or a PDF/ZPL label) built in memory
+export const MAX_EXPORT_LABELS = 20000;
+
+/**
+ * Supported export formats
+ * Keyed by the value stored in DownloadToken.format
+ */
+export const EXPORT_FORMATS = {
+  xlsx: {
+    label: "Excel (.xlsx)",
+    extension: "xlsx",
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  csv: {
+    label: "CSV (.csv)",
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+  },
+  tsv: {
+    label: "Tab-separated (.tsv)",
+    extension: "tsv",
+    contentType: "text/tab-separated-values; charset=utf-8",
+  },
+  pdf: {
+    label: "PDF label sheet (.pdf)",
+    extension: "pdf",
+    contentType: "application/pdf",
+  },
+  zpl: {
+    label: "Zebra ZPL (.zpl)",
+    extension: "zpl",
+    // Sent raw to the printer - octet-stream keeps browsers from rendering it
+    contentType: "application/octet-stream",
+  },
+};
+
+// Delimiters offered for CSV (semicolon is what Excel expects in many EU locales)
+export const CSV_DELIMITERS = {
+  comma: ",",
+  semicolon: ";",
+};
+
+// Print resolutions supported by Zebra thermal printers (dots per inch)
+export const ZPL_DPIS = [203, 300];
+
+/**
+ * Default options for ZPL exports (2.25" × 1.25" direct thermal labels)
+ */
+export const DEFAULT_ZPL_OPTIONS = {
+  width: 2.25,
+  height: 1.25,
+  dpi: 203,
+  symbology: "auto",
+};
+
+export const LINE_ENDINGS = {
+  crlf: "\r\n",
+  lf: "\n",
+};
+
+/**
+ * Default options for delimited (CSV/TSV) exports
+ */
+export const DEFAULT_DELIMITED_OPTIONS = {
+  delimiter: "comma",
+  bom: false,
+  lineEnding: "crlf",
+  excelTextBarcodes: false,
+};
+
+/**
+ * Label content modes
+ * "sale" prints the compare-at price, sale price and percent off
+ */
+export const LABEL_MODES = {
+  standard: "Standard labels",
+  sale: "Sale labels (was / now / % off)",
+};
+
+/**
+ * Label quantities for catalog-wide exports, where there is no quantity per variant to set
+ */
+export const CATALOG_QUANTITY_MODES = {
+  stock: "One label per unit in stock",
+  one: "One label per variant",
+};
+
+// Formats built from columns (templates and metafield columns apply)
+export const SPREADSHEET_FORMATS = ["xlsx", "csv", "tsv"];
+
+/**
+ * Read and sanitize the export format and its options from the export form
+ * @param {FormData} formData - Submitted export form
+ * @returns {{format: string, options: Object}} - Known format and whitelisted options
+ * @throws {Error} - If the metafield columns are malformed
+ */
+export function parseExportFormat(formData) {
+  const requested = formData.get("format");
+  const format = Object.hasOwn(EXPORT_FORMATS, requested) ? requested : "xlsx";
+  const labelMode = formData.get("labelMode") === "sale" ? "sale" : "standard";
+  const options = { ...parseFormatOptions(format, formData), labelMode };
+
+  if (SPREADSHEET_FORMATS.includes(format)) {
+    const metafields = parseMetafieldColumns(formData.get("metafields"));
+    if (metafields.length > 0) {
+      options.metafields = metafields;
+    }
+  }
+
+  return { format, options };
+}
+
+/**
+ * Whitelisted options for a single export format
+ */
+function parseFormatOptions(format, formData) {
+  if (format === "xlsx") {
+    return {};
+  }
+
+  if (format === "pdf") {
+    const layoutKey = formData.get("layout");
+    const layout = Object.hasOwn(LABEL_LAYOUTS, layoutKey) ? layoutKey : DEFAULT_LABEL_LAYOUT;
+    const symbology = formData.get("symbology");
+    const skipLabels = parseInt(formData.get("skipLabels"), 10);
+
+    return {
+      layout,
+      symbology: Object.hasOwn(BARCODE_SYMBOLOGIES, symbology) ? symbology : "auto",
+      // Start part-way through a partially used sheet
+      skipLabels: Number.isInteger(skipLabels)
+        ? Math.min(Math.max(skipLabels, 0), labelsPerPage(LABEL_LAYOUTS[layout]) - 1)
+        : 0,
+    };
+  }
+
+  if (format === "zpl") {
+    const width = parseFloat(formData.get("labelWidth"));
+    const height = parseFloat(formData.get("labelHeight"));
+    const dpi = parseInt(formData.get("dpi"), 10);
+    const symbology = formData.get("symbology");
+
+    return {
+      // Zebra desktop and industrial printers top out at a 4.09" print width
+      width: Number.isFinite(width) && width >= 0.5 && width <= 4.09
+        ? width
+        : DEFAULT_ZPL_OPTIONS.width,
+      height: Number.isFinite(height) && height >= 0.25 && height <= 12
+        ? height
+        : DEFAULT_ZPL_OPTIONS.height,
+      dpi: ZPL_DPIS.includes(dpi) ? dpi : DEFAULT_ZPL_OPTIONS.dpi,
+      symbology: Object.hasOwn(BARCODE_SYMBOLOGIES, symbology)
+        ? symbology
+        : DEFAULT_ZPL_OPTIONS.symbology,
+    };
+  }
+
+  const delimiter = formData.get("delimiter");
+  const lineEnding = formData.get("lineEnding");
+
+  return {
+    // TSV is always tab-separated
+    delimiter: format === "csv" && Object.hasOwn(CSV_DELIMITERS, delimiter)
+      ? delimiter
+      : DEFAULT_DELIMITED_OPTIONS.delimiter,
+    bom: formData.get("bom") === "true",
+    lineEnding: Object.hasOwn(LINE_ENDINGS, lineEnding)
+      ? lineEnding
+      : DEFAULT_DELIMITED_OPTIONS.lineEnding,
+    excelTextBarcodes: formData.get("excelTextBarcodes") === "true",
+  };
+}
+
+export const VARIANT_GID_PATTERN = /^gid:\/\/shopify\/ProductVariant\/\d+$/;
+
+/**
+ * Parse and validate the export items posted by the client
+ * @param {string} itemsJson - JSON array of {variantId, quantity}
+ * @returns {Array<{variantId: string, quantity: number}>} - Validated items (zero quantities dropped)
+ * @throws {Error} - If the payload is malformed
+ */
+export function parseExportItems(itemsJson) {
+  let parsed;
+  try {
+    parsed = JSON.parse(itemsJson);
+  } catch {
+    throw new Error("Invalid export data");
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error("Invalid export data");
+  }
+
+  const items = [];
+  const seenIds = new Set();
+
+  for (const item of parsed) {
+    const variantId = item?.variantId;
+    const quantity = item?.quantity;
+
+    if (typeof variantId !== "string" || !VARIANT_GID_PATTERN.test(variantId)) {
+      throw new Error("Invalid variant ID in export data");
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_LABELS_PER_VARIANT) {
+      throw new Error(`Label quantity must be between 0 and ${MAX_LABELS_PER_VARIANT}`);
+    }
+
+    if (seenIds.has(variantId)) {
+      throw new Error("Duplicate variant in export data");
+    }
+    seenIds.add(variantId);
+
+    if (quantity > 0) {
+      items.push({ variantId, quantity });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Expand export items into one row per label using authoritative variant data
+ * @param {Array<{variantId: string, quantity: number}>} items - Items stored on the download token
+ * @param {Map<string, Object>} variantsById - Variant nodes from fetchVariantsByIds
+ * @param {(amount: string|null) => string} formatPrice - Formatter from createPriceFormatter
+ * @returns {Array<Object>} - One row per label, in the order the items were selected
+ */
+export function buildLabelRows(items, variantsById, formatPrice) {
+  const rows = [];
+
+  items.forEach(({ variantId, quantity }) => {
+    const variant = variantsById.get(variantId);
+
+    // Variant was deleted after it was selected - nothing to label
+    if (!variant) return;
+
+    const row = {
+      variantId,
+      productTitle: variant.product.title,
+      variantTitle: variant.title,
+      sku: variant.sku || "",
+      barcode: variant.barcode || "",
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice || null,
+      formattedPrice: formatPrice(variant.price),
+      formattedCompareAtPrice: variant.compareAtPrice ? formatPrice(variant.compareAtPrice) : "",
+      percentOff: percentOff(variant.price, variant.compareAtPrice),
+      vendor: variant.product.vendor || "",
+      productType: variant.product.productType || "",
+      options: variant.selectedOptions || [],
+      inventoryQuantity: variant.inventoryQuantity ?? 0,
+      // Only present when metafield columns were requested
+      metafields: {
+        ...renderMetafields("product", variant.product.metafields?.nodes),
+        ...renderMetafields("variant", variant.metafields?.nodes),
+      },
+    };
+
+    for (let i = 0; i < quantity; i++) {
+      rows.push(row);
+    }
+  });
+
+  return rows;
+}
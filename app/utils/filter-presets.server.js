@@ -0,0 +1,87 @@
+/**
+ * Saved filter presets for the export page
+ *
+ * A preset stores the page's URL parameters; they go through parseProductFilters
+ * and parseQuantitySource again when the preset is opened, so a preset can't
+ * bypass their validation.
+ */
+
+import db from "../db.server";
+import { STRUCTURED_FILTERS } from "./product-search";
+
+const MAX_PRESET_NAME_LENGTH = 60;
+const MAX_PRESETS = 50;
+
+// URL parameters a preset keeps (paging cursors are left out)
+const PRESET_PARAMS = [
+  "search",
+  "status",
+  "onSale",
+  ...STRUCTURED_FILTERS,
+  "quantitySource",
+  "location",
+  "receivedSince",
+];
+
+/**
+ * List the shop's presets by name
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<{id: string, name: string, params: string}>>}
+ */
+export async function listFilterPresets(shop) {
+  return db.filterPreset.findMany({
+    where: { shop },
+    orderBy: { name: "asc" },
+    select: { id: true, name: true, params: true },
+  });
+}
+
+/**
+ * Save the current filters under a name; a preset with the same name is replaced
+ * @param {string} shop - Shop domain
+ * @param {string|null} nameValue - Submitted preset name
+ * @param {string|null} paramsValue - Export page URL parameters
+ * @returns {Promise<{id: string, name: string}>}
+ * @throws {Error} - If the name is empty or the shop has too many presets
+ */
+export async function saveFilterPreset(shop, nameValue, paramsValue) {
+  const name = String(nameValue || "").trim().substring(0, MAX_PRESET_NAME_LENGTH);
+  if (!name) {
+    throw new Error("Enter a name for the preset");
+  }
+
+  const submitted = new URLSearchParams(String(paramsValue || ""));
+  const params = new URLSearchParams();
+  PRESET_PARAMS.forEach((key) => {
+    const value = submitted.get(key);
+    if (value !== null) params.set(key, value);
+  });
+
+  const existing = await db.filterPreset.findUnique({
+    where: { shop_name: { shop, name } },
+    select: { id: true },
+  });
+  if (!existing && (await db.filterPreset.count({ where: { shop } })) >= MAX_PRESETS) {
+    throw new Error(`You can save at most ${MAX_PRESETS} presets - delete one first`);
+  }
+
+  return db.filterPreset.upsert({
+    where: { shop_name: { shop, name } },
+    create: { shop, name, params: params.toString() },
+    update: { params: params.toString() },
+    select: { id: true, name: true },
+  });
+}
+
+/**
+ * Delete a preset
+ * @param {string} shop - Shop domain
+ * @param {string|null} id - Preset ID
+ * @throws {Error} - If the preset doesn't exist (or belongs to another shop)
+ */
+export async function deleteFilterPreset(shop, id) {
+  const { count } = await db.filterPreset.deleteMany({ where: { id: String(id || ""), shop } });
+  if (count === 0) {
+    throw new Error("Preset not found");
+  }
+}
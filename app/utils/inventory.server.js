@@ -0,0 +1,238 @@
+/**
+ * Inventory at a location, for default label quantities
+ *
+ * Shopify only reports the current level, so the app keeps its own history in
+ * InventoryLevelRecord: the inventory_levels/update webhook records every change,
+ * and levels read for the export page are recorded too when they differ from the
+ * last record. "Received since" adds up the increases in that history.
+ *
+ * Records older than RECEIVED_HISTORY_DAYS are pruned as new ones are written,
+ * except the last one before the cutoff, which is the level counting starts from.
+ */
+
+import db from "../db.server";
+import { LOCATIONS_QUERY, VARIANT_INVENTORY_LEVELS_QUERY } from "../graphql/inventory";
+import { receivedHistoryStart, SINCE_LAST_EXPORT } from "./label-quantities";
+
+// Maximum number of IDs accepted by the nodes() query
+const NODES_BATCH_SIZE = 250;
+
+/**
+ * List the shop's locations
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+export async function fetchLocations(admin) {
+  const response = await admin.graphql(LOCATIONS_QUERY);
+  const data = await response.json();
+  return data.data.locations.nodes;
+}
+
+/**
+ * Read variants' available quantity at a location, and optionally what was received
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {string[]} variantIds - Variant GIDs
+ * @param {{source: string, location: string, receivedSince: string}} quantitySource - From
+ *   parseQuantitySource ("location" or "received")
+ * @returns {Promise<{
+ *   quantities: Map<string, {available: number|null, received: number|null}>,
+ *   since: Date|null
+ * }>} - Per variant ID: available is null when the variant isn't stocked at the location,
+ *   received is null when there is no history to compare with. since is the start of the
+ *   "received" period (null for "location", or when there hasn't been an export yet).
+ */
+export async function fetchLocationQuantities(admin, shop, variantIds, { source, location, receivedSince }) {
+  const levels = new Map();
+
+  for (let i = 0; i < variantIds.length; i += NODES_BATCH_SIZE) {
+    const response = await admin.graphql(VARIANT_INVENTORY_LEVELS_QUERY, {
+      variables: { ids: variantIds.slice(i, i + NODES_BATCH_SIZE), locationId: location },
+    });
+    const data = await response.json();
+
+    data.data.nodes.forEach((node) => {
+      if (!node?.inventoryItem) return;
+
+      const level = node.inventoryItem.inventoryLevel;
+      levels.set(node.id, {
+        inventoryItemId: node.inventoryItem.id,
+        available: level
+          ? level.quantities.find((quantity) => quantity.name === "available")?.quantity ?? 0
+          : null,
+      });
+    });
+  }
+
+  const stocked = [...levels.values()].filter((level) => level.available !== null);
+  await recordCurrentLevels(shop, location, stocked);
+
+  let since = null;
+  let received = new Map();
+  if (source === "received") {
+    since = await resolveReceivedSince(shop, receivedSince);
+    if (since) {
+      received = await sumReceived(shop, location, stocked, since);
+    }
+  }
+
+  const quantities = new Map();
+  levels.forEach((level, variantId) => {
+    quantities.set(variantId, {
+      available: level.available,
+      received: received.get(level.inventoryItemId) ?? null,
+    });
+  });
+
+  return { quantities, since };
+}
+
+/**
+ * Record a level reported by the inventory_levels/update webhook
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - Webhook payload (inventory_item_id, location_id, available, updated_at)
+ */
+export async function recordInventoryLevel(shop, payload) {
+  // available is null when the item stops being tracked at the location
+  if (typeof payload.available !== "number") return;
+
+  const inventoryItemId = `gid://shopify/InventoryItem/${payload.inventory_item_id}`;
+  const locationId = `gid://shopify/Location/${payload.location_id}`;
+
+  await db.inventoryLevelRecord.create({
+    data: {
+      shop,
+      inventoryItemId,
+      locationId,
+      available: payload.available,
+      recordedAt: payload.updated_at ? new Date(payload.updated_at) : new Date(),
+    },
+  });
+  await pruneLevelHistory(shop, locationId, [inventoryItemId]);
+}
+
+/**
+ * Delete the records "received since" can no longer reach
+ * The last record before the cutoff stays: it is the level at the start of the history.
+ */
+async function pruneLevelHistory(shop, locationId, inventoryItemIds) {
+  const cutoff = receivedHistoryStart();
+  const where = { shop, locationId, inventoryItemId: { in: inventoryItemIds }, recordedAt: { lt: cutoff } };
+
+  const baselines = await db.inventoryLevelRecord.findMany({
+    where,
+    orderBy: [{ inventoryItemId: "asc" }, { recordedAt: "desc" }],
+    distinct: ["inventoryItemId"],
+    select: { id: true },
+  });
+  if (baselines.length === 0) return;
+
+  await db.inventoryLevelRecord.deleteMany({
+    where: { ...where, id: { notIn: baselines.map((record) => record.id) } },
+  });
+}
+
+/**
+ * Latest record per inventory item at a location
+ * @returns {Promise<Map<string, number>>} - Available quantity by inventory item GID
+ */
+async function latestLevels(shop, locationId, inventoryItemIds, before) {
+  const records = await db.inventoryLevelRecord.findMany({
+    where: {
+      shop,
+      locationId,
+      inventoryItemId: { in: inventoryItemIds },
+      ...(before ? { recordedAt: { lte: before } } : {}),
+    },
+    orderBy: [{ inventoryItemId: "asc" }, { recordedAt: "desc" }],
+    distinct: ["inventoryItemId"],
+    select: { inventoryItemId: true, available: true },
+  });
+
+  return new Map(records.map((record) => [record.inventoryItemId, record.available]));
+}
+
+/**
+ * Record levels that differ from the last record, so later "received" counts
+ * have something to compare with even before a webhook arrives
+ */
+async function recordCurrentLevels(shop, locationId, levels) {
+  if (levels.length === 0) return;
+
+  const latest = await latestLevels(shop, locationId, levels.map((level) => level.inventoryItemId));
+  const changed = levels.filter((level) => latest.get(level.inventoryItemId) !== level.available);
+  if (changed.length === 0) return;
+
+  const recordedAt = new Date();
+  await db.inventoryLevelRecord.createMany({
+    data: changed.map((level) => ({
+      shop,
+      inventoryItemId: level.inventoryItemId,
+      locationId,
+      available: level.available,
+      recordedAt,
+    })),
+  });
+  await pruneLevelHistory(shop, locationId, changed.map((level) => level.inventoryItemId));
+}
+
+/**
+ * Start of the "received" period
+ * Starts earlier than the kept history are moved up to its start.
+ * @returns {Promise<Date|null>} - null when counting from the last export and there is none
+ */
+async function resolveReceivedSince(shop, receivedSince) {
+  let since;
+  if (receivedSince !== SINCE_LAST_EXPORT) {
+    since = new Date(`${receivedSince}T00:00:00Z`);
+  } else {
+    const lastExport = await db.exportRecord.findFirst({
+      where: { shop },
+      orderBy: { createdAt: "desc" },
+      select: { createdAt: true },
+    });
+    if (!lastExport) return null;
+    since = lastExport.createdAt;
+  }
+
+  const historyStart = receivedHistoryStart();
+  return since < historyStart ? historyStart : since;
+}
+
+/**
+ * Add up the increases in each item's level since a time
+ * Decreases (sales, transfers out) don't cancel out stock that came in.
+ * @returns {Promise<Map<string, number>>} - Received quantity by inventory item GID
+ *   (items with only one known level are left out)
+ */
+async function sumReceived(shop, locationId, levels, since) {
+  const inventoryItemIds = levels.map((level) => level.inventoryItemId);
+  const baseline = await latestLevels(shop, locationId, inventoryItemIds, since);
+
+  const changes = await db.inventoryLevelRecord.findMany({
+    where: { shop, locationId, inventoryItemId: { in: inventoryItemIds }, recordedAt: { gt: since } },
+    orderBy: { recordedAt: "asc" },
+    select: { inventoryItemId: true, available: true },
+  });
+
+  // The current levels were recorded above, so they are the last change of each item
+  const received = new Map();
+  const previous = new Map(baseline);
+  changes.forEach(({ inventoryItemId, available }) => {
+    // Without a level from before the period, counting starts at the first change in it
+    if (previous.has(inventoryItemId)) {
+      const increase = Math.max(available - previous.get(inventoryItemId), 0);
+      received.set(inventoryItemId, (received.get(inventoryItemId) || 0) + increase);
+    }
+    previous.set(inventoryItemId, available);
+  });
+
+  // Items with a level from before the period but no change since received nothing
+  baseline.forEach((_, inventoryItemId) => {
+    if (!received.has(inventoryItemId)) {
+      received.set(inventoryItemId, 0);
+    }
+  });
+
+  return received;
+}
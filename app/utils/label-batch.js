@@ -0,0 +1,21 @@
+/**
+ * Label batch messages shared by the export page's batch and order forms
+ */
+
+/**
+ * Toast text for an addToBatch result
+ * @param {{added: number, updated: number, skippedLines?: number, orderNames?: string[]}} result -
+ *   From addToLabelBatch, plus the orders it came from for order lookups
+ * @returns {string}
+ */
+export function describeBatchChange({ added, updated, skippedLines = 0, orderNames = null }) {
+  const parts = [];
+  if (added > 0) parts.push(`${added} added`);
+  if (updated > 0) parts.push(`${updated} updated`);
+  if (skippedLines > 0) parts.push(`${skippedLines} custom or deleted item${skippedLines !== 1 ? "s" : ""} skipped`);
+
+  const source = orderNames
+    ? ` from ${orderNames.length === 1 ? `order ${orderNames[0]}` : `${orderNames.length} orders`}`
+    : "";
+  return `Label batch${source}: ${parts.join(", ") || "nothing changed"}`;
+}
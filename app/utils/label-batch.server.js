@@ -0,0 +1,129 @@
+/**
+ * Label batch - a per-shop basket of variants and label quantities
+ *
+ * Staff add variants from any search on the export page; the batch is kept
+ * in the database until it is cleared, so it can be built up over several
+ * sessions and exported in one go.
+ */
+
+import db from "../db.server";
+import { MAX_LABELS_PER_VARIANT, VARIANT_GID_PATTERN } from "./export";
+import { fetchVariantsByIds } from "./variants";
+
+// Variants one batch can hold
+export const MAX_BATCH_VARIANTS = 2000;
+
+/**
+ * Read the shop's label batch, oldest first
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<{variantId: string, quantity: number, displayName: string, sku: string|null}>>}
+ */
+export async function getLabelBatch(shop) {
+  return db.labelBatchItem.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+    select: { variantId: true, quantity: true, displayName: true, sku: true },
+  });
+}
+
+/**
+ * Add variants to the batch; variants already in it get the new quantity
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {Array<{variantId: string, quantity: number}>} items - From parseExportItems
+ * @returns {Promise<{added: number, updated: number}>} - Deleted variants are left out
+ * @throws {Error} - If there is nothing to add or the batch would be too large
+ */
+export async function addToLabelBatch(admin, shop, items) {
+  if (items.length === 0) {
+    throw new Error("Select variants with a label quantity above 0");
+  }
+
+  const existing = await db.labelBatchItem.findMany({
+    where: { shop, variantId: { in: items.map((item) => item.variantId) } },
+    select: { variantId: true },
+  });
+  const existingIds = new Set(existing.map((item) => item.variantId));
+
+  const currentCount = await db.labelBatchItem.count({ where: { shop } });
+  const newCount = items.filter((item) => !existingIds.has(item.variantId)).length;
+  if (currentCount + newCount > MAX_BATCH_VARIANTS) {
+    throw new Error(
+      `A label batch can hold at most ${MAX_BATCH_VARIANTS} variants (it has ${currentCount})`
+    );
+  }
+
+  // Names are stored so the batch can be shown without asking Shopify
+  const variantsById = await fetchVariantsByIds(admin, items.map((item) => item.variantId));
+  const result = { added: 0, updated: 0 };
+
+  await db.$transaction(
+    items
+      .filter((item) => variantsById.has(item.variantId))
+      .map((item) => {
+        const variant = variantsById.get(item.variantId);
+        const data = { quantity: item.quantity, displayName: variant.displayName, sku: variant.sku || null };
+
+        if (existingIds.has(item.variantId)) {
+          result.updated++;
+        } else {
+          result.added++;
+        }
+
+        return db.labelBatchItem.upsert({
+          where: { shop_variantId: { shop, variantId: item.variantId } },
+          create: { shop, variantId: item.variantId, ...data },
+          update: data,
+        });
+      })
+  );
+
+  return result;
+}
+
+/**
+ * Change the label quantity of a variant in the batch
+ * @param {string} shop - Shop domain
+ * @param {string} variantId - Variant GID
+ * @param {string} quantityValue - Submitted quantity; 0 removes the variant
+ * @throws {Error} - If the quantity is invalid or the variant is not in the batch
+ */
+export async function updateLabelBatchItem(shop, variantId, quantityValue) {
+  const quantity = Number(quantityValue);
+  if (typeof variantId !== "string" || !VARIANT_GID_PATTERN.test(variantId)) {
+    throw new Error("Invalid variant ID");
+  }
+  if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_LABELS_PER_VARIANT) {
+    throw new Error(`Label quantity must be between 0 and ${MAX_LABELS_PER_VARIANT}`);
+  }
+
+  if (quantity === 0) {
+    await removeFromLabelBatch(shop, [variantId]);
+    return;
+  }
+
+  const { count } = await db.labelBatchItem.updateMany({
+    where: { shop, variantId },
+    data: { quantity },
+  });
+  if (count === 0) {
+    throw new Error("This variant is no longer in the label batch");
+  }
+}
+
+/**
+ * Remove variants from the batch
+ * @param {string} shop - Shop domain
+ * @param {string[]} variantIds - Variant GIDs
+ */
+export async function removeFromLabelBatch(shop, variantIds) {
+  await db.labelBatchItem.deleteMany({ where: { shop, variantId: { in: variantIds } } });
+}
+
+/**
+ * Empty the batch
+ * @param {string} shop - Shop domain
+ */
+export async function clearLabelBatch(shop) {
+  await db.labelBatchItem.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,95 @@
+/**
+ * Label sheet and roll layouts for PDF exports
+ *
+ * All dimensions are in inches and match the manufacturer templates.
+ * Sheets are US Letter (8.5" × 11"); rolls print one label per page.
+ */
+
+export const LABEL_LAYOUTS = {
+  avery5160: {
+    label: "Avery 5160 – 1\" × 2⅝\" (30 per sheet)",
+    pageWidth: 8.5,
+    pageHeight: 11,
+    columns: 3,
+    rows: 10,
+    labelWidth: 2.625,
+    labelHeight: 1,
+    marginLeft: 0.1875,
+    marginTop: 0.5,
+    pitchX: 2.75,
+    pitchY: 1,
+  },
+  avery5167: {
+    label: "Avery 5167 – ½\" × 1¾\" (80 per sheet)",
+    pageWidth: 8.5,
+    pageHeight: 11,
+    columns: 4,
+    rows: 20,
+    labelWidth: 1.75,
+    labelHeight: 0.5,
+    marginLeft: 0.3,
+    marginTop: 0.5,
+    pitchX: 2.05,
+    pitchY: 0.5,
+  },
+  avery22806: {
+    label: "Avery 22806 – 2\" × 2\" square (12 per sheet)",
+    pageWidth: 8.5,
+    pageHeight: 11,
+    columns: 3,
+    rows: 4,
+    labelWidth: 2,
+    labelHeight: 2,
+    marginLeft: 0.625,
+    marginTop: 0.625,
+    pitchX: 2.625,
+    pitchY: 2.5833,
+  },
+  roll225x125: {
+    label: "Roll – 2.25\" × 1.25\" (one label per page)",
+    pageWidth: 2.25,
+    pageHeight: 1.25,
+    columns: 1,
+    rows: 1,
+    labelWidth: 2.25,
+    labelHeight: 1.25,
+    marginLeft: 0,
+    marginTop: 0,
+    pitchX: 2.25,
+    pitchY: 1.25,
+  },
+  roll2x1: {
+    label: "Roll – 2\" × 1\" (one label per page)",
+    pageWidth: 2,
+    pageHeight: 1,
+    columns: 1,
+    rows: 1,
+    labelWidth: 2,
+    labelHeight: 1,
+    marginLeft: 0,
+    marginTop: 0,
+    pitchX: 2,
+    pitchY: 1,
+  },
+};
+
+export const DEFAULT_LABEL_LAYOUT = "avery5160";
+
+/**
+ * Barcode symbologies offered for PDF labels
+ * "auto" uses EAN-13 / UPC-A when the barcode has a valid check digit, otherwise Code 128
+ */
+export const BARCODE_SYMBOLOGIES = {
+  auto: "Automatic (EAN-13 / UPC-A when valid, otherwise Code 128)",
+  code128: "Code 128",
+  ean13: "EAN-13",
+};
+
+/**
+ * Number of labels on one page of a layout
+ * @param {Object} layout - Entry from LABEL_LAYOUTS
+ * @returns {number}
+ */
+export function labelsPerPage(layout) {
+  return layout.columns * layout.rows;
+}
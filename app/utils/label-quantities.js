@@ -0,0 +1,74 @@
+/**
+ * Where default label quantities on the export page come from
+ * Shared by the export page and its loader.
+ */
+
+/**
+ * Quantity sources, by the quantitySource URL parameter
+ */
+export const LABEL_QUANTITY_SOURCES = {
+  total: "Total stock (all locations)",
+  location: "Available at a location",
+  received: "Received at a location since…",
+};
+
+// receivedSince value for "since the last export"
+export const SINCE_LAST_EXPORT = "lastExport";
+
+// Days of inventory history kept for "received since" (earlier dates count from here)
+export const RECEIVED_HISTORY_DAYS = 90;
+
+/**
+ * Earliest start of the "received" period
+ * @returns {Date}
+ */
+export function receivedHistoryStart() {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - RECEIVED_HISTORY_DAYS);
+  return start;
+}
+
+const LOCATION_GID_PATTERN = /^gid:\/\/shopify\/Location\/\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read the quantity source from loader params
+ * Anything incomplete (e.g. no location picked yet) falls back to total stock.
+ * @param {URLSearchParams|FormData} params
+ * @returns {{source: string, location: string, receivedSince: string}} - location is a
+ *   Location GID and receivedSince a YYYY-MM-DD date or SINCE_LAST_EXPORT ("" when unused)
+ */
+export function parseQuantitySource(params) {
+  const source = String(params.get("quantitySource") || "");
+  const location = String(params.get("location") || "");
+  const receivedSince = String(params.get("receivedSince") || "");
+
+  if (!Object.hasOwn(LABEL_QUANTITY_SOURCES, source) || source === "total"
+    || !LOCATION_GID_PATTERN.test(location)) {
+    return { source: "total", location: LOCATION_GID_PATTERN.test(location) ? location : "", receivedSince: "" };
+  }
+
+  if (source === "received") {
+    const validSince = receivedSince === SINCE_LAST_EXPORT
+      || (DATE_PATTERN.test(receivedSince) && !isNaN(Date.parse(receivedSince)));
+    return { source, location, receivedSince: validSince ? receivedSince : SINCE_LAST_EXPORT };
+  }
+
+  return { source, location, receivedSince: "" };
+}
+
+/**
+ * Add the quantity source to loader params (nothing for total stock)
+ * @param {URLSearchParams|FormData} params - Params to add to
+ * @param {{source: string, location: string, receivedSince: string}} quantitySource
+ */
+export function appendQuantitySource(params, { source, location, receivedSince }) {
+  if (source === "total") return;
+
+  params.set("quantitySource", source);
+  params.set("location", location);
+  if (source === "received") {
+    params.set("receivedSince", receivedSince);
+  }
+}
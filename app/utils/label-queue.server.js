@@ -0,0 +1,224 @@
+/**
+ * "Needs labels" queue - variants waiting for their first or a new label
+ *
+ * The products/create and products/update webhooks queue new variants and
+ * variants whose price changed. Webhooks don't say what the price was before,
+ * so the last price seen for each variant is kept in KnownVariantPrice.
+ * products/delete and app/uninstalled remove both again.
+ */
+
+import db from "../db.server";
+import { MAX_LABELS_PER_VARIANT } from "./export";
+
+// Variants one queue can hold; later ones are dropped until labels are printed
+export const MAX_QUEUE_VARIANTS = 2000;
+
+// A variant the app hasn't seen before counts as new if it was created this long
+// before the product update (older ones date from before the app was installed)
+const NEW_VARIANT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Read the shop's queue, oldest first
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<{variantId: string, reason: string, quantity: number, displayName: string,
+ *   sku: string|null, price: string, previousPrice: string|null}>>} - reason is "new" or "priceChanged"
+ */
+export async function getLabelQueue(shop) {
+  return db.labelQueueItem.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+    select: {
+      variantId: true,
+      reason: true,
+      quantity: true,
+      displayName: true,
+      sku: true,
+      price: true,
+      previousPrice: true,
+    },
+  });
+}
+
+/**
+ * Queue the new and re-priced variants in a products/create or products/update webhook
+ * Variants no longer on the product are taken off the queue and forgotten.
+ * @param {string} shop - Shop domain
+ * @param {string} topic - Webhook topic (PRODUCTS_CREATE or PRODUCTS_UPDATE)
+ * @param {Object} product - Webhook payload (REST product with its variants)
+ * @returns {Promise<number>} - Variants queued or updated in the queue
+ */
+export async function queueProductLabels(shop, topic, product) {
+  const productId = product.admin_graphql_api_id || `gid://shopify/Product/${product.id}`;
+  const variants = (product.variants || []).map((variant) => toQueueVariant(product, variant));
+  const variantIds = variants.map((variant) => variant.variantId);
+
+  const known = await db.knownVariantPrice.findMany({
+    where: { shop, OR: [{ productId }, { variantId: { in: variantIds } }] },
+    select: { variantId: true, productId: true, price: true },
+  });
+  const knownById = new Map(known.map((record) => [record.variantId, record]));
+
+  const isCreate = topic === "PRODUCTS_CREATE";
+  const updatedAt = Date.parse(product.updated_at) || Date.now();
+  const queued = [];
+
+  for (const variant of variants) {
+    const knownPrice = knownById.get(variant.variantId)?.price;
+
+    if (knownPrice === undefined) {
+      const createdAt = Date.parse(variant.createdAt);
+      if (isCreate || updatedAt - createdAt <= NEW_VARIANT_WINDOW_MS) {
+        queued.push({ ...variant, reason: "new", previousPrice: null });
+      }
+    } else if (Number(knownPrice) !== Number(variant.price)) {
+      queued.push({ ...variant, reason: "priceChanged", previousPrice: knownPrice });
+    }
+  }
+
+  // Only prices that are new or changed need writing
+  const onProduct = new Set(variantIds);
+  const removedIds = known
+    .filter((record) => !onProduct.has(record.variantId))
+    .map((record) => record.variantId);
+  const changedPrices = variants.filter((variant) => {
+    const record = knownById.get(variant.variantId);
+    return record && (record.price !== variant.price || record.productId !== productId);
+  });
+
+  await db.$transaction([
+    db.knownVariantPrice.createMany({
+      data: variants
+        .filter((variant) => !knownById.has(variant.variantId))
+        .map((variant) => ({ shop, productId, variantId: variant.variantId, price: variant.price })),
+      skipDuplicates: true,
+    }),
+    ...changedPrices.map((variant) =>
+      db.knownVariantPrice.update({
+        where: { shop_variantId: { shop, variantId: variant.variantId } },
+        data: { productId, price: variant.price },
+      })
+    ),
+    db.knownVariantPrice.deleteMany({ where: { shop, variantId: { in: removedIds } } }),
+  ]);
+
+  return updateLabelQueue(shop, productId, queued, removedIds);
+}
+
+/**
+ * Forget a deleted product's variants (products/delete webhook)
+ * @param {string} shop - Shop domain
+ * @param {Object} product - Webhook payload ({id})
+ */
+export async function removeDeletedProduct(shop, product) {
+  const productId = `gid://shopify/Product/${product.id}`;
+
+  await db.$transaction([
+    db.labelQueueItem.deleteMany({ where: { shop, productId } }),
+    db.knownVariantPrice.deleteMany({ where: { shop, productId } }),
+  ]);
+}
+
+/**
+ * Remove variants from the queue (e.g. once their labels are exported)
+ * @param {string} shop - Shop domain
+ * @param {string[]} variantIds - Variant GIDs
+ */
+export async function removeFromLabelQueue(shop, variantIds) {
+  await db.labelQueueItem.deleteMany({ where: { shop, variantId: { in: variantIds } } });
+}
+
+/**
+ * Empty the queue
+ * @param {string} shop - Shop domain
+ */
+export async function clearLabelQueue(shop) {
+  await db.labelQueueItem.deleteMany({ where: { shop } });
+}
+
+/**
+ * Add, refresh and remove one product's queued variants
+ * A variant keeps the reason and previous price it was first queued with; a price
+ * change that is undone before the labels are printed takes it off the queue.
+ * Runs under a per-shop lock, so webhooks arriving together can't overfill the queue.
+ * @returns {Promise<number>} - Variants queued or updated
+ */
+async function updateLabelQueue(shop, productId, items, removedIds) {
+  if (items.length === 0 && removedIds.length === 0) return 0;
+
+  return db.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`label-queue:${shop}`}))`;
+
+    const existing = await tx.labelQueueItem.findMany({
+      where: { shop, variantId: { in: items.map((item) => item.variantId) } },
+      select: { variantId: true, reason: true, previousPrice: true },
+    });
+    const existingById = new Map(existing.map((row) => [row.variantId, row]));
+
+    const undone = items.filter((item) => {
+      const row = existingById.get(item.variantId);
+      return row?.reason === "priceChanged" && Number(row.previousPrice) === Number(item.price);
+    });
+    const updated = items.filter((item) => existingById.has(item.variantId) && !undone.includes(item));
+    let added = items.filter((item) => !existingById.has(item.variantId));
+
+    await tx.labelQueueItem.deleteMany({
+      where: { shop, variantId: { in: [...removedIds, ...undone.map((item) => item.variantId)] } },
+    });
+
+    for (const item of updated) {
+      await tx.labelQueueItem.update({
+        where: { shop_variantId: { shop, variantId: item.variantId } },
+        data: queueItemData(productId, item),
+      });
+    }
+
+    const free = MAX_QUEUE_VARIANTS - (await tx.labelQueueItem.count({ where: { shop } }));
+    if (added.length > free) {
+      console.warn(`Label queue for ${shop} is full - ${added.length - Math.max(free, 0)} variants were not queued`);
+      added = added.slice(0, Math.max(free, 0));
+    }
+
+    await tx.labelQueueItem.createMany({
+      data: added.map((item) => ({
+        shop,
+        variantId: item.variantId,
+        reason: item.reason,
+        previousPrice: item.previousPrice,
+        ...queueItemData(productId, item),
+      })),
+    });
+
+    return updated.length + added.length;
+  }, { timeout: 15000 });
+}
+
+/**
+ * Queue columns refreshed by every webhook
+ */
+function queueItemData(productId, item) {
+  return {
+    productId,
+    quantity: item.quantity,
+    displayName: item.displayName,
+    sku: item.sku,
+    price: item.price,
+  };
+}
+
+/**
+ * The fields the queue needs from a webhook variant
+ */
+function toQueueVariant(product, variant) {
+  const stock = Number(variant.inventory_quantity) || 0;
+
+  return {
+    variantId: variant.admin_graphql_api_id || `gid://shopify/ProductVariant/${variant.id}`,
+    displayName: variant.title && variant.title !== "Default Title"
+      ? `${product.title} - ${variant.title}`
+      : product.title,
+    sku: variant.sku || null,
+    price: String(variant.price),
+    createdAt: variant.created_at,
+    quantity: Math.min(Math.max(stock, 1), MAX_LABELS_PER_VARIANT),
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * What each variant's label looked like when it was last printed
+ *
+ * The download endpoint records a snapshot for every variant in a file it
+ * serves. Comparing the snapshots with Shopify finds shelf labels that no
+ * longer match the product (after a bulk price change, a new barcode...).
+ */
+
+import db from "../db.server";
+import { fetchVariantsByIds } from "./variants";
+
+// Snapshots replaced per statement - catalog exports can hold tens of thousands
+const SNAPSHOT_CHUNK_SIZE = 1000;
+
+// Snapshots compared per check; the export page continues from the cursor
+const STALE_CHECK_PAGE_SIZE = 1000;
+
+/**
+ * Record the labels in a file the download endpoint served
+ * @param {string} shop - Shop domain
+ * @param {Array<{variantId: string, quantity: number}>} items - Items on the download token
+ * @param {Map<string, Object>} variantsById - From fetchVariantsByIds (what was printed)
+ */
+export async function recordPrintedLabels(shop, items, variantsById) {
+  const printedAt = new Date();
+  const snapshots = items
+    .filter((item) => variantsById.has(item.variantId))
+    .map((item) => {
+      const variant = variantsById.get(item.variantId);
+      return {
+        shop,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        displayName: variant.displayName,
+        price: String(variant.price),
+        compareAtPrice: variant.compareAtPrice ?? null,
+        barcode: variant.barcode || null,
+        printedAt,
+      };
+    });
+
+  for (let i = 0; i < snapshots.length; i += SNAPSHOT_CHUNK_SIZE) {
+    const chunk = snapshots.slice(i, i + SNAPSHOT_CHUNK_SIZE);
+    await db.$transaction([
+      db.printedLabelSnapshot.deleteMany({
+        where: { shop, variantId: { in: chunk.map((snapshot) => snapshot.variantId) } },
+      }),
+      db.printedLabelSnapshot.createMany({ data: chunk }),
+    ]);
+  }
+}
+
+/**
+ * Find printed labels whose price, compare-at price, barcode or title changed since
+ * Checks up to STALE_CHECK_PAGE_SIZE snapshots, most recently printed first; check again
+ * from nextCursor for older ones. Snapshots of deleted variants are removed on the way.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {string|null} [cursor] - nextCursor of the previous check
+ * @returns {Promise<{
+ *   stale: Array<{variantId: string, displayName: string, sku: string, quantity: number,
+ *     printedAt: string, changes: Array<{field: string, printed: string|null, current: string|null}>}>,
+ *   checked: number,
+ *   nextCursor: string|null
+ * }>} - quantity is the number of labels printed last time; field is "title", "price",
+ *   "compareAtPrice" or "barcode"; nextCursor is null once every snapshot was checked
+ */
+export async function findStaleLabels(admin, shop, cursor = null) {
+  const snapshots = await db.printedLabelSnapshot.findMany({
+    where: { shop, ...afterCursor(cursor) },
+    orderBy: [{ printedAt: "desc" }, { id: "asc" }],
+    take: STALE_CHECK_PAGE_SIZE + 1,
+  });
+
+  const hasMore = snapshots.length > STALE_CHECK_PAGE_SIZE;
+  if (hasMore) snapshots.pop();
+  const last = snapshots[snapshots.length - 1];
+
+  const variantsById = await fetchVariantsByIds(admin, snapshots.map((snapshot) => snapshot.variantId));
+
+  const deletedIds = snapshots
+    .filter((snapshot) => !variantsById.has(snapshot.variantId))
+    .map((snapshot) => snapshot.variantId);
+  if (deletedIds.length > 0) {
+    await db.printedLabelSnapshot.deleteMany({ where: { shop, variantId: { in: deletedIds } } });
+  }
+
+  const stale = [];
+  snapshots.forEach((snapshot) => {
+    const variant = variantsById.get(snapshot.variantId);
+    if (!variant) return;
+
+    const changes = labelChanges(snapshot, variant);
+    if (changes.length === 0) return;
+
+    stale.push({
+      variantId: snapshot.variantId,
+      displayName: variant.displayName,
+      sku: variant.sku || "",
+      quantity: snapshot.quantity,
+      printedAt: snapshot.printedAt.toISOString(),
+      changes,
+    });
+  });
+
+  return {
+    stale,
+    checked: variantsById.size,
+    nextCursor: hasMore ? `${last.printedAt.toISOString()}_${last.id}` : null,
+  };
+}
+
+/**
+ * Filter for the snapshots after a cursor (printedAt descending, then ID)
+ * Keyset rather than Prisma's cursor, as the cursor's own row may have been deleted.
+ */
+function afterCursor(cursor) {
+  const [printedAt, id] = String(cursor || "").split("_");
+  const date = new Date(printedAt);
+  if (!id || isNaN(date.getTime())) return {};
+
+  return {
+    OR: [
+      { printedAt: { lt: date } },
+      { printedAt: date, id: { gt: id } },
+    ],
+  };
+}
+
+/**
+ * Differences between a snapshot and the variant as it is now
+ */
+function labelChanges(snapshot, variant) {
+  const changes = [];
+  const change = (field, printed, current) => changes.push({ field, printed, current });
+
+  if (snapshot.displayName !== variant.displayName) {
+    change("title", snapshot.displayName, variant.displayName);
+  }
+  if (!samePrice(snapshot.price, variant.price)) {
+    change("price", snapshot.price, String(variant.price));
+  }
+  if (!samePrice(snapshot.compareAtPrice, variant.compareAtPrice)) {
+    change("compareAtPrice", snapshot.compareAtPrice, variant.compareAtPrice ?? null);
+  }
+  if ((snapshot.barcode || "") !== (variant.barcode || "")) {
+    change("barcode", snapshot.barcode, variant.barcode || null);
+  }
+
+  return changes;
+}
+
+// "10.0" and "10.00" are the same price; no price and an empty one are too
+function samePrice(a, b) {
+  const isEmpty = (price) => price === null || price === undefined || price === "";
+  if (isEmpty(a) || isEmpty(b)) {
+    return isEmpty(a) && isEmpty(b);
+  }
+  return Number(a) === Number(b);
+}
@@ -0,0 +1,178 @@
+/**
+ * Metafield columns for spreadsheet exports
+ *
+ * Columns are chosen on the export page as owner + "namespace.key" pairs and
+ * rendered to plain text according to the metafield's type.
+ */
+
+export const METAFIELD_OWNERS = {
+  product: "Product",
+  variant: "Variant",
+};
+
+// Keep the per-variant metafields() lookup within a single page
+export const MAX_METAFIELD_COLUMNS = 10;
+
+const METAFIELD_KEY_PATTERN = /^[A-Za-z0-9_-]{2,255}\.[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validate metafield column choices posted from the export page
+ * @param {string|null} metafieldsJson - JSON array of {owner, key}
+ * @returns {Array<{owner: "product"|"variant", key: string}>}
+ * @throws {Error} - If a choice is malformed
+ */
+export function parseMetafieldColumns(metafieldsJson) {
+  if (!metafieldsJson) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(metafieldsJson);
+  } catch {
+    throw new Error("Invalid metafield columns");
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error("Invalid metafield columns");
+  }
+
+  if (parsed.length > MAX_METAFIELD_COLUMNS) {
+    throw new Error(`Choose at most ${MAX_METAFIELD_COLUMNS} metafield columns`);
+  }
+
+  const seen = new Set();
+
+  return parsed.flatMap((column) => {
+    // null and other non-objects fail the check below like a malformed choice
+    const { owner, key } = column !== null && typeof column === "object" ? column : {};
+    if (!Object.hasOwn(METAFIELD_OWNERS, owner) || !METAFIELD_KEY_PATTERN.test(key ?? "")) {
+      throw new Error(`Invalid metafield "${key}" - use namespace.key`);
+    }
+
+    // Ignore duplicates rather than failing the export
+    if (seen.has(`${owner}:${key}`)) return [];
+    seen.add(`${owner}:${key}`);
+
+    return [{ owner, key }];
+  });
+}
+
+/**
+ * Column definitions for the file builders, appended after the template columns
+ * Headers are the "namespace.key" so label software can map them by name
+ * @param {Array<{owner: string, key: string}>} metafieldColumns - From parseMetafieldColumns
+ * @returns {Array<{header: string, width: number, text: boolean, value: Function}>}
+ */
+export function resolveMetafieldColumns(metafieldColumns = []) {
+  return metafieldColumns.map(({ owner, key }) => ({
+    header: key,
+    width: 24,
+    // Values like country codes or article numbers must stay as typed
+    text: true,
+    value: (row) => row.metafields?.[`${owner}:${key}`] ?? "",
+  }));
+}
+
+/**
+ * Render metafield nodes into printable text keyed by owner and "namespace.key"
+ * @param {"product"|"variant"} owner
+ * @param {Array<Object>|undefined} nodes - metafields.nodes from VARIANTS_BY_ID_QUERY
+ * @returns {Object<string, string>} - e.g. { "product:custom.material": "Cotton" }
+ */
+export function renderMetafields(owner, nodes = []) {
+  const values = {};
+
+  nodes.forEach((metafield) => {
+    values[`${owner}:${metafield.namespace}.${metafield.key}`] = renderMetafieldValue(metafield);
+  });
+
+  return values;
+}
+
+/**
+ * Render a single metafield value as label text
+ *
+ * - list.* types are joined with ", "
+ * - dimension, weight and volume print as "2.5 cm"
+ * - references print the referenced resource's title or name
+ * - rich text is flattened to plain text
+ */
+export function renderMetafieldValue(metafield) {
+  const { type, value } = metafield;
+
+  if (type.endsWith("_reference")) {
+    if (type.startsWith("list.")) {
+      return (metafield.references?.nodes || []).map(referenceLabel).filter(Boolean).join(", ");
+    }
+    return referenceLabel(metafield.reference) || "";
+  }
+
+  if (type.startsWith("list.")) {
+    const itemType = type.slice("list.".length);
+    const items = safeParse(value);
+
+    return Array.isArray(items)
+      ? items.map((item) => renderScalar(itemType, item)).join(", ")
+      : String(value ?? "");
+  }
+
+  return renderScalar(type, type === "json" || isJsonType(type) ? safeParse(value) : value);
+}
+
+function renderScalar(type, value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  switch (type) {
+    case "boolean":
+      return value === true || value === "true" ? "Yes" : "No";
+    case "dimension":
+    case "weight":
+    case "volume":
+      return typeof value === "object" ? `${value.value} ${value.unit}` : String(value);
+    case "money":
+      return typeof value === "object" ? `${value.amount} ${value.currency_code}` : String(value);
+    case "rating":
+      return typeof value === "object" ? `${value.value}/${value.scale_max}` : String(value);
+    case "date_time":
+      // Labels only need the date
+      return String(value).split("T")[0];
+    case "rich_text_field":
+      return typeof value === "object" ? richTextToPlain(value).trim() : String(value);
+    case "json":
+      return typeof value === "string" ? value : JSON.stringify(value);
+    default:
+      return String(value);
+  }
+}
+
+// Scalar types whose value is stored as a JSON object
+function isJsonType(type) {
+  return ["dimension", "weight", "volume", "money", "rating", "rich_text_field"].includes(type);
+}
+
+function referenceLabel(node) {
+  if (!node) return "";
+  return node.title || node.displayName || node.image?.url || node.url || "";
+}
+
+function richTextToPlain(node) {
+  if (node.type === "text") {
+    return node.value || "";
+  }
+
+  const text = (node.children || []).map(richTextToPlain).join("");
+
+  // Paragraphs, headings and list items each become their own line
+  return ["paragraph", "heading", "list-item"].includes(node.type) ? `${text}\n` : text;
+}
+
+function safeParse(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Price formatting for labels using the shop's currency settings
+ */
+
+import { SHOP_CURRENCY_QUERY } from "../graphql/shop";
+
+// Used only if the shop has no money format configured
+const FALLBACK_MONEY_FORMAT = "${{amount}}";
+
+const HTML_ENTITIES = {
+  amp: "&",
+  nbsp: " ",
+  euro: "€",
+  pound: "£",
+  yen: "¥",
+  cent: "¢",
+};
+
+/**
+ * Fetch the shop's currency code and money format
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @returns {Promise<{currencyCode: string, moneyFormat: string}>}
+ */
+export async function fetchShopCurrency(admin) {
+  const response = await admin.graphql(SHOP_CURRENCY_QUERY);
+  const data = await response.json();
+
+  return {
+    currencyCode: data.data.shop.currencyCode,
+    moneyFormat: data.data.shop.currencyFormats?.moneyFormat || FALLBACK_MONEY_FORMAT,
+  };
+}
+
+/**
+ * Check that a locale override (e.g. "fr-CA") is one Intl can format with
+ * @param {string} locale - BCP 47 language tag
+ * @returns {boolean}
+ */
+export function isSupportedLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a function that formats decimal price strings for labels
+ *
+ * Without a locale the shop's own money format is used, so the symbol,
+ * separators and symbol placement match the storefront. A locale override
+ * formats with Intl instead (e.g. "de-DE" → "1.234,50 €").
+ *
+ * @param {Object} settings
+ * @param {string} settings.currencyCode - ISO 4217 code from the shop
+ * @param {string} settings.moneyFormat - Shopify money format string
+ * @param {string|null} [settings.locale] - Optional locale override from the export template
+ * @returns {(amount: string|null) => string}
+ */
+export function createPriceFormatter({ currencyCode, moneyFormat, locale }) {
+  if (locale && isSupportedLocale(locale)) {
+    const intlFormat = new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: currencyCode,
+    });
+    return (amount) => intlFormat.format(Number(amount || 0));
+  }
+
+  const template = decodeEntities(
+    (moneyFormat || FALLBACK_MONEY_FORMAT).replace(/<[^>]*>/g, "")
+  );
+
+  return (amount) => formatWithMoneyFormat(amount, template);
+}
+
+/**
+ * Apply a Shopify money format ("{{amount_with_comma_separator}} €") to an amount
+ */
+function formatWithMoneyFormat(amount, template) {
+  const value = Number(amount || 0);
+
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/, (placeholder, name) => {
+    switch (name) {
+      case "amount":
+        return formatWithDelimiters(value, 2, ",", ".");
+      case "amount_no_decimals":
+        return formatWithDelimiters(value, 0, ",", ".");
+      case "amount_with_comma_separator":
+        return formatWithDelimiters(value, 2, ".", ",");
+      case "amount_no_decimals_with_comma_separator":
+        return formatWithDelimiters(value, 0, ".", ",");
+      case "amount_with_apostrophe_separator":
+        return formatWithDelimiters(value, 2, "'", ".");
+      case "amount_no_decimals_with_space_separator":
+        return formatWithDelimiters(value, 0, " ", ",");
+      case "amount_with_space_separator":
+        return formatWithDelimiters(value, 2, " ", ",");
+      case "amount_with_period_and_space_separator":
+        return formatWithDelimiters(value, 2, " ", ".");
+      default:
+        return placeholder;
+    }
+  });
+}
+
+function formatWithDelimiters(value, precision, thousands, decimal) {
+  const [whole, fraction] = Math.abs(value).toFixed(precision).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+  const sign = value < 0 ? "-" : "";
+
+  return fraction ? `${sign}${grouped}${decimal}${fraction}` : `${sign}${grouped}`;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&(\w+);/g, (entity, name) => HTML_ENTITIES[name] ?? entity);
+}
+
+/**
+ * Whether a variant is on sale (compare-at price above the selling price)
+ * @param {string} price - Decimal price string
+ * @param {string|null} compareAtPrice - Decimal compare-at price string
+ * @returns {boolean}
+ */
+export function isOnSale(price, compareAtPrice) {
+  return Boolean(compareAtPrice) && Number(compareAtPrice) > Number(price);
+}
+
+/**
+ * Whole-number percentage saved against the compare-at price
+ * @param {string} price - Decimal price string
+ * @param {string|null} compareAtPrice - Decimal compare-at price string
+ * @returns {number|null} - e.g. 25 for 25% off, or null if not on sale
+ */
+export function percentOff(price, compareAtPrice) {
+  if (!isOnSale(price, compareAtPrice)) {
+    return null;
+  }
+
+  return Math.round((1 - Number(price) / Number(compareAtPrice)) * 100);
+}
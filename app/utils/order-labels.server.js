@@ -0,0 +1,139 @@
+/**
+ * Labels for the items on orders
+ *
+ * Looks up one order (by name or ID) or the orders placed in a date range and
+ * turns their line items into label batch items: one label per unit ordered.
+ *
+ * Without the read_all_orders permission (which Shopify has to approve) apps
+ * only see orders from the last 60 days, so older ones can't be labelled.
+ */
+
+import { ORDER_LINE_ITEMS_QUERY, ORDER_MORE_LINE_ITEMS_QUERY } from "../graphql/orders";
+import { MAX_LABELS_PER_VARIANT } from "./export";
+import { dateRangeTerms, parseSearchDate, quoteSearchValue } from "./product-search";
+import { waitForThrottle } from "./throttle";
+
+// Orders read for one date range (10 per request - with their line items, larger
+// pages go over Shopify's query cost limit)
+const MAX_ORDERS = 250;
+const ORDERS_PAGE_SIZE = 10;
+
+// Days of orders the app can read (read_all_orders isn't requested)
+const ORDER_HISTORY_DAYS = 60;
+
+/**
+ * Read the order lookup from the export page form
+ * @param {FormData} formData - With orderMode, and order or ordersFrom/ordersTo
+ * @returns {string} - Shopify order search query
+ * @throws {Error} - If the order or dates are missing or invalid
+ */
+export function parseOrderLookup(formData) {
+  if (formData.get("orderMode") === "dateRange") {
+    const from = parseSearchDate(formData.get("ordersFrom"));
+    const to = parseSearchDate(formData.get("ordersTo"));
+    if (!from && !to) {
+      throw new Error("Enter the first and/or last day of the orders to label");
+    }
+    if (from && to && from > to) {
+      throw new Error("The first day is after the last day");
+    }
+    const oldest = new Date(Date.now() - ORDER_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if ((to || from) < oldest) {
+      throw new Error(`Only orders from the last ${ORDER_HISTORY_DAYS} days can be labelled`);
+    }
+    return dateRangeTerms("created_at", from, to).join(" AND ");
+  }
+
+  const order = String(formData.get("order") || "").trim().substring(0, 100);
+  if (!order) {
+    throw new Error("Enter an order number (e.g. #1001) or order ID");
+  }
+
+  // Order IDs are long numbers or GIDs; anything else is taken as the order name
+  const id = order.match(/^(?:gid:\/\/shopify\/Order\/)?(\d{10,})$/);
+  return id ? `id:${id[1]}` : `name:${quoteSearchValue(order)}`;
+}
+
+/**
+ * Collect the variants and quantities on the matching orders
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} query - From parseOrderLookup
+ * @returns {Promise<{
+ *   orderNames: string[],
+ *   items: Array<{variantId: string, quantity: number}>,
+ *   skippedLines: number
+ * }>} - Quantities are added up per variant; skippedLines counts line items
+ *   without a variant (custom items or deleted products)
+ * @throws {Error} - If no orders match or there are too many
+ */
+export async function fetchOrderLineItems(admin, query) {
+  const orderNames = [];
+  const quantities = new Map();
+  let skippedLines = 0;
+  let after = null;
+
+  do {
+    const response = await admin.graphql(ORDER_LINE_ITEMS_QUERY, {
+      variables: { first: ORDERS_PAGE_SIZE, after, query },
+    });
+    const data = await response.json();
+    if (data.errors?.length) {
+      throw new Error(data.errors[0].message);
+    }
+    const { nodes, pageInfo } = data.data.orders;
+
+    if (pageInfo.hasNextPage && orderNames.length + nodes.length >= MAX_ORDERS) {
+      throw new Error(`More than ${MAX_ORDERS} orders match - choose fewer days`);
+    }
+
+    for (const order of nodes) {
+      orderNames.push(order.name);
+
+      let lineItems = order.lineItems;
+      for (;;) {
+        lineItems.nodes.forEach((line) => {
+          if (!line.variant || line.quantity <= 0) {
+            skippedLines++;
+            return;
+          }
+          quantities.set(line.variant.id, (quantities.get(line.variant.id) || 0) + line.quantity);
+        });
+
+        if (!lineItems.pageInfo.hasNextPage) break;
+        lineItems = await fetchMoreLineItems(admin, order.id, lineItems.pageInfo.endCursor);
+      }
+    }
+
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    await waitForThrottle(data.extensions);
+  } while (after);
+
+  if (orderNames.length === 0) {
+    throw new Error("No orders found. Orders older than 60 days need the read_all_orders permission.");
+  }
+
+  return {
+    orderNames,
+    items: [...quantities].map(([variantId, quantity]) => ({
+      variantId,
+      quantity: Math.min(quantity, MAX_LABELS_PER_VARIANT),
+    })),
+    skippedLines,
+  };
+}
+
+/**
+ * Read the next page of an order's line items
+ */
+async function fetchMoreLineItems(admin, orderId, after) {
+  const response = await admin.graphql(ORDER_MORE_LINE_ITEMS_QUERY, {
+    variables: { id: orderId, after },
+  });
+  const data = await response.json();
+  if (data.errors?.length) {
+    throw new Error(data.errors[0].message);
+  }
+
+  await waitForThrottle(data.extensions);
+  return data.data.order.lineItems;
+}
@@ -0,0 +1,246 @@
+/**
+ * Print-ready PDF label sheets
+ *
+ * Draws one label per export row onto Avery sheets or single-label roll pages,
+ * with the product name, variant, price and a rendered barcode.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import bwipjs from "bwip-js";
+import { DEFAULT_LABEL_LAYOUT, LABEL_LAYOUTS, labelsPerPage } from "./label-layouts";
+import { resolveSymbology } from "./barcode";
+
+const POINTS_PER_INCH = 72;
+
+const TEXT_COLOR = rgb(0, 0, 0);
+
+/**
+ * Build a PDF with one label per row
+ * @param {Array<Object>} rows - Rows from buildLabelRows
+ * @param {Object} options - PDF options stored on the download token
+ * @param {string} options.layout - Key of LABEL_LAYOUTS
+ * @param {string} options.symbology - Key of BARCODE_SYMBOLOGIES
+ * @param {number} options.skipLabels - Labels to leave blank at the start of the first sheet
+ * @param {string} options.labelMode - "sale" adds the compare-at price and percent off
+ * @returns {Promise<Uint8Array>} - PDF file contents
+ */
+export async function buildLabelPdf(rows, options = {}) {
+  const layout = LABEL_LAYOUTS[options.layout] || LABEL_LAYOUTS[DEFAULT_LABEL_LAYOUT];
+  const perPage = labelsPerPage(layout);
+  const skipLabels = Math.min(Math.max(options.skipLabels || 0, 0), perPage - 1);
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle("Labels");
+
+  const fonts = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+  };
+
+  // Rows repeat once per label, so render and embed each barcode only once
+  const barcodeImages = new Map();
+
+  let page = null;
+
+  for (let i = 0; i < rows.length; i++) {
+    const position = (i + skipLabels) % perPage;
+
+    if (!page || position === 0) {
+      page = pdf.addPage([
+        layout.pageWidth * POINTS_PER_INCH,
+        layout.pageHeight * POINTS_PER_INCH,
+      ]);
+    }
+
+    const row = rows[i];
+    const imageKey = `${options.symbology}:${row.barcode}`;
+
+    if (row.barcode && !barcodeImages.has(imageKey)) {
+      const png = await renderBarcodePng(row.barcode, options.symbology);
+      barcodeImages.set(imageKey, png ? await pdf.embedPng(png) : null);
+    }
+
+    // Label box in PDF coordinates (origin is bottom-left)
+    const column = position % layout.columns;
+    const rowIndex = Math.floor(position / layout.columns);
+    const box = {
+      x: (layout.marginLeft + column * layout.pitchX) * POINTS_PER_INCH,
+      y: (layout.pageHeight - layout.marginTop - rowIndex * layout.pitchY - layout.labelHeight)
+        * POINTS_PER_INCH,
+      width: layout.labelWidth * POINTS_PER_INCH,
+      height: layout.labelHeight * POINTS_PER_INCH,
+    };
+
+    drawLabel(page, row, box, fonts, barcodeImages.get(imageKey), options.labelMode === "sale");
+  }
+
+  // Every selected variant was deleted - still return a valid (blank) PDF
+  if (pdf.getPageCount() === 0) {
+    pdf.addPage([layout.pageWidth * POINTS_PER_INCH, layout.pageHeight * POINTS_PER_INCH]);
+  }
+
+  return pdf.save();
+}
+
+/**
+ * Draw a single label: product name, variant and price, then the barcode
+ * Sale labels add a struck-through compare-at price and the percent saved
+ */
+function drawLabel(page, row, box, fonts, barcodeImage, saleLabels) {
+  const padding = Math.max(Math.min(box.width, box.height) * 0.06, 3);
+  const innerWidth = box.width - padding * 2;
+  const fontSize = Math.min(Math.max(box.height * 0.12, 5), 11);
+  const lineHeight = fontSize * 1.2;
+
+  let cursorY = box.y + box.height - padding - fontSize;
+
+  // Line 1: product name
+  page.drawText(fitText(row.productTitle, fonts.bold, fontSize, innerWidth), {
+    x: box.x + padding,
+    y: cursorY,
+    size: fontSize,
+    font: fonts.bold,
+    color: TEXT_COLOR,
+  });
+
+  // Line 2: variant title on the left, price on the right
+  cursorY -= lineHeight;
+  const price = fitText(row.formattedPrice, fonts.bold, fontSize, innerWidth / 2);
+  const priceWidth = fonts.bold.widthOfTextAtSize(price, fontSize);
+
+  if (row.variantTitle && row.variantTitle !== "Default Title") {
+    page.drawText(
+      fitText(row.variantTitle, fonts.regular, fontSize, innerWidth - priceWidth - padding),
+      {
+        x: box.x + padding,
+        y: cursorY,
+        size: fontSize,
+        font: fonts.regular,
+        color: TEXT_COLOR,
+      }
+    );
+  }
+
+  page.drawText(price, {
+    x: box.x + box.width - padding - priceWidth,
+    y: cursorY,
+    size: fontSize,
+    font: fonts.bold,
+    color: TEXT_COLOR,
+  });
+
+  // Line 3 (sale labels only): was-price struck through, then percent off
+  if (saleLabels && row.percentOff) {
+    cursorY -= lineHeight;
+    const wasPrice = fitText(row.formattedCompareAtPrice, fonts.regular, fontSize, innerWidth / 2);
+    const wasWidth = fonts.regular.widthOfTextAtSize(wasPrice, fontSize);
+
+    page.drawText(wasPrice, {
+      x: box.x + padding,
+      y: cursorY,
+      size: fontSize,
+      font: fonts.regular,
+      color: TEXT_COLOR,
+    });
+    page.drawLine({
+      start: { x: box.x + padding, y: cursorY + fontSize * 0.3 },
+      end: { x: box.x + padding + wasWidth, y: cursorY + fontSize * 0.3 },
+      thickness: Math.max(fontSize * 0.08, 0.5),
+      color: TEXT_COLOR,
+    });
+
+    const saving = `Save ${row.percentOff}%`;
+    page.drawText(saving, {
+      x: box.x + box.width - padding - fonts.bold.widthOfTextAtSize(saving, fontSize),
+      y: cursorY,
+      size: fontSize,
+      font: fonts.bold,
+      color: TEXT_COLOR,
+    });
+  }
+
+  // Remaining space below the text is for the barcode
+  const barcodeTop = cursorY - fontSize * 0.4;
+  const barcodeHeight = barcodeTop - (box.y + padding);
+
+  if (barcodeImage && barcodeHeight > 0) {
+    // Scale to fit while keeping the aspect ratio so bar widths stay proportional
+    const scale = Math.min(innerWidth / barcodeImage.width, barcodeHeight / barcodeImage.height);
+    const width = barcodeImage.width * scale;
+    const height = barcodeImage.height * scale;
+
+    page.drawImage(barcodeImage, {
+      x: box.x + (box.width - width) / 2,
+      y: box.y + padding + (barcodeHeight - height) / 2,
+      width,
+      height,
+    });
+  } else if (row.barcode) {
+    // Barcode couldn't be rendered (e.g. unsupported characters) - print it as text
+    page.drawText(fitText(row.barcode, fonts.regular, fontSize, innerWidth), {
+      x: box.x + padding,
+      y: box.y + padding,
+      size: fontSize,
+      font: fonts.regular,
+      color: TEXT_COLOR,
+    });
+  }
+}
+
+/**
+ * Render a barcode to PNG
+ * @returns {Promise<Buffer|null>} - PNG data, or null if the value can't be encoded
+ */
+async function renderBarcodePng(barcode, symbology) {
+  // bwip-js encoder names match our symbology keys
+  const { symbology: bcid, text } = resolveSymbology(barcode, symbology);
+
+  try {
+    return await bwipjs.toBuffer({
+      bcid,
+      text,
+      scale: 3,
+      height: 10, // mm - scaled to the label afterwards
+      includetext: true,
+      textxalign: "center",
+      paddingwidth: 10, // quiet zone
+    });
+  } catch (error) {
+    console.error(`Unable to render ${bcid} barcode "${barcode}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Replace characters the standard PDF fonts can't encode and truncate to fit
+ * @param {string} text - Text to draw
+ * @param {Object} font - Embedded pdf-lib font
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Available width in points
+ * @returns {string}
+ */
+function fitText(text, font, size, maxWidth) {
+  const charset = getCharacterSet(font);
+  let result = Array.from(text || "")
+    .map((char) => (charset.has(char.codePointAt(0)) ? char : "?"))
+    .join("");
+
+  if (font.widthOfTextAtSize(result, size) <= maxWidth) {
+    return result;
+  }
+
+  while (result.length > 0 && font.widthOfTextAtSize(`${result}…`, size) > maxWidth) {
+    result = result.slice(0, -1);
+  }
+
+  return result.length > 0 ? `${result.trimEnd()}…` : "";
+}
+
+const characterSets = new WeakMap();
+
+function getCharacterSet(font) {
+  if (!characterSets.has(font)) {
+    characterSets.set(font, new Set(font.getCharacterSet()));
+  }
+  return characterSets.get(font);
+}
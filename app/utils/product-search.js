@@ -0,0 +1,238 @@
+/**
+ * Product filters shared by the export page loader and catalog-wide actions
+ */
+
+import { isOnSale } from "./money";
+
+/**
+ * Structured filters on the export page, by URL parameter
+ * (values are quoted or validated before they go into the search query)
+ */
+export const STRUCTURED_FILTERS = [
+  "collection",
+  "productType",
+  "vendor",
+  "tag",
+  "createdFrom",
+  "createdTo",
+  "updatedFrom",
+  "updatedTo",
+  "inventoryBelow",
+  "inventoryAbove",
+  "missingBarcode",
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_FILTER_VALUE_LENGTH = 255;
+
+/**
+ * Quote a value for a Shopify search query so it is matched as one literal term
+ * @param {string} value - Untrusted text, e.g. from a file or a form
+ * @returns {string} - The value in double quotes with quotes and backslashes escaped
+ */
+export function quoteSearchValue(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Read the export page filters and build the Shopify product search query
+ * @param {URLSearchParams|FormData} params - Loader URL params or a submitted form
+ * @returns {{
+ *   searchQuery: string,
+ *   validStatuses: string[],
+ *   onSaleOnly: boolean,
+ *   filters: Object<string, string|boolean>,
+ *   variantFilters: {onSaleOnly: boolean, missingBarcode: boolean,
+ *     inventoryBelow: number|null, inventoryAbove: number|null},
+ *   graphqlQuery: string
+ * }} - filters holds the valid structured filters (see STRUCTURED_FILTERS); variantFilters
+ *   are checked per variant with matchesVariantFilters
+ */
+export function parseProductFilters(params) {
+  const searchQuery = params.get("search") || "";
+  const statusFilter = params.get("status") || "active"; // default to active
+  const onSaleOnly = params.get("onSale") === "true";
+
+  // Parse status filter (can be: "active", "draft", or "active,draft")
+  // Sanitize to only allow valid statuses
+  const statuses = statusFilter
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(s => s === 'active' || s === 'draft')
+    .map(s => s.toUpperCase());
+
+  // Ensure at least one status is selected (default to ACTIVE if invalid)
+  const validStatuses = statuses.length > 0 ? statuses : ['ACTIVE'];
+
+  // Sanitize and validate search input
+  let sanitizedQuery = "";
+  if (searchQuery) {
+    // Limit length to prevent DoS
+    const trimmedQuery = searchQuery.trim().substring(0, 100);
+
+    // Sanitize: escape special GraphQL query characters
+    // Remove characters that could be used for query injection: *, ", :, OR, AND, NOT, parentheses
+    sanitizedQuery = trimmedQuery
+      .replace(/[*"():]/g, '') // Remove special query operators
+      .replace(/\b(OR|AND|NOT)\b/gi, '') // Remove boolean operators
+      .trim();
+  }
+
+  // Build GraphQL query string for Shopify product search
+  const queryParts = [];
+
+  // Add search conditions
+  if (sanitizedQuery) {
+    queryParts.push(
+      `title:*${sanitizedQuery}* OR sku:*${sanitizedQuery}* OR barcode:*${sanitizedQuery}* OR vendor:*${sanitizedQuery}*`
+    );
+  }
+
+  // Add status filter
+  // Build: "status:ACTIVE OR status:DRAFT"
+  if (validStatuses.length > 0) {
+    const statusQuery = validStatuses.map(s => `status:${s}`).join(' OR ');
+    queryParts.push(`(${statusQuery})`);
+  }
+
+  // Add structured filters
+  const filters = parseStructuredFilters(params);
+  queryParts.push(...structuredFilterQuery(filters));
+
+  // Combine with AND
+  let graphqlQuery = "";
+  if (queryParts.length > 0) {
+    graphqlQuery = queryParts.join(' AND ');
+  }
+
+  const variantFilters = {
+    onSaleOnly,
+    missingBarcode: filters.missingBarcode,
+    inventoryBelow: filters.inventoryBelow === "" ? null : Number(filters.inventoryBelow),
+    inventoryAbove: filters.inventoryAbove === "" ? null : Number(filters.inventoryAbove),
+  };
+
+  return { searchQuery, validStatuses, onSaleOnly, filters, variantFilters, graphqlQuery };
+}
+
+/**
+ * Read the structured filters, dropping values that aren't valid
+ * @param {URLSearchParams|FormData} params
+ * @returns {Object<string, string|boolean>} - Strings ("" when unset), missingBarcode is a boolean
+ */
+function parseStructuredFilters(params) {
+  const text = (name) => String(params.get(name) || "").trim().substring(0, MAX_FILTER_VALUE_LENGTH);
+  const date = (name) => parseSearchDate(params.get(name));
+  const count = (name) => (/^\d{1,9}$/.test(text(name)) ? String(Number(text(name))) : "");
+
+  // Collections are picked from a list of GIDs; plain IDs work too
+  const collection = text("collection").match(/^(?:gid:\/\/shopify\/Collection\/)?(\d+)$/);
+
+  return {
+    collection: collection ? `gid://shopify/Collection/${collection[1]}` : "",
+    productType: text("productType"),
+    vendor: text("vendor"),
+    tag: text("tag"),
+    createdFrom: date("createdFrom"),
+    createdTo: date("createdTo"),
+    updatedFrom: date("updatedFrom"),
+    updatedTo: date("updatedTo"),
+    inventoryBelow: count("inventoryBelow"),
+    inventoryAbove: count("inventoryAbove"),
+    missingBarcode: params.get("missingBarcode") === "true",
+  };
+}
+
+/**
+ * Search query terms for the structured filters
+ * @returns {string[]} - Terms to combine with AND
+ */
+function structuredFilterQuery(filters) {
+  const terms = [];
+
+  if (filters.collection) {
+    terms.push(`collection_id:${filters.collection.split("/").pop()}`);
+  }
+  if (filters.productType) {
+    terms.push(`product_type:${quoteSearchValue(filters.productType)}`);
+  }
+  if (filters.vendor) {
+    terms.push(`vendor:${quoteSearchValue(filters.vendor)}`);
+  }
+  if (filters.tag) {
+    terms.push(`tag:${quoteSearchValue(filters.tag)}`);
+  }
+
+  terms.push(...dateRangeTerms("created_at", filters.createdFrom, filters.createdTo));
+  terms.push(...dateRangeTerms("updated_at", filters.updatedFrom, filters.updatedTo));
+
+  // Labels are per variant, so inventory is checked per variant (matchesVariantFilters).
+  // A product with a variant above the threshold has a total above it too, so the
+  // search can already skip the rest; "below" can't be narrowed down the same way.
+  if (filters.inventoryAbove !== "") {
+    terms.push(`inventory_total:>${filters.inventoryAbove}`);
+  }
+
+  return terms;
+}
+
+/**
+ * Read a date from a date input
+ * @param {string|File|null} value - Submitted value
+ * @returns {string} - The date as YYYY-MM-DD, or "" if it isn't a valid date
+ */
+export function parseSearchDate(value) {
+  const date = String(value || "").trim();
+  return DATE_PATTERN.test(date) && !isNaN(Date.parse(date)) ? date : "";
+}
+
+/**
+ * Search terms for a date range; the "to" date includes the whole day
+ * @param {string} field - Search field, e.g. "created_at"
+ * @param {string} from - From parseSearchDate ("" for no lower bound)
+ * @param {string} to - From parseSearchDate ("" for no upper bound)
+ * @returns {string[]} - Terms to combine with AND
+ */
+export function dateRangeTerms(field, from, to) {
+  const terms = [];
+  if (from) terms.push(`${field}:>=${from}`);
+  if (to) terms.push(`${field}:<${nextDay(to)}`);
+  return terms;
+}
+
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Check the filters Shopify's product search can't apply to single variants
+ * @param {{price: string, compareAtPrice: string|null, barcode: string|null,
+ *   inventoryQuantity: number|null}} variant
+ * @param {Object} variantFilters - variantFilters from parseProductFilters
+ * @returns {boolean}
+ */
+export function matchesVariantFilters(variant, { onSaleOnly, missingBarcode, inventoryBelow, inventoryAbove }) {
+  const inventory = variant.inventoryQuantity || 0;
+
+  return (!onSaleOnly || isOnSale(variant.price, variant.compareAtPrice))
+    && (!missingBarcode || !variant.barcode)
+    && (inventoryBelow === null || inventory < inventoryBelow)
+    && (inventoryAbove === null || inventory > inventoryAbove);
+}
+
+/**
+ * Add the structured filters that are set to loader params
+ * @param {URLSearchParams|FormData} params - Params to add to
+ * @param {Object<string, string|boolean>} filters - As returned in parseProductFilters().filters
+ */
+export function appendStructuredFilters(params, filters) {
+  STRUCTURED_FILTERS.forEach((name) => {
+    if (name === "missingBarcode") {
+      if (filters.missingBarcode) params.set(name, "true");
+    } else if (filters[name]) {
+      params.set(name, filters[name]);
+    }
+  });
+}
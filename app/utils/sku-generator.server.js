@@ -0,0 +1,173 @@
+/**
+ * SKU generation from the shop's pattern
+ *
+ * Works like barcode generation: variants are grouped per product and saved
+ * with one productVariantsBulkUpdate call per product. Every SKU is checked
+ * against the catalog first; patterns with {seq} move on to the next number
+ * when a SKU is taken.
+ */
+
+import db from "../db.server";
+import { VARIANTS_BY_SKU_QUERY } from "../graphql/products";
+import { quoteSearchValue } from "./product-search";
+import { DEFAULT_SKU_PATTERN, renderSku, skuTokenValues, usesSequence } from "./sku";
+import { waitForThrottle } from "./throttle";
+import { fetchVariantsByIds, saveVariantUpdates } from "./variants";
+
+// Sequence numbers tried for one variant before giving up
+const MAX_SKIPPED_SEQUENCES = 50;
+
+/**
+ * Read the shop's SKU settings
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{pattern: string, nextSequence: number}>}
+ */
+export async function getSkuSettings(shop) {
+  const settings = await db.skuSettings.findUnique({ where: { shop } });
+  return {
+    pattern: settings?.pattern || DEFAULT_SKU_PATTERN,
+    nextSequence: settings?.nextSequence ?? 1,
+  };
+}
+
+/**
+ * Reserve the next sequence number
+ * The increment is atomic, so concurrent runs never get the same number
+ * @returns {Promise<number>}
+ */
+async function reserveSequence(shop) {
+  const settings = await db.skuSettings.upsert({
+    where: { shop },
+    create: { shop, nextSequence: 2 },
+    update: { nextSequence: { increment: 1 } },
+  });
+  return settings.nextSequence - 1;
+}
+
+/**
+ * Check whether another variant already uses a SKU
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} sku - SKU to look for
+ * @param {string} variantId - Variant the SKU is for (its own SKU doesn't count)
+ * @returns {Promise<boolean>}
+ */
+export async function checkSkuExists(admin, sku, variantId) {
+  const response = await admin.graphql(VARIANTS_BY_SKU_QUERY, {
+    variables: { first: 10, query: `sku:${quoteSearchValue(sku)}` },
+  });
+  const data = await response.json();
+
+  // Search matches loosely - only an exact (case-insensitive) match is a clash
+  return data.data.productVariants.nodes.some(
+    (variant) => variant.id !== variantId && (variant.sku || "").toLowerCase() === sku.toLowerCase()
+  );
+}
+
+/**
+ * Generate SKUs for the given variants
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {string[]} variantIds - Variant GIDs (at most MAX_BULK_BARCODE_VARIANTS)
+ * @param {Object} [options]
+ * @param {boolean} [options.replaceExisting] - Also replace SKUs that are already set
+ *   (default: only variants without a SKU get one)
+ * @returns {Promise<{
+ *   updated: Array<{variantId: string, sku: string}>,
+ *   failed: Array<{variantId: string, displayName: string, message: string}>,
+ *   skipped: number
+ * }>} - skipped counts variants that were deleted or already have a SKU
+ */
+export async function assignSkus(admin, shop, variantIds, { replaceExisting = false } = {}) {
+  const { pattern } = await getSkuSettings(shop);
+  const variantsById = await fetchVariantsByIds(admin, variantIds);
+
+  // Group by product - productVariantsBulkUpdate takes one product at a time
+  const variantsByProduct = new Map();
+  variantIds.forEach((id) => {
+    const variant = variantsById.get(id);
+    if (!variant || (variant.sku && !replaceExisting)) return;
+
+    const group = variantsByProduct.get(variant.product.id) || [];
+    group.push(variant);
+    variantsByProduct.set(variant.product.id, group);
+  });
+
+  const result = { updated: [], failed: [], skipped: 0 };
+  result.skipped = variantIds.length -
+    [...variantsByProduct.values()].reduce((sum, group) => sum + group.length, 0);
+
+  // SKUs handed out in this run aren't searchable in Shopify yet
+  const usedInRun = new Set();
+
+  for (const [productId, variants] of variantsByProduct) {
+    const assignments = [];
+
+    for (const variant of variants) {
+      try {
+        const sku = await generateSku(admin, shop, pattern, variant, usedInRun);
+        usedInRun.add(sku.toLowerCase());
+        assignments.push({ variant, sku });
+      } catch (error) {
+        result.failed.push({ variantId: variant.id, displayName: variant.displayName, message: error.message });
+      }
+    }
+
+    if (assignments.length === 0) continue;
+
+    const { errors, extensions } = await saveVariantUpdates(
+      admin,
+      productId,
+      assignments.map(({ variant, sku }) => ({ id: variant.id, sku }))
+    );
+
+    assignments.forEach(({ variant, sku }) => {
+      if (errors.has(variant.id)) {
+        result.failed.push({
+          variantId: variant.id,
+          displayName: variant.displayName,
+          message: errors.get(variant.id),
+        });
+      } else {
+        result.updated.push({ variantId: variant.id, sku });
+      }
+    });
+
+    await waitForThrottle(extensions);
+  }
+
+  return result;
+}
+
+/**
+ * Build a SKU for one variant that no other variant uses
+ * @throws {Error} - If the pattern gives an empty or taken SKU
+ */
+async function generateSku(admin, shop, pattern, variant, usedInRun) {
+  const values = skuTokenValues(variant);
+  const isTaken = async (sku) =>
+    usedInRun.has(sku.toLowerCase()) || (await checkSkuExists(admin, sku, variant.id));
+
+  if (!usesSequence(pattern)) {
+    const sku = renderSku(pattern, values);
+    if (!sku) {
+      throw new Error("The SKU pattern gives an empty SKU for this variant");
+    }
+    if (await isTaken(sku)) {
+      throw new Error(`SKU ${sku} is already used. Add {seq} to the pattern in Settings to keep SKUs unique.`);
+    }
+    return sku;
+  }
+
+  for (let skipped = 0; skipped < MAX_SKIPPED_SEQUENCES; skipped++) {
+    const sku = renderSku(pattern, values, await reserveSequence(shop));
+    if (!(await isTaken(sku))) {
+      return sku;
+    }
+    console.log(`SKU ${sku} is already used in Shopify - skipping`);
+  }
+
+  throw new Error(
+    `The next ${MAX_SKIPPED_SEQUENCES} SKUs from your pattern are already used. ` +
+      "Move the next sequence number in Settings past your existing SKUs."
+  );
+}
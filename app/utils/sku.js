@@ -0,0 +1,128 @@
+/**
+ * SKU patterns
+ *
+ * A pattern is literal text with tokens in braces, e.g. "{vendor:3}-{handle}-{option1}-{seq:5}".
+ * ":n" shortens a value to n characters, or for {seq} pads it to n digits.
+ */
+
+/**
+ * Tokens that can be used in a pattern
+ */
+export const SKU_TOKENS = {
+  vendor: "Vendor code (letters and digits of the vendor name)",
+  handle: "Product handle",
+  option1: "First option value (e.g. colour)",
+  option2: "Second option value (e.g. size)",
+  option3: "Third option value",
+  seq: "Sequence number, counting up for every SKU generated",
+};
+
+export const DEFAULT_SKU_PATTERN = "{vendor:3}-{seq:5}";
+
+// Shopify allows 255 characters; patterns leave room for long values
+const MAX_PATTERN_LENGTH = 100;
+const MAX_SKU_LENGTH = 255;
+
+const TOKEN_REGEX = /\{(\w+)(?::(\d+))?\}/g;
+
+/**
+ * Validate a pattern from the settings form
+ * @param {string|null} value - Submitted pattern
+ * @returns {string} - The trimmed pattern
+ * @throws {Error} - If the pattern is empty, too long or uses an unknown token
+ */
+export function parseSkuPattern(value) {
+  const pattern = String(value || "").trim();
+
+  if (!pattern) {
+    throw new Error("Enter a SKU pattern");
+  }
+
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`The SKU pattern can be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  const tokens = [...pattern.matchAll(TOKEN_REGEX)];
+  if (tokens.length === 0) {
+    throw new Error("The SKU pattern needs at least one token, e.g. {seq}");
+  }
+
+  const unknown = tokens.find(([, name]) => !Object.hasOwn(SKU_TOKENS, name));
+  if (unknown) {
+    throw new Error(`Unknown token ${unknown[0]}`);
+  }
+
+  // Anything left in braces is a typo like "{seq" or "{seq:x}"
+  if (/[{}]/.test(pattern.replace(TOKEN_REGEX, ""))) {
+    throw new Error("Check the braces in the SKU pattern - tokens look like {vendor} or {seq:5}");
+  }
+
+  return pattern;
+}
+
+/**
+ * Whether SKUs from this pattern differ by a sequence number
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function usesSequence(pattern) {
+  return [...pattern.matchAll(TOKEN_REGEX)].some(([, name]) => name === "seq");
+}
+
+/**
+ * Upper-case a value and replace anything but letters and digits with "-"
+ */
+function cleanTokenValue(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Build a SKU from a pattern
+ * @param {string} pattern - Pattern from parseSkuPattern
+ * @param {{vendor: string, handle: string, options: string[]}} variant - Product vendor and
+ *   handle, and the variant's option values in order
+ * @param {number} [sequence] - Value for {seq}
+ * @returns {string} - The SKU; separators left over from empty tokens are removed
+ */
+export function renderSku(pattern, { vendor, handle, options }, sequence = 0) {
+  const values = {
+    vendor: cleanTokenValue(vendor).replace(/-/g, ""),
+    handle: cleanTokenValue(handle),
+    option1: cleanTokenValue(options[0]),
+    option2: cleanTokenValue(options[1]),
+    option3: cleanTokenValue(options[2]),
+  };
+
+  const sku = pattern.replace(TOKEN_REGEX, (_, name, length) => {
+    if (name === "seq") {
+      return String(sequence).padStart(Number(length || 0), "0");
+    }
+    return length ? values[name].slice(0, Number(length)).replace(/-+$/, "") : values[name];
+  });
+
+  return sku
+    .replace(/([-_./ ])[-_./ ]+/g, "$1")
+    .replace(/^[-_./ ]+|[-_./ ]+$/g, "")
+    .slice(0, MAX_SKU_LENGTH);
+}
+
+/**
+ * Token values for a variant from VARIANTS_BY_ID_QUERY
+ * @param {Object} variant - Variant node with selectedOptions and product { vendor, handle }
+ * @returns {{vendor: string, handle: string, options: string[]}}
+ */
+export function skuTokenValues(variant) {
+  return {
+    vendor: variant.product.vendor || "",
+    handle: variant.product.handle || "",
+    // Single-variant products have a "Title: Default Title" option
+    options: (variant.selectedOptions || [])
+      .filter((option) => option.value !== "Default Title")
+      .map((option) => option.value),
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Staff member behind an admin request, for audit records
+ */
+
+/**
+ * Identify the staff member from an authenticate.admin() context
+ * Offline sessions carry no user, so the ID comes from the session token (`sub`).
+ * The name is only available when the app uses online sessions.
+ * @param {{session: Object, sessionToken?: Object}} context - Result of authenticate.admin
+ * @returns {{staffUserId: string|null, staffName: string|null}}
+ */
+export function getStaffUser({ session, sessionToken }) {
+  const user = session.onlineAccessInfo?.associated_user;
+
+  const staffUserId = sessionToken?.sub || (user?.id ? String(user.id) : null);
+  const staffName = user
+    ? [user.first_name, user.last_name].filter(Boolean).join(" ") || user.email || null
+    : null;
+
+  return { staffUserId, staffName };
+}
+
+/**
+ * Label for a staff member in history tables
+ * @param {{staffUserId: string|null, staffName: string|null}} record
+ * @returns {string}
+ */
+export function staffLabel({ staffUserId, staffName }) {
+  if (staffName) return staffName;
+  return staffUserId ? `Staff #${staffUserId}` : "Unknown";
+}
@@ -0,0 +1,107 @@
+/**
+ * Supplier spreadsheet import - column mapping and barcode clean-up
+ * shared by the import page and its server actions
+ */
+
+import { hasValidCheckDigit } from "./barcode";
+
+// Rows read from one file (a header row plus this many)
+export const MAX_IMPORT_ROWS = 5000;
+
+// Largest upload accepted
+export const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * How rows are matched to variants
+ */
+export const IMPORT_MATCH_MODES = {
+  sku: "SKU",
+  title: "Product title + variant title",
+};
+
+/**
+ * Columns the staff member maps, with header names that are picked automatically
+ * (compared in lower case without spaces or punctuation)
+ */
+export const IMPORT_COLUMNS = {
+  sku: {
+    label: "SKU",
+    hints: ["sku", "itemcode", "itemnumber", "articlenumber", "artno", "partnumber", "productcode", "ref", "reference"],
+  },
+  productTitle: {
+    label: "Product title",
+    hints: ["producttitle", "product", "title", "productname", "name"],
+  },
+  variantTitle: {
+    label: "Variant title",
+    hints: ["varianttitle", "variant", "option", "options", "size", "colour", "color"],
+  },
+  barcode: {
+    label: "Barcode (EAN/UPC)",
+    hints: ["barcode", "ean", "ean13", "upc", "gtin", "gtin13", "eancode"],
+  },
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Guess the column mapping from the file's header row
+ * @param {string[]} headers - Header row as read from the file
+ * @returns {{matchBy: string, columns: Object<string, number|null>}} - Column index per
+ *   IMPORT_COLUMNS key (null when no header looks right)
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+
+  const columns = {};
+  Object.entries(IMPORT_COLUMNS).forEach(([key, { hints }]) => {
+    // Earlier hints are better matches, so try them in order
+    const hint = hints.find((h) => normalized.some((name, index) => name === h && !used.has(index)));
+    const index = hint ? normalized.findIndex((name, i) => name === hint && !used.has(i)) : -1;
+
+    columns[key] = index >= 0 ? index : null;
+    if (index >= 0) used.add(index);
+  });
+
+  return {
+    matchBy: columns.sku === null && columns.productTitle !== null ? "title" : "sku",
+    columns,
+  };
+}
+
+/**
+ * Clean up a barcode from a supplier file and check it
+ * Spreadsheets store EAN/UPC codes as numbers, which drops leading zeros -
+ * a code that only gets a valid check digit with the zero put back is restored.
+ * @param {string} value - Cell text
+ * @returns {{barcode: string, error: string|null}} - The barcode to save, and why it
+ *   can't be used (null if it can)
+ */
+export function cleanImportedBarcode(value) {
+  let barcode = String(value).trim();
+
+  // "5 012345 000428" as printed under the bars
+  if (/^[\d\s-]+$/.test(barcode)) {
+    barcode = barcode.replace(/[\s-]/g, "");
+  }
+
+  if (!/^\d+$/.test(barcode)) {
+    return { barcode, error: null };
+  }
+
+  if ((barcode.length === 11 || barcode.length === 12) && !hasValidCheckDigit(barcode)
+    && hasValidCheckDigit(`0${barcode}`)) {
+    barcode = `0${barcode}`;
+  }
+
+  if (![8, 12, 13, 14].includes(barcode.length)) {
+    return { barcode, error: `${barcode.length} digits is not an EAN/UPC length` };
+  }
+
+  if (!hasValidCheckDigit(barcode)) {
+    return { barcode, error: "Check digit doesn't match" };
+  }
+
+  return { barcode, error: null };
+}
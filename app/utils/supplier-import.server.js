@@ -0,0 +1,603 @@
+/**
+ * Supplier spreadsheet import
+ *
+ * Reads an XLSX/XLS or CSV/TSV file, matches its rows to variants by SKU or by
+ * product and variant title, and saves the new barcodes and SKUs with one
+ * productVariantsBulkUpdate call per product. Barcode changes are recorded in
+ * the barcode history so an import can be undone.
+ *
+ * Only spreadsheets go through SheetJS, limited to the first sheet and the rows
+ * an import can hold; delimited text is parsed here.
+ */
+
+import * as XLSX from "xlsx";
+import { PRODUCTS_QUERY, VARIANTS_BY_SKU_QUERY } from "../graphql/products";
+import { releaseBarcodes } from "./barcode-allocator.server";
+import { recordBarcodeChanges } from "./barcode-history.server";
+import { MAX_BULK_BARCODE_VARIANTS } from "./bulk-barcodes.server";
+import { VARIANT_GID_PATTERN } from "./export";
+import { quoteSearchValue } from "./product-search";
+import {
+  cleanImportedBarcode,
+  IMPORT_COLUMNS,
+  IMPORT_MATCH_MODES,
+  MAX_IMPORT_FILE_BYTES,
+  MAX_IMPORT_ROWS,
+} from "./supplier-import";
+import { waitForThrottle } from "./throttle";
+import { fetchAllVariants, fetchVariantsByIds, saveVariantUpdates } from "./variants";
+
+// Search terms per lookup query - keeps the query string a reasonable length
+const SKUS_PER_QUERY = 25;
+const TITLES_PER_QUERY = 10;
+
+const MAX_VALUE_LENGTH = 255;
+
+// Columns read from a spreadsheet - supplier lists need a handful
+const MAX_SHEET_COLUMNS = 100;
+
+// First bytes of XLSX (zip) and XLS (OLE) files
+const SPREADSHEET_SIGNATURES = [[0x50, 0x4b], [0xd0, 0xcf, 0x11, 0xe0]];
+
+// Separators recognised in the header row, most likely first
+const DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Read an uploaded spreadsheet (first sheet) or CSV/TSV file
+ * @param {File|null} file - Uploaded file from the form
+ * @returns {Promise<{fileName: string, headers: string[], rows: string[][]}>} - Cell text,
+ *   with the first non-empty row as headers
+ * @throws {Error} - If the file is missing, too large, unreadable or has too many rows or columns
+ */
+export async function readSupplierFile(file) {
+  if (!file || typeof file === "string" || file.size === 0) {
+    throw new Error("Choose a file to import");
+  }
+
+  if (file.size > MAX_IMPORT_FILE_BYTES) {
+    throw new Error(`The file is larger than ${MAX_IMPORT_FILE_BYTES / 1024 / 1024} MB`);
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const isSpreadsheet = SPREADSHEET_SIGNATURES.some((signature) => signature.every((byte, i) => bytes[i] === byte));
+
+  const rows = (isSpreadsheet ? readSheetRows(bytes) : parseDelimitedText(decodeText(bytes)))
+    .map((row) => row.map((cell) => cell.trim()))
+    .filter((row) => row.some((cell) => cell !== ""));
+
+  if (rows.length < 2) {
+    throw new Error("The file needs a header row and at least one row of data");
+  }
+
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has more than ${MAX_IMPORT_ROWS} rows. Split it and import it in parts.`);
+  }
+
+  const width = Math.max(...rows.map((row) => row.length));
+  const headers = Array.from({ length: width }, (_, index) =>
+    rows[0][index] || `Column ${columnLetters(index)}`
+  );
+
+  return {
+    fileName: file.name,
+    headers,
+    rows: rows.slice(1).map((row) => headers.map((_, index) => row[index] ?? "")),
+  };
+}
+
+/**
+ * Cell text of the first sheet of an XLSX or XLS file
+ * Reads no more rows than an import can hold, so a huge sheet isn't loaded whole.
+ */
+function readSheetRows(bytes) {
+  let sheet;
+  try {
+    const workbook = XLSX.read(bytes, {
+      type: "array",
+      sheets: 0,
+      sheetRows: MAX_IMPORT_ROWS + 1,
+      cellFormula: false,
+      cellHTML: false,
+      cellStyles: false,
+      bookVBA: false,
+    });
+    sheet = workbook.Sheets[workbook.SheetNames[0]];
+  } catch (error) {
+    console.error("Supplier file read error:", error);
+    throw new Error("Couldn't read the spreadsheet. Upload an XLSX, XLS or CSV file.");
+  }
+
+  if (!sheet?.["!ref"]) return [];
+
+  // SheetJS sets !fullref when it stopped at sheetRows
+  if (sheet["!fullref"] && sheet["!fullref"] !== sheet["!ref"]) {
+    throw new Error(`The file has more than ${MAX_IMPORT_ROWS} rows. Split it and import it in parts.`);
+  }
+
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  if (range.e.c - range.s.c + 1 > MAX_SHEET_COLUMNS) {
+    throw new Error(`The sheet has more than ${MAX_SHEET_COLUMNS} columns. Remove the ones the import doesn't need.`);
+  }
+
+  return XLSX.utils
+    .sheet_to_json(sheet, { header: 1, raw: true, defval: "", blankrows: false })
+    .map((row) => row.map(cellText));
+}
+
+/**
+ * Text of a spreadsheet cell
+ * Whole numbers are written out in full - EANs would otherwise become 5.01235E+12
+ */
+function cellText(value) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? value.toFixed(0) : String(value);
+  }
+  return String(value ?? "");
+}
+
+/**
+ * Decode the file as UTF-8, or as Windows-1252 (Excel's "CSV" on Windows) if it isn't valid UTF-8
+ */
+function decodeText(bytes) {
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    text = new TextDecoder("windows-1252").decode(bytes);
+  }
+  return text.replace(/^\uFEFF/, "");
+}
+
+/**
+ * Split delimited text into rows of cells (RFC 4180 quoting)
+ * The separator is the one that appears most often in the first line.
+ * Values stay text, so codes like 00123 keep their leading zeros.
+ */
+function parseDelimitedText(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (delimiter) => firstLine.split(delimiter).length;
+  const delimiter = DELIMITERS.reduce((best, candidate) => (count(candidate) > count(best) ? candidate : best));
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Spreadsheet-style column name: A, B, ... Z, AA, AB, ...
+ */
+function columnLetters(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Parse the rows and column mapping sent back for a preview
+ * @param {string} rowsJson - JSON array of rows (arrays of cell text)
+ * @param {string} mappingJson - JSON {matchBy, columns} as built by guessColumnMapping
+ * @returns {{rows: string[][], mapping: {matchBy: string, columns: Object<string, number|null>}}}
+ * @throws {Error} - If the payload is malformed or the mapping is incomplete
+ */
+export function parseImportRequest(rowsJson, mappingJson) {
+  let rows;
+  let mapping;
+  try {
+    rows = JSON.parse(rowsJson);
+    mapping = JSON.parse(mappingJson);
+  } catch {
+    throw new Error("Invalid import data");
+  }
+
+  if (
+    !Array.isArray(rows) ||
+    rows.length > MAX_IMPORT_ROWS ||
+    !rows.every((row) => Array.isArray(row) && row.every((cell) => typeof cell === "string"))
+  ) {
+    throw new Error("Invalid import rows");
+  }
+
+  if (!mapping || !Object.hasOwn(IMPORT_MATCH_MODES, mapping.matchBy)) {
+    throw new Error("Choose how to match rows to variants");
+  }
+
+  const columns = {};
+  Object.keys(IMPORT_COLUMNS).forEach((key) => {
+    const index = mapping.columns?.[key];
+    columns[key] = Number.isInteger(index) && index >= 0 ? index : null;
+  });
+
+  if (mapping.matchBy === "sku" && columns.sku === null) {
+    throw new Error("Choose the SKU column to match by");
+  }
+
+  if (mapping.matchBy === "title" && columns.productTitle === null) {
+    throw new Error("Choose the product title column to match by");
+  }
+
+  // Matching by SKU leaves SKUs as they are, so only the barcode can change
+  if (columns.barcode === null && (mapping.matchBy === "sku" || columns.sku === null)) {
+    throw new Error(
+      mapping.matchBy === "sku"
+        ? "Choose the barcode column to import"
+        : "Choose a barcode or SKU column to import"
+    );
+  }
+
+  return { rows, mapping: { matchBy: mapping.matchBy, columns } };
+}
+
+// Title comparison ignores case and spacing around the "/" between option values
+const normalizeTitle = (title) =>
+  title.toLowerCase().replace(/\s*\/\s*/g, " / ").replace(/\s+/g, " ").trim();
+
+/**
+ * Match import rows to variants and work out what would change
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string[][]} rows - Data rows (without the header row)
+ * @param {{matchBy: string, columns: Object<string, number|null>}} mapping - From parseImportRequest
+ * @returns {Promise<Array<{
+ *   row: number, key: string, status: "update"|"unchanged"|"notFound"|"ambiguous"|"duplicate"|"invalid",
+ *   message: string|null, variantId?: string, productId?: string, displayName?: string,
+ *   currentBarcode?: string|null, newBarcode?: string|null, currentSku?: string|null, newSku?: string|null
+ * }>>} - One entry per row; row is the line number in the file
+ */
+export async function previewSupplierImport(admin, rows, { matchBy, columns }) {
+  const cell = (row, key) => (columns[key] === null ? "" : (row[columns[key]] || "").trim());
+
+  const keyed = rows.map((row, index) => ({
+    // Line 1 is the header row
+    row: index + 2,
+    sku: cell(row, "sku"),
+    productTitle: cell(row, "productTitle"),
+    variantTitle: cell(row, "variantTitle"),
+    barcode: cell(row, "barcode"),
+  }));
+
+  const findMatches = matchBy === "sku"
+    ? await lookupVariantsBySku(admin, keyed.map((r) => r.sku).filter(Boolean))
+    : await lookupVariantsByTitle(admin, keyed.map((r) => r.productTitle).filter(Boolean));
+
+  const rowByVariant = new Map();
+  const rowByBarcode = new Map();
+
+  return keyed.map((r) => {
+    const key = matchBy === "sku"
+      ? r.sku
+      : [r.productTitle, r.variantTitle].filter(Boolean).join(" / ");
+    const entry = { row: r.row, key, status: "invalid", message: null };
+
+    if (matchBy === "sku" ? !r.sku : !r.productTitle) {
+      return { ...entry, message: matchBy === "sku" ? "No SKU in this row" : "No product title in this row" };
+    }
+
+    const matches = findMatches(r);
+    if (matches.length === 0) {
+      return { ...entry, status: "notFound", message: "No matching variant" };
+    }
+    if (matches.length > 1) {
+      return { ...entry, status: "ambiguous", message: `Matches ${matches.length} variants` };
+    }
+
+    const [variant] = matches;
+    Object.assign(entry, {
+      variantId: variant.id,
+      productId: variant.productId,
+      displayName: variant.displayName,
+      currentBarcode: variant.barcode || null,
+      newBarcode: null,
+      currentSku: variant.sku || null,
+      newSku: null,
+    });
+
+    if (rowByVariant.has(variant.id)) {
+      return { ...entry, status: "duplicate", message: `Same variant as row ${rowByVariant.get(variant.id)}` };
+    }
+    rowByVariant.set(variant.id, r.row);
+
+    if (r.barcode) {
+      const { barcode, error } = cleanImportedBarcode(r.barcode);
+      if (error) {
+        return { ...entry, newBarcode: barcode, message: `Barcode ${barcode}: ${error}` };
+      }
+      if (rowByBarcode.has(barcode)) {
+        return { ...entry, newBarcode: barcode, message: `Same barcode as row ${rowByBarcode.get(barcode)}` };
+      }
+      rowByBarcode.set(barcode, r.row);
+      entry.newBarcode = barcode;
+    }
+
+    // In SKU mode the SKU is the match key, so it's already equal
+    if (matchBy === "title" && r.sku) {
+      if (r.sku.length > MAX_VALUE_LENGTH) {
+        return { ...entry, message: "SKU is too long" };
+      }
+      entry.newSku = r.sku;
+    }
+
+    const changes = (entry.newBarcode && entry.newBarcode !== entry.currentBarcode) ||
+      (entry.newSku && entry.newSku !== entry.currentSku);
+
+    return { ...entry, status: changes ? "update" : "unchanged" };
+  });
+}
+
+/**
+ * Look up variants for a list of SKUs
+ * @returns {Promise<(row: {sku: string}) => Object[]>} - Matching variants for a row
+ */
+async function lookupVariantsBySku(admin, skus) {
+  const variantsBySku = new Map();
+  const uniqueSkus = [...new Set(skus.map((sku) => sku.toLowerCase()))];
+
+  for (let i = 0; i < uniqueSkus.length; i += SKUS_PER_QUERY) {
+    const query = uniqueSkus
+      .slice(i, i + SKUS_PER_QUERY)
+      .map((sku) => `sku:${quoteSearchValue(sku)}`)
+      .join(" OR ");
+
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const response = await admin.graphql(VARIANTS_BY_SKU_QUERY, {
+        variables: { first: 250, after, query },
+      });
+      const data = await response.json();
+
+      data.data.productVariants.nodes.forEach((variant) => {
+        // Search matches loosely - keep exact SKU matches only
+        const sku = (variant.sku || "").toLowerCase();
+        if (!sku) return;
+        variantsBySku.set(sku, [...(variantsBySku.get(sku) || []), toMatch(variant, variant.product.id)]);
+      });
+
+      ({ hasNextPage, endCursor: after } = data.data.productVariants.pageInfo);
+      await waitForThrottle(data.extensions);
+    }
+  }
+
+  return (row) => variantsBySku.get(row.sku.toLowerCase()) || [];
+}
+
+/**
+ * Look up products for a list of titles
+ * @returns {Promise<(row: {productTitle: string, variantTitle: string}) => Object[]>} - Matching
+ *   variants for a row
+ */
+async function lookupVariantsByTitle(admin, titles) {
+  const productsByTitle = new Map();
+  const uniqueTitles = [...new Set(titles.map(normalizeTitle))];
+
+  for (let i = 0; i < uniqueTitles.length; i += TITLES_PER_QUERY) {
+    const query = uniqueTitles
+      .slice(i, i + TITLES_PER_QUERY)
+      .map((title) => `title:${quoteSearchValue(title)}`)
+      .join(" OR ");
+
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const response = await admin.graphql(PRODUCTS_QUERY, {
+        variables: { first: 50, after, query },
+      });
+      const data = await response.json();
+
+      for (const { node: product } of data.data.products.edges) {
+        const title = normalizeTitle(product.title);
+        if (!uniqueTitles.includes(title)) continue;
+
+        const { variants } = await fetchAllVariants(admin, product);
+        productsByTitle.set(title, [
+          ...(productsByTitle.get(title) || []),
+          variants.map((variant) => toMatch(variant, product.id)),
+        ]);
+      }
+
+      ({ hasNextPage, endCursor: after } = data.data.products.pageInfo);
+      await waitForThrottle(data.extensions);
+    }
+  }
+
+  return (row) => {
+    const variantTitle = normalizeTitle(row.variantTitle);
+
+    return (productsByTitle.get(normalizeTitle(row.productTitle)) || []).flatMap((variants) => {
+      // No variant title: only a product with a single variant matches
+      if (!variantTitle) {
+        return variants.length === 1 ? variants : [];
+      }
+      return variants.filter((variant) => normalizeTitle(variant.title) === variantTitle);
+    });
+  };
+}
+
+function toMatch(variant, productId) {
+  return {
+    id: variant.id,
+    productId,
+    title: variant.title,
+    sku: variant.sku,
+    barcode: variant.barcode,
+    displayName: variant.displayName,
+  };
+}
+
+/**
+ * Parse one chunk of changes to apply
+ * @param {string} changesJson - JSON array of {variantId, barcode?, sku?}
+ * @returns {Array<{variantId: string, barcode?: string, sku?: string}>}
+ * @throws {Error} - If the payload is malformed or too large
+ */
+export function parseImportChanges(changesJson) {
+  let parsed;
+  try {
+    parsed = JSON.parse(changesJson);
+  } catch {
+    throw new Error("Invalid change list");
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error("No changes provided");
+  }
+
+  if (parsed.length > MAX_BULK_BARCODE_VARIANTS) {
+    throw new Error(`Send at most ${MAX_BULK_BARCODE_VARIANTS} changes at a time`);
+  }
+
+  const isValue = (value) =>
+    value === undefined || (typeof value === "string" && value !== "" && value.length <= MAX_VALUE_LENGTH);
+
+  return parsed.map((change) => {
+    if (typeof change?.variantId !== "string" || !VARIANT_GID_PATTERN.test(change.variantId)) {
+      throw new Error("Invalid variant ID");
+    }
+    if (!isValue(change.barcode) || !isValue(change.sku)) {
+      throw new Error("Invalid barcode or SKU");
+    }
+    return { variantId: change.variantId, barcode: change.barcode, sku: change.sku };
+  });
+}
+
+/**
+ * Save imported barcodes and SKUs
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {Array<{variantId: string, barcode?: string, sku?: string}>} changes - From parseImportChanges
+ * @param {Object} options
+ * @param {{staffUserId: string|null, staffName: string|null}} options.staff - For the barcode history
+ * @param {string|null} [options.batchId] - Groups the barcode changes of one import for undo
+ * @returns {Promise<{
+ *   updated: Array<{variantId: string, barcode: string|null, sku: string|null}>,
+ *   failed: Array<{variantId: string, displayName: string, message: string}>,
+ *   skipped: number
+ * }>} - skipped counts variants that were deleted or already have these values
+ */
+export async function applyImportChanges(admin, shop, changes, { staff, batchId = null }) {
+  const variantsById = await fetchVariantsByIds(admin, changes.map((c) => c.variantId));
+  const result = { updated: [], failed: [], skipped: 0 };
+
+  // Group by product - productVariantsBulkUpdate takes one product at a time
+  const updatesByProduct = new Map();
+  changes.forEach((change) => {
+    const variant = variantsById.get(change.variantId);
+    if (!variant) {
+      result.skipped++;
+      return;
+    }
+
+    const update = { id: variant.id };
+    if (change.barcode !== undefined) {
+      const { barcode, error } = cleanImportedBarcode(change.barcode);
+      if (error) {
+        result.failed.push({ variantId: variant.id, displayName: variant.displayName, message: error });
+        return;
+      }
+      if (barcode !== variant.barcode) update.barcode = barcode;
+    }
+    if (change.sku !== undefined && change.sku !== variant.sku) {
+      update.sku = change.sku;
+    }
+
+    if (update.barcode === undefined && update.sku === undefined) {
+      result.skipped++;
+      return;
+    }
+
+    const group = updatesByProduct.get(variant.product.id) || [];
+    group.push({ variant, update });
+    updatesByProduct.set(variant.product.id, group);
+  });
+
+  for (const [productId, group] of updatesByProduct) {
+    const { errors, extensions } = await saveVariantUpdates(
+      admin,
+      productId,
+      group.map(({ update }) => update)
+    );
+
+    const saved = group.filter(({ variant }) => !errors.has(variant.id));
+
+    group
+      .filter(({ variant }) => errors.has(variant.id))
+      .forEach(({ variant }) => {
+        result.failed.push({
+          variantId: variant.id,
+          displayName: variant.displayName,
+          message: errors.get(variant.id),
+        });
+      });
+
+    const barcodeChanges = saved.filter(({ update }) => update.barcode !== undefined);
+
+    await recordBarcodeChanges(
+      shop,
+      staff,
+      barcodeChanges.map(({ variant, update }) => ({
+        variantId: variant.id,
+        productId,
+        displayName: variant.displayName,
+        oldBarcode: variant.barcode || null,
+        newBarcode: update.barcode,
+      })),
+      { batchId }
+    );
+
+    // Generated numbers that were replaced stay reserved but are no longer linked
+    await releaseBarcodes(
+      shop,
+      barcodeChanges.map(({ variant }) => variant.barcode).filter(Boolean)
+    );
+
+    saved.forEach(({ variant, update }) => {
+      result.updated.push({
+        variantId: variant.id,
+        barcode: update.barcode ?? variant.barcode ?? null,
+        sku: update.sku ?? variant.sku ?? null,
+      });
+    });
+
+    await waitForThrottle(extensions);
+  }
+
+  return result;
+}
@@ -0,0 +1,21 @@
+/**
+ * Admin API rate limit helpers for long-running jobs
+ *
+ * GraphQL responses report the remaining query cost in
+ * extensions.cost.throttleStatus. Jobs that send many requests wait for the
+ * bucket to refill instead of running into THROTTLED errors.
+ */
+
+/**
+ * Wait until the cost bucket has room for the next request
+ * @param {Object|undefined} extensions - `extensions` from the last GraphQL response
+ * @param {number} [nextCost] - Expected cost of the next request
+ * @returns {Promise<void>}
+ */
+export async function waitForThrottle(extensions, nextCost = 100) {
+  const status = extensions?.cost?.throttleStatus;
+  if (!status || status.currentlyAvailable >= nextCost) return;
+
+  const seconds = (nextCost - status.currentlyAvailable) / status.restoreRate;
+  await new Promise((resolve) => setTimeout(resolve, Math.ceil(seconds * 1000)));
+}
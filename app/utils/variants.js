@@ -0,0 +1,196 @@
+/**
+ * Variant fetching utilities for large variant matrices and export rebuilds,
+ * and the shared barcode/SKU update used by generation, bulk runs, imports and undo
+ */
+
+import {
+  PRODUCT_VARIANTS_QUERY,
+  UPDATE_VARIANTS_MUTATION,
+  VARIANTS_BY_ID_QUERY,
+} from "../graphql/products";
+import { waitForThrottle } from "./throttle";
+
+// Shopify's maximum page size for connection fields
+const VARIANT_PAGE_SIZE = 250;
+
+/**
+ * Fetch every variant of a product, continuing from where PRODUCTS_QUERY stopped
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {Object} product - Product node from PRODUCTS_QUERY (with variants.edges and variants.pageInfo)
+ * @returns {Promise<{variants: Object[], extraPages: number}>} - All variant nodes and
+ *   how many follow-up queries were needed (0 if the first page was complete)
+ */
+export async function fetchAllVariants(admin, product) {
+  const variants = product.variants.edges.map(({ node }) => node);
+  let { hasNextPage, endCursor } = product.variants.pageInfo;
+  let extraPages = 0;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(PRODUCT_VARIANTS_QUERY, {
+      variables: {
+        id: product.id,
+        first: VARIANT_PAGE_SIZE,
+        after: endCursor,
+      },
+    });
+
+    const data = await response.json();
+    const connection = data.data.product?.variants;
+
+    // Product was deleted between queries - keep what we already have
+    if (!connection) break;
+
+    connection.edges.forEach(({ node }) => variants.push(node));
+    ({ hasNextPage, endCursor } = connection.pageInfo);
+    extraPages++;
+  }
+
+  return { variants, extraPages };
+}
+
+// Maximum number of IDs accepted by the nodes() query
+const NODES_BATCH_SIZE = 250;
+
+// Shopify rejects a single query estimated above 1000 points. A variant costs
+// about 3 without metafields and about 15 more per metafield (with its references).
+const VARIANT_QUERY_COST = 3;
+const METAFIELD_QUERY_COST = 15;
+const MAX_QUERY_COST = 900;
+
+/**
+ * Fetch variants by ID in batches
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string[]} ids - Product variant GIDs
+ * @param {Array<{owner: string, key: string}>} [metafieldColumns] - Metafields to include
+ *   (from parseMetafieldColumns)
+ * @returns {Promise<Map<string, Object>>} - Variant nodes keyed by ID (deleted variants are omitted)
+ */
+export async function fetchVariantsByIds(admin, ids, metafieldColumns = []) {
+  const variantsById = new Map();
+
+  const keysFor = (owner) =>
+    metafieldColumns.filter((column) => column.owner === owner).map((column) => column.key);
+  const productMetafieldKeys = keysFor("product");
+  const variantMetafieldKeys = keysFor("variant");
+
+  // Fewer IDs per request when metafields are included, to stay under the cost limit
+  const costPerVariant =
+    VARIANT_QUERY_COST + metafieldColumns.length * METAFIELD_QUERY_COST;
+  const batchSize = Math.max(Math.min(Math.floor(MAX_QUERY_COST / costPerVariant), NODES_BATCH_SIZE), 1);
+
+  for (let i = 0; i < ids.length; i += batchSize) {
+    const response = await admin.graphql(VARIANTS_BY_ID_QUERY, {
+      variables: {
+        ids: ids.slice(i, i + batchSize),
+        productMetafieldKeys,
+        variantMetafieldKeys,
+        includeProductMetafields: productMetafieldKeys.length > 0,
+        includeVariantMetafields: variantMetafieldKeys.length > 0,
+        productMetafieldCount: Math.max(productMetafieldKeys.length, 1),
+        variantMetafieldCount: Math.max(variantMetafieldKeys.length, 1),
+      },
+    });
+
+    const data = await response.json();
+
+    data.data.nodes.forEach((node) => {
+      // nodes() returns null for IDs that no longer exist
+      if (node?.id) {
+        variantsById.set(node.id, node);
+      }
+    });
+
+    // Exports and checks can need hundreds of requests
+    if (i + batchSize < ids.length) {
+      await waitForThrottle(data.extensions, batchSize * costPerVariant);
+    }
+  }
+
+  return variantsById;
+}
+
+/**
+ * Set the barcodes and/or SKUs of one product's variants with a single
+ * productVariantsBulkUpdate call
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} productId - Product GID the variants belong to
+ * @param {Array<{id: string, barcode?: string, sku?: string}>} updates - New values per variant;
+ *   omitted fields are left as they are ("" clears a field)
+ * @returns {Promise<{errors: Map<string, string>, extensions: Object|undefined}>} - Error message
+ *   for each variant that wasn't saved (empty when all were) and the response's cost extensions
+ */
+export async function saveVariantUpdates(admin, productId, updates) {
+  // The SKU lives on the inventory item since API version 2024-04
+  const variants = updates.map(({ id, barcode, sku }) => ({
+    id,
+    ...(barcode !== undefined ? { barcode } : {}),
+    ...(sku !== undefined ? { inventoryItem: { sku } } : {}),
+  }));
+
+  let data;
+  try {
+    const response = await admin.graphql(UPDATE_VARIANTS_MUTATION, {
+      variables: { productId, variants },
+    });
+    data = await response.json();
+  } catch (error) {
+    console.error("Variant update error:", error);
+    const message = error.message || "Failed to update variant";
+    return { errors: new Map(updates.map(({ id }) => [id, message])), extensions: undefined };
+  }
+
+  // userErrors point at the input by position, e.g. ["variants", "2", "barcode"]
+  const messagesByIndex = new Map();
+  const generalErrors = [];
+  data.data.productVariantsBulkUpdate.userErrors.forEach((userError) => {
+    const index = userError.field?.[0] === "variants" ? Number(userError.field[1]) : NaN;
+    if (Number.isInteger(index)) {
+      messagesByIndex.set(index, [...(messagesByIndex.get(index) || []), userError.message]);
+    } else {
+      generalErrors.push(userError.message);
+    }
+  });
+
+  // An error not tied to one variant means nothing in this product was saved
+  const savedIds = new Set(
+    (data.data.productVariantsBulkUpdate.productVariants || []).map((variant) => variant.id)
+  );
+
+  const errors = new Map();
+  updates.forEach(({ id }, index) => {
+    const messages = messagesByIndex.get(index) || generalErrors;
+    if (messages.length > 0 || !savedIds.has(id)) {
+      errors.set(id, messages.join(", ") || "Variant was not saved");
+    }
+  });
+
+  return { errors, extensions: data.extensions };
+}
+
+/**
+ * Split variants into request-sized chunks without splitting a product,
+ * so each product is saved with a single productVariantsBulkUpdate call
+ * (a product with more variants than the chunk size gets a chunk of its own)
+ * @param {Array<{variantId: string, productId: string}>} variants - Any items with these keys
+ * @param {number} chunkSize - Preferred number of variants per chunk
+ * @returns {Array<Array<Object>>} - The items, grouped per chunk
+ */
+export function chunkByProduct(variants, chunkSize) {
+  const groups = new Map();
+  variants.forEach((variant) => {
+    groups.set(variant.productId, [...(groups.get(variant.productId) || []), variant]);
+  });
+
+  const chunks = [];
+  let current = [];
+  groups.forEach((group) => {
+    if (current.length > 0 && current.length + group.length > chunkSize) {
+      chunks.push(current);
+      current = [];
+    }
+    current = [...current, ...group];
+  });
+  if (current.length > 0) chunks.push(current);
+
+  return chunks;
+}
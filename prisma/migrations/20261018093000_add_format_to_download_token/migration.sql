@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "DownloadToken" ADD COLUMN     "format" TEXT NOT NULL DEFAULT 'xlsx',
+ADD COLUMN     "options" TEXT;
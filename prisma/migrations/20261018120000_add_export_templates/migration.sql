@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "DownloadToken" ADD COLUMN     "templateId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ExportTemplate" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "columns" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExportTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExportTemplate_shop_idx" ON "ExportTemplate"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExportTemplate_shop_name_key" ON "ExportTemplate"("shop", "name");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ExportTemplate" ADD COLUMN     "locale" TEXT;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "BarcodeSettings" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "format" TEXT NOT NULL DEFAULT 'internal',
+    "gs1Prefix" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BarcodeSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BarcodeSettings_shop_key" ON "BarcodeSettings"("shop");
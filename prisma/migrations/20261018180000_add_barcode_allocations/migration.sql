@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "BarcodeSettings" ADD COLUMN     "nextNumber" INTEGER NOT NULL DEFAULT 10000000,
+ADD COLUMN     "rangeEnd" INTEGER NOT NULL DEFAULT 99999999,
+ADD COLUMN     "rangeStart" INTEGER NOT NULL DEFAULT 10000000;
+
+-- GS1 formats allocate item references: 0 up to the digits left after the prefix
+-- (EAN-13 and UPC-A hold 12 data digits counting UPC-A's implied leading 0, EAN-8 holds 7)
+UPDATE "BarcodeSettings"
+SET "rangeStart" = 0,
+    "nextNumber" = 0,
+    "rangeEnd" = CAST(POWER(10, (CASE "format" WHEN 'ean8' THEN 7 ELSE 12 END) - LENGTH("gs1Prefix")) AS INTEGER) - 1
+WHERE "format" <> 'internal';
+
+-- CreateTable
+CREATE TABLE "BarcodeAllocation" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "barcode" TEXT NOT NULL,
+    "variantId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BarcodeAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BarcodeAllocation_shop_variantId_idx" ON "BarcodeAllocation"("shop", "variantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BarcodeAllocation_shop_barcode_key" ON "BarcodeAllocation"("shop", "barcode");
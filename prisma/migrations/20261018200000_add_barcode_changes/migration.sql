@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "BarcodeChange" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "staffName" TEXT,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "displayName" TEXT NOT NULL,
+    "oldBarcode" TEXT,
+    "newBarcode" TEXT,
+    "batchId" TEXT,
+    "revertOfId" TEXT,
+    "revertedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BarcodeChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BarcodeChange_shop_createdAt_idx" ON "BarcodeChange"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "BarcodeChange_shop_batchId_idx" ON "BarcodeChange"("shop", "batchId");
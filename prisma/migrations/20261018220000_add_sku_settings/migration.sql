@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "SkuSettings" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "pattern" TEXT NOT NULL DEFAULT '{vendor:3}-{seq:5}',
+    "nextSequence" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SkuSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SkuSettings_shop_key" ON "SkuSettings"("shop");
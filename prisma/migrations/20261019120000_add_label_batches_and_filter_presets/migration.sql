@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "LabelBatchItem" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "displayName" TEXT NOT NULL,
+    "sku" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LabelBatchItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FilterPreset" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "params" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FilterPreset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LabelBatchItem_shop_variantId_key" ON "LabelBatchItem"("shop", "variantId");
+
+-- CreateIndex
+CREATE INDEX "LabelBatchItem_shop_createdAt_idx" ON "LabelBatchItem"("shop", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FilterPreset_shop_name_key" ON "FilterPreset"("shop", "name");
+
+-- CreateIndex
+CREATE INDEX "FilterPreset_shop_idx" ON "FilterPreset"("shop");
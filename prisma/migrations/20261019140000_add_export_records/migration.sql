@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ExportRecord" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "staffName" TEXT,
+    "items" TEXT NOT NULL,
+    "variantCount" INTEGER NOT NULL,
+    "labelCount" INTEGER NOT NULL,
+    "format" TEXT NOT NULL,
+    "options" TEXT,
+    "templateId" TEXT,
+    "templateName" TEXT,
+    "fileName" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ExportRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExportRecord_shop_createdAt_idx" ON "ExportRecord"("shop", "createdAt");
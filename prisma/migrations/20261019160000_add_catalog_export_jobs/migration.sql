@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "CatalogExportJob" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "staffName" TEXT,
+    "bulkOperationId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "searchQuery" TEXT NOT NULL,
+    "variantFilters" TEXT NOT NULL,
+    "quantityMode" TEXT NOT NULL DEFAULT 'stock',
+    "format" TEXT NOT NULL,
+    "options" TEXT,
+    "templateId" TEXT,
+    "objectCount" INTEGER NOT NULL DEFAULT 0,
+    "downloadUrl" TEXT,
+    "labelCount" INTEGER,
+    "variantCount" INTEGER,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogExportJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CatalogExportJob_shop_createdAt_idx" ON "CatalogExportJob"("shop", "createdAt");
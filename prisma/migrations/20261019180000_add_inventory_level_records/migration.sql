@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "InventoryLevelRecord" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InventoryLevelRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryLevelRecord_lookup_idx" ON "InventoryLevelRecord"("shop", "locationId", "inventoryItemId", "recordedAt");
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "LabelQueueItem" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "displayName" TEXT NOT NULL,
+    "sku" TEXT,
+    "price" TEXT NOT NULL,
+    "previousPrice" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LabelQueueItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "KnownVariantPrice" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "price" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "KnownVariantPrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LabelQueueItem_shop_variantId_key" ON "LabelQueueItem"("shop", "variantId");
+
+-- CreateIndex
+CREATE INDEX "LabelQueueItem_shop_createdAt_idx" ON "LabelQueueItem"("shop", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KnownVariantPrice_shop_variantId_key" ON "KnownVariantPrice"("shop", "variantId");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "PrintedLabelSnapshot" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "displayName" TEXT NOT NULL,
+    "price" TEXT NOT NULL,
+    "compareAtPrice" TEXT,
+    "barcode" TEXT,
+    "printedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PrintedLabelSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PrintedLabelSnapshot_shop_variantId_key" ON "PrintedLabelSnapshot"("shop", "variantId");
+
+-- CreateIndex
+CREATE INDEX "PrintedLabelSnapshot_shop_printedAt_idx" ON "PrintedLabelSnapshot"("shop", "printedAt");
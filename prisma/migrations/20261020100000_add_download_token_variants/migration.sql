@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DownloadToken" ADD COLUMN     "variants" TEXT;
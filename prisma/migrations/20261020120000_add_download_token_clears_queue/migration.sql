@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DownloadToken" ADD COLUMN     "clearsQueue" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "KnownVariantPrice" ADD COLUMN     "productId" TEXT;
+
+-- AlterTable
+ALTER TABLE "LabelQueueItem" ADD COLUMN     "productId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "KnownVariantPrice_shop_productId_idx" ON "KnownVariantPrice"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "LabelQueueItem_shop_productId_idx" ON "LabelQueueItem"("shop", "productId");